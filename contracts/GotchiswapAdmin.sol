@@ -0,0 +1,627 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapAdmin
+ * @dev Roles, allowlist, fee settings, circuit breakers and rescues of Gotchiswap.
+ *      The admin grants the roles performing the sensitive actions. Rescues of
+ *      tokens escrowed by active sales are timelocked so users can see them
+ *      coming and leave.
+ *      Not meant to be called directly: GotchiswapBatches forwards the calls
+ *      it does not implement to this contract, which then runs in the storage
+ *      of Gotchiswap.
+ */
+contract GotchiswapAdmin is GotchiswapBase, GotchiswapForwarder {
+    // Delay between queuing a rescue of escrowed tokens and executing it
+    uint256 public constant RESCUE_DELAY = 2 days;
+
+    /**
+     * @param _extension Address of the deployed GotchiswapViews.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Moves the sales of the given sellers from the legacy storage layout
+     *      (one array of sales per seller) to the sales mapping, and counts
+     *      their tokens as escrowed.
+     *      Meant to be called right after upgrading a proxy deployed with the
+     *      legacy layout, in as many batches of sellers as needed.
+     *      Rescues of the surplus stay disabled until the last batch is migrated.
+     *      The views list the sales not migrated yet, which are migrated with
+     *      the other sales of their seller when one of them is aborted or
+     *      concluded by index, or when the seller creates a sale.
+     *      Sellers without legacy sales are skipped.
+     * @param _sellers The addresses of the sellers to migrate.
+     * @param _last Whether no seller is left to migrate after this batch.
+     * @notice Only the upgraders are allowed to call this function.
+     * @dev Reverts once the last batch is migrated.
+     */
+    function migrateSales(
+        address[] calldata _sellers,
+        bool _last
+    ) external onlyRole(UPGRADER_ROLE) {
+        require(!escrowTracked, "Gotchiswap: Sales already migrated");
+        for (uint256 i = 0; i < _sellers.length; i++) {
+            moveLegacySales(_sellers[i]);
+        }
+        escrowTracked = _last;
+    }
+
+    /**
+     * @dev Allows anyone to move the sales of a seller from the legacy storage
+     *      layout to the sales mapping, and count their tokens as escrowed.
+     *      Called by Gotchiswap before a seller not migrated yet creates a
+     *      sale, or before one of their sales is aborted or concluded by index.
+     *      Sellers without legacy sales are skipped.
+     * @param _seller The address of the seller to migrate.
+     */
+    function migrateSellerSales(address _seller) external {
+        moveLegacySales(_seller);
+    }
+
+    /**
+     * @dev Allows the admin to grant a role to an account.
+     * @param _role The role to grant.
+     * @param _account The account to grant the role to.
+     * @dev Reverts on invalid account address.
+     */
+    function grantRole(bytes32 _role, address _account) external onlyAdmin {
+        require(_account != address(0), "Gotchiswap: Invalid account address");
+        setRole(_role, _account, true);
+    }
+
+    /**
+     * @dev Allows the admin to revoke a role from an account.
+     * @param _role The role to revoke.
+     * @param _account The account to revoke the role from.
+     */
+    function revokeRole(bytes32 _role, address _account) external onlyAdmin {
+        setRole(_role, _account, false);
+    }
+
+    /**
+     * @dev Allows an account to give up one of its roles.
+     * @param _role The role to give up.
+     */
+    function renounceRole(bytes32 _role) external {
+        setRole(_role, msg.sender, false);
+    }
+
+    /**
+     * @dev Checks if an account holds a role.
+     * @param _role The role to check.
+     * @param _account The account to check.
+     * @return True if the account holds the role, false otherwise.
+     */
+    function hasRole(
+        bytes32 _role,
+        address _account
+    ) external view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    /**
+     * @dev Checks if a given assets contract address is allowed for trading.
+     * @param _contract The address of the contract to check.
+     * @return bool Returns true if the contract is allowed, false otherwise.
+     */
+    function isContractAllowed(address _contract) external view returns (bool) {
+        return contractsAllowlist[_contract];
+    }
+
+    /**
+     * @dev Allows a specific token contract to be traded.
+     * @param _contract The address of the contract to be allowed.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Reverts if the contract is zero address or already allowed.
+     */
+    function allowContract(
+        address _contract
+    ) public onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        require(
+            _contract != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+        require(
+            !contractsAllowlist[_contract],
+            "Gotchiswap: Address already allowed"
+        );
+        contractsAllowlist[_contract] = true;
+    }
+
+    /**
+     * @dev Allows multiple contract addresses to be added to the allowlist.
+     * @param _contracts An array of contract addresses to be allowed.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Calls the 'allowContract' function for each contract address.
+     */
+    function allowContracts(
+        address[] calldata _contracts
+    ) external onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        for (uint256 i = 0; i < _contracts.length; i++) {
+            allowContract(_contracts[i]);
+        }
+    }
+
+    /**
+     * @dev Disallows a specific token contract to be traded.
+     * @param _contract The address of the contract to be disallowed.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Reverts if the contract is already disallowed.
+     */
+    function disallowContract(
+        address _contract
+    ) public onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        require(
+            contractsAllowlist[_contract],
+            "Gotchiswap: Address already disallowed"
+        );
+        contractsAllowlist[_contract] = false;
+    }
+
+    /**
+     * @dev Remove multiple token contract addresses from the allowlist.
+     * @param _contracts An array of contract addresses to be disallowed.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Calls the 'disallowContract' function for each contract address.
+     */
+    function disallowContracts(
+        address[] calldata _contracts
+    ) external onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        for (uint256 i = 0; i < _contracts.length; i++) {
+            disallowContract(_contracts[i]);
+        }
+    }
+
+    /**
+     * @dev Checks if an ERC20 token contract is accepted to take transfer fees.
+     * @param _contract The address of the token contract to check.
+     * @return bool Returns true if sales and bids record the amounts received
+     *         of the token, false if they revert on any shortfall.
+     */
+    function isTransferFeeAccepted(
+        address _contract
+    ) external view returns (bool) {
+        return transferFeesAccepted[_contract];
+    }
+
+    /**
+     * @dev Sets how sales and bids escrowing an ERC20 token handle the token
+     *      taking a fee on transfer: by recording the amount received, or by
+     *      reverting (the default).
+     *      Whatever the policy, when the balance of a token drops while
+     *      escrowed, like a rebasing token, the escrows are paid out in
+     *      proportion to what is left. Balances growing while escrowed are
+     *      a surplus the rescuers can withdraw.
+     * @param _contract The address of the token contract.
+     * @param _accepted Whether the transfer fees are accepted.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Reverts if the contract is zero address.
+     */
+    function setTransferFeeAccepted(
+        address _contract,
+        bool _accepted
+    ) external onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        require(
+            _contract != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+        transferFeesAccepted[_contract] = _accepted;
+
+        emit ChangeTransferFeeAccepted(_contract, _accepted);
+    }
+
+    /**
+     * @dev Disables the allowlist, allowing any token contracts to be traded.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Reverts if the allowlist is already disabled.
+     */
+    function disableAllowlist() external onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        require(!allowlistDisabled, "Gotchiswap: Allowlist already disabled");
+        allowlistDisabled = true;
+    }
+
+    /**
+     * @dev Enables the allowlist, allowing only permitted token contracts to be traded.
+     * @notice Only the allowlist managers are allowed to call this function.
+     * @dev Reverts if the allowlist is already enabled.
+     */
+    function enableAllowlist() external onlyRole(ALLOWLIST_MANAGER_ROLE) {
+        require(allowlistDisabled, "Gotchiswap: Allowlist already enabled");
+        allowlistDisabled = false;
+    }
+
+    /**
+     * @dev Halts trading: sales and bids can no longer be created or concluded.
+     *      Sellers and bidders can still abort and cancel to get their escrow back.
+     * @notice Only the pausers are allowed to call this function.
+     * @dev Reverts if trading is already paused.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Gotchiswap: Trading already paused");
+        paused = true;
+        emit ChangePaused(true);
+    }
+
+    /**
+     * @dev Resumes trading after a pause.
+     * @notice Only the pausers are allowed to call this function.
+     * @dev Reverts if trading is not paused.
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Gotchiswap: Trading not paused");
+        paused = false;
+        emit ChangePaused(false);
+    }
+
+    /**
+     * @dev Freezes a token contract: trades with its tokens can no longer be
+     *      created or concluded, whatever the allowlist says.
+     *      Escrowed tokens can still be returned to their sellers and bidders.
+     * @param _contract The address of the contract to be frozen.
+     * @notice Only the pausers are allowed to call this function.
+     * @dev Reverts if the contract is zero address or already frozen.
+     */
+    function freezeContract(address _contract) external onlyRole(PAUSER_ROLE) {
+        require(
+            _contract != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+        require(
+            !frozenContracts[_contract],
+            "Gotchiswap: Contract already frozen"
+        );
+        frozenContracts[_contract] = true;
+        emit ChangeContractFrozen(_contract, true);
+    }
+
+    /**
+     * @dev Unfreezes a token contract.
+     * @param _contract The address of the contract to be unfrozen.
+     * @notice Only the pausers are allowed to call this function.
+     * @dev Reverts if the contract is not frozen.
+     */
+    function unfreezeContract(
+        address _contract
+    ) external onlyRole(PAUSER_ROLE) {
+        require(frozenContracts[_contract], "Gotchiswap: Contract not frozen");
+        frozenContracts[_contract] = false;
+        emit ChangeContractFrozen(_contract, false);
+    }
+
+    /**
+     * @dev Allows the admin to transfer admin rights to another address.
+     *      The roles granted are kept by their holders.
+     * @param _admin The new admin address.
+     * @dev Reverts if admin address is invalid or the same.
+     */
+    function changeAdmin(address _admin) external onlyAdmin {
+        require(
+            _admin != address(0),
+            "Gotchiswap: Cannot change admin to an invalid address"
+        );
+        require(
+            _admin != adminAddress,
+            "Gotchiswap: Address already set as admin"
+        );
+        adminAddress = _admin;
+    }
+
+    /**
+     * @dev Allows the admin to remove the admin privilege completely.
+     *      This makes it impossible to use admin functions anymore, the roles
+     *      granted are kept by their holders. Should be used
+     *      in tandem with the renounceOwnership of the ProxyAdmin contract to make it
+     *      completely trustless and immutable
+     */
+    function removeAdmin() external onlyAdmin {
+        adminAddress = address(0);
+    }
+
+    /**
+     * @dev Allows the admin to change the protocol fee.
+     * @param _feeBps The fee in basis points taken from the ERC20 prices of a trade.
+     * @dev Reverts if the fee is above MAX_FEE_BPS.
+     */
+    function changeFee(uint256 _feeBps) external onlyAdmin {
+        require(_feeBps <= MAX_FEE_BPS, "Gotchiswap: Fee is above the maximum");
+        feeBps = _feeBps;
+
+        emit ChangeFee(_feeBps);
+    }
+
+    /**
+     * @dev Allows the admin to change the address receiving the protocol fees.
+     *      Setting the null address disables the fees.
+     * @param _recipient The address of the fee recipient.
+     */
+    function changeFeeRecipient(address _recipient) external onlyAdmin {
+        feeRecipient = _recipient;
+
+        emit ChangeFeeRecipient(_recipient);
+    }
+
+    /**
+     * @dev Allows the admin to cap the fee taken from a single price in a token.
+     * @param _token The address of the ERC20 token.
+     * @param _cap The maximum fee amount (0 for no cap).
+     */
+    function changeFeeCap(address _token, uint256 _cap) external onlyAdmin {
+        feeCaps[_token] = _cap;
+
+        emit ChangeFeeCap(_token, _cap);
+    }
+
+    /**
+     * @dev Allows the admin to change the flat fee charged on trades without
+     *      ERC20 prices.
+     * @param _token The address of the ERC20 token the flat fee is paid in.
+     * @param _amount The amount of the flat fee (0 to exempt those trades).
+     * @dev Reverts on invalid token address with a non-zero amount.
+     */
+    function changeFlatFee(address _token, uint256 _amount) external onlyAdmin {
+        require(
+            _amount == 0 || _token != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+        flatFeeToken = _token;
+        flatFee = _amount;
+
+        emit ChangeFlatFee(_token, _amount);
+    }
+
+    /**
+     * @dev Allows the admin to enforce EIP-2981 royalties on every trade.
+     *      When not enforced, royalties are only paid for sellers who opted in.
+     * @param _enforced Whether royalties are enforced.
+     */
+    function enforceRoyalties(bool _enforced) external onlyAdmin {
+        royaltiesEnforced = _enforced;
+
+        emit ChangeRoyaltiesEnforced(_enforced);
+    }
+
+    /**
+     * @dev Allows a rescuer to withdraw an ERC721 token sent to the contract by mistake.
+     * @param _contract The address of the contract for the ERC721 tokens to withdraw.
+     * @param _tokenId The ID of the ERC721 token to be withdrawn.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts if the token is escrowed by an active sale, see 'queueRescue'.
+     */
+    function rescueERC721(
+        address _contract,
+        uint256 _tokenId
+    ) external onlyRole(RESCUER_ROLE) {
+        rescue(Asset(AssetClass.ERC721, _contract, _tokenId, 1));
+    }
+
+    /**
+     * @dev Allows a rescuer to withdraw ERC1155 tokens sent to the contract by mistake.
+     * @param _contract The address of the contract for the ERC1155 tokens to withdraw.
+     * @param _tokenId The ID of the ERC1155 tokens to be withdrawn.
+     * @param _amount The amount of tokens to be withdrawn.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts above the rescuable surplus, see 'queueRescue' for escrowed tokens.
+     */
+    function rescueERC1155(
+        address _contract,
+        uint256 _tokenId,
+        uint256 _amount
+    ) external onlyRole(RESCUER_ROLE) {
+        rescue(Asset(AssetClass.ERC1155, _contract, _tokenId, _amount));
+    }
+
+    /**
+     * @dev Allows a rescuer to withdraw ERC20 tokens sent to the contract by mistake.
+     * @param _contract The address of the contract for the ERC20 tokens to withdraw.
+     * @param _amount The amount of tokens to be withdrawn.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts above the rescuable surplus, see 'queueRescue' for escrowed tokens.
+     */
+    function rescueERC20(
+        address _contract,
+        uint256 _amount
+    ) external onlyRole(RESCUER_ROLE) {
+        rescue(Asset(AssetClass.ERC20, _contract, 0, _amount));
+    }
+
+    /**
+     * @dev Queues the rescue of tokens escrowed by active sales.
+     *      It can be executed with 'executeRescue' once the delay has passed.
+     * @param _class The class of the tokens.
+     * @param _contract The address of the contract of the tokens.
+     * @param _tokenId The ID of the tokens (0 for ERC20 and native).
+     * @param _amount The amount of tokens to withdraw.
+     * @return operation The ID of the queued rescue.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts if the same rescue is already queued.
+     */
+    function queueRescue(
+        AssetClass _class,
+        address _contract,
+        uint256 _tokenId,
+        uint256 _amount
+    ) external onlyRole(RESCUER_ROLE) returns (bytes32 operation) {
+        operation = getRescueOperation(_class, _contract, _tokenId, _amount);
+        require(
+            rescueOperations[operation] == 0,
+            "Gotchiswap: Rescue already queued"
+        );
+        uint256 readyTimestamp = block.timestamp + RESCUE_DELAY;
+        rescueOperations[operation] = readyTimestamp;
+
+        emit QueueRescue(
+            operation,
+            Asset(_class, _contract, _tokenId, _amount),
+            readyTimestamp
+        );
+    }
+
+    /**
+     * @dev Cancels a queued rescue.
+     * @param _operation The ID of the queued rescue.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts if the rescue is not queued.
+     */
+    function cancelRescue(bytes32 _operation) external onlyRole(RESCUER_ROLE) {
+        require(
+            rescueOperations[_operation] != 0,
+            "Gotchiswap: Rescue not queued"
+        );
+        delete rescueOperations[_operation];
+
+        emit CancelRescue(_operation);
+    }
+
+    /**
+     * @dev Executes a queued rescue once its delay has passed.
+     *      The tokens are withdrawn even if they are escrowed by active sales.
+     * @param _class The class of the tokens.
+     * @param _contract The address of the contract of the tokens.
+     * @param _tokenId The ID of the tokens (0 for ERC20 and native).
+     * @param _amount The amount of tokens to withdraw.
+     * @notice Only the rescuers are allowed to call this function.
+     * @dev Reverts if the rescue is not queued or still timelocked.
+     */
+    function executeRescue(
+        AssetClass _class,
+        address _contract,
+        uint256 _tokenId,
+        uint256 _amount
+    ) external onlyRole(RESCUER_ROLE) nonReentrant {
+        bytes32 operation = getRescueOperation(
+            _class,
+            _contract,
+            _tokenId,
+            _amount
+        );
+        uint256 readyTimestamp = rescueOperations[operation];
+        require(readyTimestamp != 0, "Gotchiswap: Rescue not queued");
+        require(
+            block.timestamp >= readyTimestamp,
+            "Gotchiswap: Rescue is still timelocked"
+        );
+        delete rescueOperations[operation];
+
+        // the tokens leave the escrow of the sales they belong to
+        uint256 escrowed = escrowBalances[_contract][_tokenId];
+        escrowBalances[_contract][_tokenId] = escrowed > _amount
+            ? escrowed - _amount
+            : 0;
+        sendRescue(Asset(_class, _contract, _tokenId, _amount));
+
+        emit ExecuteRescue(operation, msg.sender);
+    }
+
+    /**
+     * @dev Gets the ID of a rescue operation.
+     * @param _class The class of the tokens.
+     * @param _contract The address of the contract of the tokens.
+     * @param _tokenId The ID of the tokens (0 for ERC20 and native).
+     * @param _amount The amount of tokens to withdraw.
+     * @return The ID of the rescue, to look up in 'rescueOperations'.
+     */
+    function getRescueOperation(
+        AssetClass _class,
+        address _contract,
+        uint256 _tokenId,
+        uint256 _amount
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_class, _contract, _tokenId, _amount));
+    }
+
+    /**
+     * @dev Gets the amount of tokens held by the contract above what the active
+     *      sales, bids and pending withdrawals have escrowed.
+     *      This surplus was sent by mistake and can be rescued right away.
+     *      It is 0 until the sales of an upgraded proxy are migrated, as their
+     *      tokens are not counted as escrowed before.
+     * @param _class The class of the tokens.
+     * @param _contract The address of the contract of the tokens.
+     * @param _tokenId The ID of the tokens (0 for ERC20 and native).
+     * @return The rescuable amount (1 or 0 for an ERC721 token).
+     */
+    function getRescuableAmount(
+        AssetClass _class,
+        address _contract,
+        uint256 _tokenId
+    ) public view returns (uint256) {
+        if (!escrowTracked) {
+            return 0;
+        }
+        uint256 balance;
+        if (_class == AssetClass.ERC721) {
+            try ERC721(_contract).ownerOf(_tokenId) returns (address owner) {
+                balance = owner == address(this) ? 1 : 0;
+            } catch {}
+        } else if (_class == AssetClass.ERC1155) {
+            balance = ERC1155(_contract).balanceOf(address(this), _tokenId);
+        } else if (_class == AssetClass.ERC20) {
+            balance = IERC20(_contract).balanceOf(address(this));
+        } else {
+            balance = address(this).balance;
+        }
+        uint256 escrowed = escrowBalances[_contract][_tokenId];
+        return balance > escrowed ? balance - escrowed : 0;
+    }
+
+    /**
+     * @dev Private function to withdraw tokens no active sale has escrowed.
+     * @param _asset The tokens to withdraw.
+     * @dev Reverts until the sales of an upgraded proxy are migrated.
+     * @dev Reverts above the rescuable surplus.
+     */
+    function rescue(Asset memory _asset) private {
+        require(escrowTracked, "Gotchiswap: Sales migration not finished");
+        require(
+            _asset.qty <=
+                getRescuableAmount(_asset.class, _asset.addr, _asset.id),
+            "Gotchiswap: Amount exceeds the rescuable surplus"
+        );
+        sendRescue(_asset);
+    }
+
+    /**
+     * @dev Private function to send rescued tokens to the caller.
+     * @param _asset The tokens to send.
+     */
+    function sendRescue(Asset memory _asset) private {
+        if (_asset.class == AssetClass.ERC721) {
+            transferERC721(address(this), msg.sender, _asset.addr, _asset.id);
+        } else if (_asset.class == AssetClass.ERC1155) {
+            transferERC1155(
+                address(this),
+                msg.sender,
+                _asset.addr,
+                _asset.id,
+                _asset.qty
+            );
+        } else if (_asset.class == AssetClass.ERC20) {
+            transferERC20(address(this), msg.sender, _asset.addr, _asset.qty);
+        } else {
+            sendNative(msg.sender, _asset.qty);
+        }
+    }
+
+    /**
+     * @dev Private function to move the legacy sales of a seller to the sales mapping.
+     * @param _seller The address of the seller.
+     */
+    function moveLegacySales(address _seller) private {
+        Sale[] memory legacySales = legacySellers[_seller];
+        delete legacySellers[_seller];
+        for (uint256 i = 0; i < legacySales.length; i++) {
+            addSale(
+                _seller,
+                legacySales[i].id,
+                legacySales[i].assets,
+                legacySales[i].prices,
+                legacySales[i].buyer
+            );
+            addEscrow(legacySales[i].assets);
+        }
+    }
+}
@@ -0,0 +1,1592 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./interfaces/IAavegotchi.sol";
+
+/**
+ * @title GotchiswapBase
+ * @dev Storage, events and internal logic shared by Gotchiswap and its extension.
+ *      Both run in the context of the Gotchiswap proxy, so state variables
+ *      must only ever be appended.
+ */
+abstract contract GotchiswapBase is Initializable, ReentrancyGuardUpgradeable {
+    // Admin address (For testing on mainnet, can be disabled)
+    address public adminAddress;
+
+    // Token types
+    enum AssetClass {
+        ERC20,
+        ERC1155,
+        ERC721,
+        NATIVE
+    }
+
+    // Struct representing a trade.
+    struct Sale {
+        uint256 id;
+        Asset[] assets;
+        Asset[] prices;
+        address buyer;
+    }
+
+    // Struct representing an asset to trade for or against.
+    struct Asset {
+        AssetClass class;
+        address addr;
+        uint256 id;
+        uint256 qty;
+    }
+
+    // Struct representing a reference to a sale made by a seller for a buyer.
+    struct SaleRef {
+        address seller;
+        uint256 id;
+    }
+
+    // Struct representing a list of sale IDs in the order the sales were added.
+    // Sales are stored by position, the sale at index 0 being at position 'first'.
+    struct SaleList {
+        uint256 length;
+        uint256 first;
+        mapping(uint256 => uint256) ids;
+        mapping(uint256 => uint256) positions;
+    }
+
+    // Struct representing a bundle of assets
+    struct Items {
+        AssetClass[] classes;
+        address[] contracts;
+        uint256[] ids;
+        uint256[] amounts;
+    }
+
+    // Struct representing a royalty paid to the creator of a traded asset
+    struct Royalty {
+        address receiver;
+        AssetClass class;
+        address token;
+        uint256 amount;
+    }
+
+    // Struct representing a sale signed off-chain by the seller (EIP-712 'Sale' type)
+    struct SaleOrder {
+        Asset[] assets;
+        Asset[] prices;
+        address buyer;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Struct representing a sale with its seller and expiry, as returned by the paginated views
+    struct SaleDetails {
+        Sale sale;
+        address seller;
+        uint256 deadline;
+    }
+
+    // Legacy sales storage, emptied seller by seller after upgrading.
+    // Buyer references are kept, those of migrated sellers are ignored.
+    /// @custom:oz-renamed-from sellers
+    mapping(address => Sale[]) legacySellers;
+    /// @custom:oz-renamed-from buyers
+    mapping(address => SaleRef[]) legacyBuyers;
+
+    // Global sale ID that gets incremented with each sale.
+    uint256 saleId;
+
+    // Global allowlist status (enabled by default)
+    bool public allowlistDisabled;
+
+    // Allowlist status of token contracts
+    mapping(address => bool) contractsAllowlist;
+
+    // Expiry timestamp of sales by sale ID (0 for no expiry)
+    mapping(uint256 => uint256) saleDeadlines;
+
+    // Map sale IDs to their seller
+    mapping(uint256 => address) saleSellers;
+
+    // Sales by sale ID
+    mapping(uint256 => Sale) sales;
+
+    // Map sale IDs to sellers and offers to buyers.
+    // Open sales have no buyer and are referenced by the null address.
+    mapping(address => SaleList) sellerSales;
+    mapping(address => SaleList) buyerOffers;
+
+    // Prices proposed by buyers in place of the sale prices, by sale ID
+    mapping(uint256 => Asset[]) counterOffers;
+
+    // Struct representing a bid: the bidder escrows the prices to get the
+    // assets from the seller.
+    struct Bid {
+        uint256 id;
+        Asset[] assets;
+        Asset[] prices;
+        address bidder;
+        address seller;
+    }
+
+    // Global bid ID that gets incremented with each bid.
+    uint256 bidId;
+
+    // Bids by bid ID
+    mapping(uint256 => Bid) bids;
+
+    // Map bid IDs to bidders and to the sellers they are made to.
+    mapping(address => uint256[]) bidderBids;
+    mapping(address => uint256[]) sellerBids;
+
+    // Map bid IDs to their index in the bidder's and the seller's bids lists
+    mapping(uint256 => uint256) bidderBidIndexes;
+    mapping(uint256 => uint256) sellerBidIndexes;
+
+    // Maximum protocol fee in basis points
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    // Protocol fee in basis points taken from the ERC20 prices of a trade
+    uint256 public feeBps;
+
+    // Address receiving the protocol fees (fees are disabled while unset)
+    address public feeRecipient;
+
+    // Maximum fee taken from a single ERC20 price by token (0 for no cap)
+    mapping(address => uint256) public feeCaps;
+
+    // ERC20 token and amount of the flat fee charged on trades without ERC20 prices
+    address public flatFeeToken;
+    uint256 public flatFee;
+
+    // Whether EIP-2981 royalties are paid on every trade, or only for sellers
+    // who opted in
+    bool public royaltiesEnforced;
+    mapping(address => bool) public royaltiesOptIns;
+
+    // Nonces of signed sales filled or cancelled, by seller
+    mapping(address => mapping(uint256 => bool)) usedNonces;
+
+    // Nonces below which signed sales are cancelled, by seller
+    mapping(address => uint256) public minNonces;
+
+    // Sales that buyers can conclude part of, by sale ID
+    mapping(uint256 => bool) partialFills;
+
+    // Native value sent with the current call and not spent yet
+    uint256 unspentValue;
+
+    // Native payments that could not be sent, to be withdrawn by their recipient
+    mapping(address => uint256) public pendingWithdrawals;
+
+    // Struct representing the state of an escrowed gotchi when it was listed:
+    // its equipped wearables and the GHST balance of its pocket.
+    struct GotchiSnapshot {
+        address addr;
+        uint256 id;
+        uint16[16] wearables;
+        uint256 pocket;
+    }
+
+    // Snapshots of the gotchis sold, by sale ID
+    mapping(uint256 => GotchiSnapshot[]) snapshots;
+
+    // Whether trading is halted, sellers can still abort their sales
+    bool public paused;
+
+    // Token contracts that cannot be traded, even when allowed
+    mapping(address => bool) public frozenContracts;
+
+    // Roles the admin can grant to delegate its actions:
+    // - allowlist managers allow and disallow token contracts
+    // - pausers pause trading and freeze token contracts
+    // - rescuers withdraw tokens sent by mistake, timelocked for escrowed ones
+    // - upgraders migrate the storage after upgrades, which are made by the
+    //   owner of the ProxyAdmin
+    bytes32 public constant ALLOWLIST_MANAGER_ROLE =
+        keccak256("ALLOWLIST_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant RESCUER_ROLE = keccak256("RESCUER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    // Accounts holding each role
+    mapping(bytes32 => mapping(address => bool)) roles;
+
+    // Amounts held for active sales, bids and pending withdrawals, by token
+    // contract and token ID (ERC20 and native amounts under ID 0, native value
+    // under the zero address). Only the surplus above can be rescued right away.
+    mapping(address => mapping(uint256 => uint256)) public escrowBalances;
+
+    // Whether the escrow balances include every active sale, false until the
+    // legacy sales of an upgraded proxy are migrated
+    bool escrowTracked;
+
+    // Timestamps after which queued rescues can be executed, by operation ID
+    mapping(bytes32 => uint256) public rescueOperations;
+
+    // Maximum number of buyers a group sale can be offered to
+    uint256 public constant MAX_SALE_BUYERS = 20;
+
+    // Buyers a group sale is offered to besides its buyer, by sale ID
+    mapping(uint256 => address[]) saleBuyers;
+
+    // Token the buyers of an open sale must hold, by sale ID (none when unset)
+    mapping(uint256 => Asset) saleGates;
+
+    // ERC20 contracts allowed to take a fee on the tokens escrowed: the sale
+    // or bid records what was received, others revert on any shortfall
+    mapping(address => bool) transferFeesAccepted;
+
+    // Events
+    event CreateSale(
+        address indexed seller,
+        uint256 indexed id,
+        Asset[] assets,
+        Asset[] prices,
+        address indexed _buyer,
+        uint256 deadline
+    );
+    event ConcludeSale(address indexed buyer, uint256 indexed id, Sale sale);
+    event AbortSale(address indexed seller, uint256 indexed id, Sale sale);
+    event CreateCounterOffer(
+        uint256 indexed id,
+        address indexed buyer,
+        Asset[] prices
+    );
+    event AcceptCounterOffer(
+        uint256 indexed id,
+        address indexed seller,
+        Asset[] prices
+    );
+    event RejectCounterOffer(uint256 indexed id, address indexed seller);
+    event AbortCounterOffer(uint256 indexed id, address indexed buyer);
+    event CreateBid(
+        address indexed bidder,
+        uint256 indexed id,
+        Asset[] assets,
+        Asset[] prices,
+        address indexed seller
+    );
+    event AcceptBid(address indexed seller, Bid bid);
+    event CancelBid(address indexed bidder, Bid bid);
+    event ChangeFee(uint256 feeBps);
+    event ChangeFeeRecipient(address indexed recipient);
+    event ChangeFeeCap(address indexed token, uint256 cap);
+    event ChangeFlatFee(address indexed token, uint256 amount);
+    event ChangeRoyaltiesEnforced(bool enforced);
+    event ChangeRoyaltiesOptIn(address indexed seller, bool optIn);
+    event FillSignedSale(
+        address indexed seller,
+        address indexed buyer,
+        uint256 indexed nonce,
+        SaleOrder order
+    );
+    event CancelNonce(address indexed seller, uint256 nonce);
+    event CancelNoncesBelow(address indexed seller, uint256 minNonce);
+    event FillSale(
+        address indexed buyer,
+        uint256 indexed id,
+        Asset[] assets,
+        Asset[] prices
+    );
+    event DeferPayment(address indexed recipient, uint256 amount);
+    event SnapshotSale(uint256 indexed id, GotchiSnapshot[] snapshots);
+    event ChangePaused(bool paused);
+    event ChangeContractFrozen(address indexed token, bool frozen);
+    event ChangeTransferFeeAccepted(address indexed token, bool accepted);
+    event GrantRole(bytes32 indexed role, address indexed account);
+    event RevokeRole(bytes32 indexed role, address indexed account);
+    event QueueRescue(
+        bytes32 indexed operation,
+        Asset asset,
+        uint256 readyTimestamp
+    );
+    event CancelRescue(bytes32 indexed operation);
+    event ExecuteRescue(bytes32 indexed operation, address indexed recipient);
+    event Withdraw(address indexed recipient, uint256 amount);
+    event AddSaleBuyers(uint256 indexed id, address[] buyers);
+    event GateSale(uint256 indexed id, Asset gate);
+    event FailBatchItem(uint256 indexed index, bytes reason);
+
+    /**
+     * @dev Modifier that only allows the admin to perform certain functions.
+     */
+    modifier onlyAdmin() {
+        require(
+            msg.sender == adminAddress,
+            "Gotchiswap: Only the admin can perform this action"
+        );
+        _;
+    }
+
+    /**
+     * @dev Modifier that only allows the accounts holding a role to perform certain functions.
+     * @param _role The role required.
+     */
+    modifier onlyRole(bytes32 _role) {
+        require(
+            roles[_role][msg.sender],
+            "Gotchiswap: Caller is missing the role"
+        );
+        _;
+    }
+
+    /**
+     * @dev Modifier that blocks trading while the contract is paused.
+     */
+    modifier whenNotPaused() {
+        require(!paused, "Gotchiswap: Trading is paused");
+        _;
+    }
+
+    /**
+     * @dev Modifier that lets a function spend the native value sent with the
+     *      call, and refunds the caller what was not spent.
+     */
+    modifier spendsValue() {
+        if (msg.value > 0) {
+            unspentValue = msg.value;
+        }
+        _;
+        refundValue();
+    }
+
+    /**
+     * @dev Internal function to validate a bundle, escrow the seller's assets
+     *      and register the sale.
+     * @param _buyer The address of the buyer, null address for an open sale.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @return id The ID of the sale.
+     */
+    function listSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        address _buyer,
+        uint256 _deadline
+    ) internal returns (uint256 id) {
+        require(
+            _deadline == 0 || _deadline > block.timestamp,
+            "Gotchiswap: Deadline must be in the future"
+        );
+
+        (Asset[] memory assets, Asset[] memory prices) = toBundles(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts
+        );
+
+        // Transfer the seller's assets to the contract first, the sale
+        // records the ERC20 amounts received net of transfer fees
+        transferAssets(msg.sender, address(this), assets);
+
+        // Keep the legacy sales of the seller before the new one
+        migrateSeller(msg.sender);
+
+        // Get the next available ID
+        id = getNextSaleId();
+
+        // Add the sale to the seller's sales list and the buyer's offers list
+        // pass the in-memory objects to be stored in the state variable
+        addSale(msg.sender, id, assets, prices, _buyer);
+        if (_deadline > 0) {
+            saleDeadlines[id] = _deadline;
+        }
+
+        emit CreateSale(msg.sender, id, assets, prices, _buyer, _deadline);
+    }
+
+    /**
+     * @dev Internal function to validate a bundle of assets and prices and
+     *      build their lists from arrays of attributes.
+     * @param _assetClasses Classes of the assets being traded.
+     * @param _assetContracts Addresses of the asset contracts.
+     * @param _assetIds IDs of the asset tokens.
+     * @param _assetAmounts Amounts of the asset tokens.
+     * @param _priceClasses Classes of the prices being asked.
+     * @param _priceContracts Addresses of the price contracts.
+     * @param _priceIds IDs of the price tokens.
+     * @param _priceAmounts Amounts of the price tokens.
+     * @return assets The list of assets.
+     * @return prices The list of prices.
+     * @dev Reverts for array of 0 length.
+     * @dev Reverts for 0 amounts.
+     */
+    function toBundles(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts
+    ) internal view returns (Asset[] memory assets, Asset[] memory prices) {
+        // Verify for valid input
+        require(
+            _assetClasses.length > 0,
+            "Gotchiswap: Assets list cannot be empty"
+        );
+        require(
+            _priceClasses.length > 0,
+            "Gotchiswap: Prices list cannot be empty"
+        );
+        require(
+            _assetClasses.length == _assetContracts.length &&
+                _assetClasses.length == _assetIds.length &&
+                _assetClasses.length == _assetAmounts.length,
+            "Gotchiswap: Assets parameters length should all be the same"
+        );
+        require(
+            _priceClasses.length == _priceContracts.length &&
+                _priceClasses.length == _priceIds.length &&
+                _priceClasses.length == _priceAmounts.length,
+            "Gotchiswap: Prices parameters length should all be the same"
+        );
+
+        assets = toAssets(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts
+        );
+        prices = toAssets(
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts
+        );
+    }
+
+    /**
+     * @dev Internal function to build a list of assets from arrays of attributes.
+     * @param _classes Classes of the assets.
+     * @param _contracts Addresses of the asset contracts.
+     * @param _ids IDs of the asset tokens.
+     * @param _amounts Amounts of the asset tokens.
+     * @return assets The list of assets.
+     * @dev Reverts for 0 amounts.
+     * @dev Reverts for frozen contracts.
+     */
+    function toAssets(
+        AssetClass[] memory _classes,
+        address[] memory _contracts,
+        uint256[] memory _ids,
+        uint256[] memory _amounts
+    ) internal view returns (Asset[] memory assets) {
+        // create fixed length array in memory
+        assets = new Asset[](_classes.length);
+
+        for (uint256 i = 0; i < _classes.length; i++) {
+            require(
+                _amounts[i] > 0,
+                "Gotchiswap: Amount must be greater than 0"
+            );
+            require(
+                _classes[i] != AssetClass.NATIVE ||
+                    (_contracts[i] == address(0) && _ids[i] == 0),
+                "Gotchiswap: Native asset must have no contract and id"
+            );
+            require(
+                !frozenContracts[_contracts[i]],
+                "Gotchiswap: Contract is frozen"
+            );
+
+            // create a new instance at each loop
+            Asset memory asset;
+
+            // fill in the values
+            asset.class = _classes[i];
+            asset.addr = _contracts[i];
+            asset.id = _ids[i];
+            asset.qty = _amounts[i];
+
+            // save it
+            assets[i] = asset;
+        }
+    }
+
+    /**
+     * @dev Internal function to split a list of assets into arrays of attributes.
+     * @param _assets The assets to split.
+     * @return items The classes, contracts, ids and amounts of the assets.
+     */
+    function toItems(
+        Asset[] memory _assets
+    ) internal pure returns (Items memory items) {
+        items.classes = new AssetClass[](_assets.length);
+        items.contracts = new address[](_assets.length);
+        items.ids = new uint256[](_assets.length);
+        items.amounts = new uint256[](_assets.length);
+
+        for (uint256 i = 0; i < _assets.length; i++) {
+            items.classes[i] = _assets[i].class;
+            items.contracts[i] = _assets[i].addr;
+            items.ids[i] = _assets[i].id;
+            items.amounts[i] = _assets[i].qty;
+        }
+    }
+
+    /**
+     * @dev Internal function to get the seller of a sale.
+     * @param _id The ID of the sale.
+     * @return seller The address of the seller.
+     * @dev Reverts if the sale is not found.
+     */
+    function findSale(uint256 _id) internal view returns (address seller) {
+        seller = saleSellers[_id];
+        require(seller != address(0), "Gotchiswap: Sale not found");
+    }
+
+    /**
+     * @dev Internal function to settle a sale.
+     * @param _seller The address of the seller.
+     * @param _buyer The address of the buyer.
+     * @param _sale The sale to settle, with the prices paid by the buyer.
+     */
+    function settleSale(
+        address _seller,
+        address _buyer,
+        Sale memory _sale
+    ) internal {
+        requireEligible(_sale.id, _buyer);
+        require(!isExpired(_sale.id), "Gotchiswap: Sale has expired");
+        require(
+            snapshotsMatch(_sale.id),
+            "Gotchiswap: Gotchi does not match its snapshot"
+        );
+
+        // Remove the offer from the buyer's offers list
+        removeSale(_sale.id);
+
+        // Transfer the buyer assets to the seller
+        payPrices(_buyer, _seller, _sale.assets, _sale.prices);
+
+        // Transfer the seller's assets to the buyer
+        transferAssets(address(this), _buyer, _sale.assets);
+
+        emit ConcludeSale(_buyer, _sale.id, _sale);
+    }
+
+    /**
+     * @dev Internal function to pay the prices of a trade to the seller minus
+     *      the protocol fee and the royalties.
+     *      The fee is a share of each ERC20 or native price, capped per token.
+     *      Trades without such prices are charged the flat fee instead, paid by
+     *      the caller concluding the trade.
+     * @param _from The address holding the prices.
+     * @param _seller The address of the seller.
+     * @param _assets The assets of the trade.
+     * @param _prices The prices of the trade.
+     * @dev Reverts if an asset or a price is from a frozen contract.
+     */
+    function payPrices(
+        address _from,
+        address _seller,
+        Asset[] memory _assets,
+        Asset[] memory _prices
+    ) internal {
+        requireNotFrozen(_assets);
+        requireNotFrozen(_prices);
+
+        (
+            Asset[] memory proceeds,
+            uint256[] memory fees,
+            Royalty[] memory royalties
+        ) = getProceeds(_seller, _assets, _prices);
+        transferAssets(_from, _seller, proceeds);
+
+        bool hasCurrency;
+        for (uint256 i = 0; i < _prices.length; i++) {
+            if (isCurrency(_prices[i].class)) {
+                hasCurrency = true;
+                if (fees[i] > 0) {
+                    transferAsset(
+                        _from,
+                        feeRecipient,
+                        Asset(_prices[i].class, _prices[i].addr, 0, fees[i])
+                    );
+                }
+            }
+        }
+
+        for (uint256 i = 0; i < royalties.length; i++) {
+            if (royalties[i].amount > 0) {
+                transferAsset(
+                    _from,
+                    royalties[i].receiver,
+                    Asset(
+                        royalties[i].class,
+                        royalties[i].token,
+                        0,
+                        royalties[i].amount
+                    )
+                );
+            }
+        }
+
+        if (!hasCurrency && flatFee > 0 && feeRecipient != address(0)) {
+            transferERC20(msg.sender, feeRecipient, flatFeeToken, flatFee);
+        }
+    }
+
+    /**
+     * @dev Internal function to compute what the seller receives for a trade.
+     *      Each ERC20 or native price is shared evenly between the assets to
+     *      compute their royalties.
+     * @param _seller The address of the seller.
+     * @param _assets The assets of the trade.
+     * @param _prices The prices of the trade.
+     * @return proceeds The prices minus the protocol fee and the royalties.
+     * @return fees The fee taken from each price.
+     * @return royalties The royalties taken from each price for each asset.
+     */
+    function getProceeds(
+        address _seller,
+        Asset[] memory _assets,
+        Asset[] memory _prices
+    )
+        internal
+        view
+        returns (
+            Asset[] memory proceeds,
+            uint256[] memory fees,
+            Royalty[] memory royalties
+        )
+    {
+        proceeds = new Asset[](_prices.length);
+        fees = new uint256[](_prices.length);
+        royalties = new Royalty[](_prices.length * _assets.length);
+        bool payRoyalties = royaltiesEnforced || royaltiesOptIns[_seller];
+
+        for (uint256 i = 0; i < _prices.length; i++) {
+            // copy the price so the caller's list is left untouched
+            proceeds[i] = Asset(
+                _prices[i].class,
+                _prices[i].addr,
+                _prices[i].id,
+                _prices[i].qty
+            );
+            if (!isCurrency(_prices[i].class)) {
+                continue;
+            }
+
+            if (feeRecipient != address(0)) {
+                fees[i] = (_prices[i].qty * feeBps) / 10000;
+                uint256 cap = feeCaps[_prices[i].addr];
+                if (cap > 0 && fees[i] > cap) {
+                    fees[i] = cap;
+                }
+                proceeds[i].qty -= fees[i];
+            }
+
+            if (!payRoyalties) {
+                continue;
+            }
+            for (uint256 j = 0; j < _assets.length; j++) {
+                Royalty memory royalty = getRoyalty(
+                    _assets[j],
+                    _prices[i].qty / _assets.length
+                );
+                royalty.class = _prices[i].class;
+                royalty.token = _prices[i].addr;
+
+                // never take more than what is left for the seller
+                if (royalty.amount > proceeds[i].qty) {
+                    royalty.amount = proceeds[i].qty;
+                }
+                proceeds[i].qty -= royalty.amount;
+                royalties[i * _assets.length + j] = royalty;
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to get the EIP-2981 royalty of an asset.
+     * @param _asset The asset being traded.
+     * @param _salePrice The share of the price paid for the asset.
+     * @return royalty The receiver and amount of the royalty, none for
+     *         currencies, if the asset contract does not implement EIP-2981
+     *         and if its 'royaltyInfo' reverts. Never more than the share of
+     *         the price.
+     */
+    function getRoyalty(
+        Asset memory _asset,
+        uint256 _salePrice
+    ) internal view returns (Royalty memory royalty) {
+        // calls to addresses without code return no data to decode
+        if (isCurrency(_asset.class) || _asset.addr.code.length == 0) {
+            return royalty;
+        }
+        try
+            IERC165(_asset.addr).supportsInterface(type(IERC2981).interfaceId)
+        returns (bool supported) {
+            if (!supported) {
+                return royalty;
+            }
+        } catch {
+            return royalty;
+        }
+
+        // a broken royalty must not block the sales of the asset
+        try IERC2981(_asset.addr).royaltyInfo(_asset.id, _salePrice) returns (
+            address receiver,
+            uint256 amount
+        ) {
+            if (receiver == address(0)) {
+                return royalty;
+            }
+            royalty.receiver = receiver;
+            royalty.amount = amount > _salePrice ? _salePrice : amount;
+        } catch {
+            return royalty;
+        }
+    }
+
+    /**
+     * @dev Internal function to remove a sale and return its assets to the seller.
+     * @param _seller The address of the seller.
+     * @param _id The ID of the sale.
+     */
+    function cancelSale(address _seller, uint256 _id) internal {
+        // Get the sale to be aborted
+        Sale memory sale = sales[_id];
+
+        // Remove the sale from the seller's sales list
+        removeSale(_id);
+
+        // Transfer back assets to seller
+        transferAssets(address(this), _seller, sale.assets);
+
+        emit AbortSale(_seller, _id, sale);
+    }
+
+    /**
+     * @dev Internal function to mark a sale as partially fillable.
+     * @param _id The ID of the sale.
+     */
+    function allowPartialFills(uint256 _id) internal {
+        Sale storage sale = sales[_id];
+        for (uint256 i = 0; i < sale.assets.length; i++) {
+            require(
+                sale.assets[i].class != AssetClass.ERC721,
+                "Gotchiswap: Partial fills need fungible assets and prices"
+            );
+        }
+        for (uint256 i = 0; i < sale.prices.length; i++) {
+            require(
+                sale.prices[i].class != AssetClass.ERC721,
+                "Gotchiswap: Partial fills need fungible assets and prices"
+            );
+        }
+        partialFills[_id] = true;
+    }
+
+    /**
+     * @dev Internal function to snapshot the gotchis sold in a sale.
+     *      Every ERC721 asset of the sale is read as an Aavegotchi.
+     * @param _id The ID of the sale.
+     */
+    function snapshotGotchis(uint256 _id) internal {
+        Asset[] storage assets = sales[_id].assets;
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].class != AssetClass.ERC721) {
+                continue;
+            }
+            snapshots[_id].push(
+                getGotchiSnapshot(assets[i].addr, assets[i].id)
+            );
+        }
+        require(snapshots[_id].length > 0, "Gotchiswap: No gotchi to snapshot");
+
+        emit SnapshotSale(_id, snapshots[_id]);
+    }
+
+    /**
+     * @dev Internal function to check the gotchis of a sale still match their snapshots.
+     *      The pocket balance can grow, as anyone can send GHST to a pocket.
+     * @param _id The ID of the sale.
+     * @return False if a gotchi changed its wearables or its pocket balance
+     *         dropped, true otherwise.
+     */
+    function snapshotsMatch(uint256 _id) internal view returns (bool) {
+        GotchiSnapshot[] storage saleSnapshots = snapshots[_id];
+        for (uint256 i = 0; i < saleSnapshots.length; i++) {
+            GotchiSnapshot memory snapshot = getGotchiSnapshot(
+                saleSnapshots[i].addr,
+                saleSnapshots[i].id
+            );
+            if (
+                keccak256(abi.encode(snapshot.wearables)) !=
+                keccak256(abi.encode(saleSnapshots[i].wearables)) ||
+                snapshot.pocket < saleSnapshots[i].pocket
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Internal function to read the current state of a gotchi.
+     * @param _aavegotchi The address of the Aavegotchi diamond.
+     * @param _tokenId The ID of the gotchi.
+     * @return snapshot The equipped wearables and pocket GHST balance of the gotchi.
+     */
+    function getGotchiSnapshot(
+        address _aavegotchi,
+        uint256 _tokenId
+    ) internal view returns (GotchiSnapshot memory snapshot) {
+        (, address pocket, ) = IAavegotchi(_aavegotchi).collateralBalance(
+            _tokenId
+        );
+        snapshot.addr = _aavegotchi;
+        snapshot.id = _tokenId;
+        snapshot.wearables = IAavegotchi(_aavegotchi).equippedWearables(
+            _tokenId
+        );
+        snapshot.pocket = IERC20(IAavegotchi(_aavegotchi).ghstAddress())
+            .balanceOf(pocket);
+    }
+
+    /**
+     * @dev Internal function to transfer a list of assets from one address to another.
+     *      The ERC1155 assets of a same contract are sent in a single batch
+     *      transfer to accounts without code and to this contract, while
+     *      other contracts get them one by one with 'onERC1155Received' as
+     *      they may not implement 'onERC1155BatchReceived'. The ERC20 assets
+     *      of a same token are sent in a single transfer.
+     *      The amounts of ERC20 assets escrowed are updated to the amounts
+     *      received when their token takes transfer fees.
+     * @param _from The address from which the assets will be transferred.
+     * @param _to The address to which the assets will be transferred.
+     * @param _assets An array of Asset struct representing the assets to be transferred.
+     * @dev Reverts if the destination address is invalid.
+     * @dev Reverts if any of the asset contracts have an invalid address.
+     * @dev Reverts if a contract address is not in the allowlist and the allowlist is not disabled.
+     * @dev Reverts if ERC20 tokenId is not 0 or ERC721 amount is not 1.
+     * @dev Reverts if an ERC20 token takes a fee on the tokens escrowed
+     *      without being accepted to.
+     */
+    function transferAssets(
+        address _from,
+        address _to,
+        Asset[] memory _assets
+    ) internal {
+        require(_to != address(0), "Gotchiswap: Invalid destination address");
+
+        bool[] memory sent = new bool[](_assets.length);
+        for (uint256 i = 0; i < _assets.length; i++) {
+            if (sent[i]) {
+                continue;
+            }
+            Asset memory asset = _assets[i];
+
+            // Count the assets to send along with this one
+            uint256 count = 1;
+            if (
+                (asset.class == AssetClass.ERC1155 &&
+                    (_to == address(this) || _to.code.length == 0)) ||
+                // Tokens taking fees are sent one by one so each asset records
+                // the amount received
+                (asset.class == AssetClass.ERC20 &&
+                    !transferFeesAccepted[asset.addr])
+            ) {
+                for (uint256 j = i + 1; j < _assets.length; j++) {
+                    if (isSameToken(_assets[j], asset)) {
+                        count++;
+                    }
+                }
+            }
+            if (count == 1) {
+                transferAsset(_from, _to, asset);
+                continue;
+            }
+
+            uint256[] memory ids = new uint256[](count);
+            uint256[] memory amounts = new uint256[](count);
+            uint256 total;
+            count = 0;
+            for (uint256 j = i; j < _assets.length; j++) {
+                if (j == i || isSameToken(_assets[j], asset)) {
+                    prepareTransfer(_from, _to, _assets[j]);
+                    ids[count] = _assets[j].id;
+                    amounts[count] = _assets[j].qty;
+                    total += _assets[j].qty;
+                    sent[j] = true;
+                    count++;
+                }
+            }
+
+            if (asset.class == AssetClass.ERC1155) {
+                ERC1155(asset.addr).safeBatchTransferFrom(
+                    _from,
+                    _to,
+                    ids,
+                    amounts,
+                    ""
+                );
+            } else {
+                transferERC20(_from, _to, asset.addr, total);
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to transfer an asset from one address to another.
+     * @param _from The address from which the asset will be transferred.
+     * @param _to The address to which the asset will be transferred.
+     * @param _asset The asset to be transferred.
+     */
+    function transferAsset(
+        address _from,
+        address _to,
+        Asset memory _asset
+    ) internal {
+        prepareTransfer(_from, _to, _asset);
+
+        if (_asset.class == AssetClass.NATIVE) {
+            transferNative(_from, _to, _asset.qty);
+        } else if (_asset.class == AssetClass.ERC721) {
+            // Transfer ERC721 token
+            transferERC721(_from, _to, _asset.addr, _asset.id);
+        } else if (_asset.class == AssetClass.ERC1155) {
+            // Transfer ERC1155 token
+            transferERC1155(_from, _to, _asset.addr, _asset.id, _asset.qty);
+        } else if (_asset.class == AssetClass.ERC20) {
+            // Transfer ERC20 token
+            uint256 received = transferERC20(
+                _from,
+                _to,
+                _asset.addr,
+                _asset.qty
+            );
+            if (received < _asset.qty) {
+                if (_to == address(this)) {
+                    // Only the amount received stays in escrow
+                    escrowBalances[_asset.addr][0] -= _asset.qty - received;
+                }
+                _asset.qty = received;
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to validate an asset about to be transferred and
+     *      keep count of what the contract holds in escrow.
+     * @param _from The address from which the asset will be transferred.
+     * @param _to The address to which the asset will be transferred.
+     * @param _asset The asset to be transferred.
+     */
+    function prepareTransfer(
+        address _from,
+        address _to,
+        Asset memory _asset
+    ) internal {
+        // Keep count of what the contract holds in escrow
+        if (_to == address(this)) {
+            escrowBalances[_asset.addr][_asset.id] += _asset.qty;
+        } else if (_from == address(this)) {
+            escrowBalances[_asset.addr][_asset.id] -= _asset.qty;
+        }
+
+        if (_asset.class == AssetClass.NATIVE) {
+            require(
+                _asset.addr == address(0) && _asset.id == 0,
+                "Gotchiswap: Native asset must have no contract and id"
+            );
+            return;
+        }
+
+        require(
+            _asset.addr != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+
+        // Ensure that the contract address is either in the allowlist or allowlist is disabled
+        require(
+            contractsAllowlist[_asset.addr] || allowlistDisabled,
+            "Gotchiswap: Contract address in not allowed"
+        );
+
+        if (_asset.class == AssetClass.ERC721) {
+            require(
+                _asset.qty == 1,
+                "Gotchiswap: Amount for ERC721 token must be 1"
+            );
+        } else if (_asset.class == AssetClass.ERC20) {
+            require(
+                _asset.id == 0,
+                "Gotchiswap: Id for ERC20 must be set to 0"
+            );
+        }
+    }
+
+    /**
+     * @dev Internal function to check if two assets are tokens of the same class and contract.
+     * @param _asset The asset to check.
+     * @param _other The asset to compare with.
+     * @return True if both assets have the same class and contract, false otherwise.
+     */
+    function isSameToken(
+        Asset memory _asset,
+        Asset memory _other
+    ) internal pure returns (bool) {
+        return _asset.class == _other.class && _asset.addr == _other.addr;
+    }
+
+    /**
+     * @dev Transfers native value from one address to another.
+     *      Value from an address other than the contract must be sent with
+     *      the call by the caller.
+     * @param _from The address from which the value is being transferred.
+     * @param _to The address to which the value will be transferred.
+     * @param _amount The amount of native value being transferred.
+     */
+    function transferNative(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal {
+        if (_from != address(this)) {
+            require(
+                _from == msg.sender && _amount <= unspentValue,
+                "Gotchiswap: Insufficient native value sent"
+            );
+            unspentValue -= _amount;
+        }
+        if (_to != address(this)) {
+            sendNative(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Sends native value held by the contract.
+     *      If the recipient rejects it, the value is kept for the recipient to
+     *      withdraw it instead.
+     * @param _to The address to which the value will be sent.
+     * @param _amount The amount of native value being sent.
+     */
+    function sendNative(address _to, uint256 _amount) internal {
+        (bool success, ) = _to.call{value: _amount}("");
+        if (!success) {
+            pendingWithdrawals[_to] += _amount;
+            escrowBalances[address(0)][0] += _amount;
+            emit DeferPayment(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Internal function to refund the caller the native value not spent by the call.
+     */
+    function refundValue() internal {
+        uint256 value = unspentValue;
+        if (value > 0) {
+            unspentValue = 0;
+            sendNative(msg.sender, value);
+        }
+    }
+
+    /**
+     * @dev Transfers an ERC721 token from one address to another.
+     * @param _from The address from which the token is being transferred.
+     * @param _to The address to which the token will be transferred.
+     * @param _tokenAddress The address of the ERC721 token contract.
+     * @param _tokenId The ID of the ERC721 token being transferred.
+     */
+    function transferERC721(
+        address _from,
+        address _to,
+        address _tokenAddress,
+        uint256 _tokenId
+    ) internal {
+        ERC721(_tokenAddress).safeTransferFrom(_from, _to, _tokenId, "");
+    }
+
+    /**
+     * @dev Transfers ERC1155 tokens from one address to another.
+     * @param _from The address from which the tokens are being transferred.
+     * @param _to The address to which the tokens will be transferred.
+     * @param _tokenAddress The address of the ERC1155 token contract.
+     * @param _tokenId The ID of the ERC1155 token being transferred.
+     * @param _amount The amount of ERC1155 tokens being transferred.
+     */
+    function transferERC1155(
+        address _from,
+        address _to,
+        address _tokenAddress,
+        uint256 _tokenId,
+        uint256 _amount
+    ) internal {
+        ERC1155(_tokenAddress).safeTransferFrom(
+            _from,
+            _to,
+            _tokenId,
+            _amount,
+            ""
+        );
+    }
+
+    /**
+     * @dev Transfers ERC20 tokens from one address to another.
+     *      Tokens sent to the contract are counted from its balance, in case
+     *      the token takes a fee on transfer. Tokens sent by the contract are
+     *      reduced in proportion when its balance fell below the escrowed
+     *      amount, so that each escrow bears its share of the loss.
+     * @param _from The address from which the tokens are being transferred.
+     * @param _to The address to which the tokens will be transferred.
+     * @param _tokenAddress The address of the ERC20 token contract.
+     * @param _amount The amount of ERC20 tokens being transferred, already
+     *        removed from the escrowed amount when sent by the contract.
+     * @return The amount of ERC20 tokens received by the contract, or the
+     *         amount sent for transfers to other addresses.
+     * @dev Reverts if the contract receives less than the amount sent and the
+     *      token is not accepted to take transfer fees.
+     */
+    function transferERC20(
+        address _from,
+        address _to,
+        address _tokenAddress,
+        uint256 _amount
+    ) internal returns (uint256) {
+        IERC20 token = IERC20(_tokenAddress);
+        if (_from == address(this)) {
+            // Tokens whose balance dropped while escrowed, like rebasing
+            // tokens, are sent in proportion to what is left
+            uint256 balance = token.balanceOf(address(this));
+            uint256 escrowed = escrowBalances[_tokenAddress][0] + _amount;
+            if (balance < escrowed) {
+                _amount = (_amount * balance) / escrowed;
+            }
+            SafeERC20.safeTransfer(token, _to, _amount);
+            return _amount;
+        }
+        if (_to != address(this)) {
+            SafeERC20.safeTransferFrom(token, _from, _to, _amount);
+            return _amount;
+        }
+
+        uint256 balance = token.balanceOf(address(this));
+        SafeERC20.safeTransferFrom(token, _from, _to, _amount);
+        uint256 received = token.balanceOf(address(this)) - balance;
+        if (received >= _amount) {
+            return _amount;
+        }
+        require(
+            transferFeesAccepted[_tokenAddress],
+            "Gotchiswap: Token took a fee on transfer"
+        );
+        return received;
+    }
+
+    /**
+     * @dev Internal function to get a unique ID for each sale.
+     * @return A unique sale ID.
+     */
+    function getNextSaleId() internal returns (uint256) {
+        return saleId++;
+    }
+
+    /**
+     * @dev Internal function to add a sale to the seller's sales list and the buyer's offers list.
+     *      Converts memory to storage so arrays need to be fixed-sized.
+     * @param _seller The address of the seller who created the trade.
+     * @param _id The ID of the sale.
+     * @param _assets Assets offered to trade by the seller
+     * @param _prices Assets to be accepted from the buyer in exchange
+     * @param _buyer The address of the buyer who can purchase the assets (null for anyone).
+     */
+    function addSale(
+        address _seller,
+        uint256 _id,
+        Asset[] memory _assets,
+        Asset[] memory _prices,
+        address _buyer
+    ) internal {
+        Sale storage sale = sales[_id];
+
+        // Fill in the values
+        sale.id = _id;
+        for (uint256 i = 0; i < _assets.length; i++) {
+            sale.assets.push(_assets[i]);
+        }
+        for (uint256 i = 0; i < _prices.length; i++) {
+            sale.prices.push(_prices[i]);
+        }
+        sale.buyer = _buyer;
+
+        // Add the sale to the seller's sales list
+        saleSellers[_id] = _seller;
+        pushSale(sellerSales[_seller], _id);
+
+        // Add a reference to the sale in the buyer's offers list
+        pushSale(buyerOffers[_buyer], _id);
+    }
+
+    /**
+     * @dev Internal function to remove a sale from the seller's sales list and the buyer's offers list.
+     *      The other entries keep their order, see 'pullSale'.
+     * @param _id The ID of the sale to be removed.
+     */
+    function removeSale(uint256 _id) internal {
+        // Remove the sale from the seller's sales list
+        pullSale(sellerSales[saleSellers[_id]], _id);
+
+        // Remove the offer from the offers list of each buyer
+        pullSale(buyerOffers[sales[_id].buyer], _id);
+        address[] storage buyers = saleBuyers[_id];
+        for (uint256 i = 0; i < buyers.length; i++) {
+            pullSale(buyerOffers[buyers[i]], _id);
+        }
+
+        delete saleBuyers[_id];
+        delete saleGates[_id];
+        delete sales[_id];
+        delete counterOffers[_id];
+        delete saleDeadlines[_id];
+        delete saleSellers[_id];
+        delete partialFills[_id];
+        delete snapshots[_id];
+    }
+
+    /**
+     * @dev Internal function to offer a sale to more buyers than its buyer.
+     * @param _id The ID of the sale.
+     * @param _buyers The other buyers the sale is offered to.
+     * @dev Reverts on invalid or duplicate buyer addresses.
+     */
+    function addSaleBuyers(uint256 _id, address[] memory _buyers) internal {
+        address buyer = sales[_id].buyer;
+        for (uint256 i = 0; i < _buyers.length; i++) {
+            require(
+                _buyers[i] != address(0),
+                "Gotchiswap: Invalid buyer address"
+            );
+            require(_buyers[i] != buyer, "Gotchiswap: Duplicate buyer address");
+            for (uint256 j = 0; j < i; j++) {
+                require(
+                    _buyers[j] != _buyers[i],
+                    "Gotchiswap: Duplicate buyer address"
+                );
+            }
+            pushSale(buyerOffers[_buyers[i]], _id);
+            saleBuyers[_id].push(_buyers[i]);
+        }
+
+        emit AddSaleBuyers(_id, _buyers);
+    }
+
+    /**
+     * @dev Internal function to add a sale at the end of a list.
+     * @param _list The list of sale IDs.
+     * @param _id The ID of the sale.
+     */
+    function pushSale(SaleList storage _list, uint256 _id) internal {
+        uint256 position = _list.first + _list.length;
+        _list.ids[position] = _id;
+        _list.positions[_id] = position;
+        _list.length++;
+    }
+
+    /**
+     * @dev Internal function to remove a sale from a list, keeping the order of the others.
+     *      Only the sales between the removed one and the nearer end of the
+     *      list are moved, so removing the first or the last sale of a list
+     *      does not move any other.
+     * @param _list The list of sale IDs.
+     * @param _id The ID of the sale, which must be in the list.
+     */
+    function pullSale(SaleList storage _list, uint256 _id) internal {
+        uint256 position = _list.positions[_id];
+        uint256 end = _list.first + _list.length - 1;
+        if (position - _list.first < end - position) {
+            // Move the earlier sales one position up
+            for (uint256 i = position; i > _list.first; i--) {
+                moveSale(_list, i - 1, i);
+            }
+            delete _list.ids[_list.first];
+            _list.first++;
+        } else {
+            // Move the later sales one position down
+            for (uint256 i = position; i < end; i++) {
+                moveSale(_list, i + 1, i);
+            }
+            delete _list.ids[end];
+        }
+        delete _list.positions[_id];
+        _list.length--;
+    }
+
+    /**
+     * @dev Internal function to move a sale to another position of a list.
+     * @param _list The list of sale IDs.
+     * @param _from The position of the sale.
+     * @param _to The new position of the sale.
+     */
+    function moveSale(
+        SaleList storage _list,
+        uint256 _from,
+        uint256 _to
+    ) internal {
+        uint256 id = _list.ids[_from];
+        _list.ids[_to] = id;
+        _list.positions[id] = _to;
+    }
+
+    /**
+     * @dev Internal function to get the sale at an index of a list.
+     * @param _list The list of sale IDs.
+     * @param _index The index of the sale, which must be lower than the list length.
+     * @return The ID of the sale.
+     */
+    function getSaleAt(
+        SaleList storage _list,
+        uint256 _index
+    ) internal view returns (uint256) {
+        return _list.ids[_list.first + _index];
+    }
+
+    /**
+     * @dev Internal function to move the sales of a seller from the legacy
+     *      storage layout to the sales mapping, see 'migrateSellerSales'.
+     *      Sellers are migrated by 'migrateSales' after upgrading, or as soon
+     *      as they create a sale or one of their sales is aborted or concluded
+     *      by index.
+     * @param _seller The address of the seller.
+     * @dev Reverts if the migration fails.
+     */
+    function migrateSeller(address _seller) internal {
+        if (legacySellers[_seller].length == 0) {
+            return;
+        }
+        // The migration is implemented by GotchiswapAdmin, behind the extensions
+        (bool success, ) = address(this).call(
+            abi.encodeWithSignature("migrateSellerSales(address)", _seller)
+        );
+        require(success, "Gotchiswap: Sales migration failed");
+    }
+
+    /**
+     * @dev Internal function to get the offer made to a buyer at an index.
+     *      The offers of the sellers not migrated from the legacy storage
+     *      layout yet come after the others, in their legacy order.
+     * @param _buyer The address of the buyer.
+     * @param _index The index of the offer.
+     * @return seller The address of the seller who made the offer.
+     * @return id The ID of the sale.
+     * @dev Reverts if _index is invalid.
+     */
+    function getOfferAt(
+        address _buyer,
+        uint256 _index
+    ) internal view returns (address seller, uint256 id) {
+        SaleList storage list = buyerOffers[_buyer];
+        if (_index < list.length) {
+            id = getSaleAt(list, _index);
+            return (saleSellers[id], id);
+        }
+        _index -= list.length;
+        SaleRef[] storage refs = legacyBuyers[_buyer];
+        for (uint256 i = 0; i < refs.length; i++) {
+            if (legacySellers[refs[i].seller].length == 0) {
+                continue;
+            }
+            if (_index == 0) {
+                return (refs[i].seller, refs[i].id);
+            }
+            _index--;
+        }
+        revert("Gotchiswap: Index out of bound, no offer found");
+    }
+
+    /**
+     * @dev Internal function to get the number of offers made to a buyer.
+     *      Counts the offers of the sellers not migrated from the legacy
+     *      storage layout yet.
+     * @param _buyer The address of the buyer.
+     * @return count The number of offers.
+     */
+    function getOffersCount(
+        address _buyer
+    ) internal view returns (uint256 count) {
+        count = buyerOffers[_buyer].length;
+        SaleRef[] storage refs = legacyBuyers[_buyer];
+        for (uint256 i = 0; i < refs.length; i++) {
+            if (legacySellers[refs[i].seller].length > 0) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to check that an address can conclude a sale.
+     *      That is the buyer of the sale, one of the other buyers of a group
+     *      sale, or anyone holding the gating token of an open sale.
+     * @param _id The ID of the sale.
+     * @param _buyer The address concluding the sale.
+     * @dev Reverts if the address cannot conclude the sale.
+     */
+    function requireEligible(uint256 _id, address _buyer) internal view {
+        if (sales[_id].buyer == address(0)) {
+            require(
+                holdsGate(_id, _buyer),
+                "Gotchiswap: Buyer does not hold the gating token"
+            );
+        } else {
+            require(
+                isSaleBuyer(_id, _buyer),
+                "Gotchiswap: Only the buyer can conclude the sale"
+            );
+        }
+    }
+
+    /**
+     * @dev Internal function to check if an address is a buyer of a sale.
+     * @param _id The ID of the sale.
+     * @param _buyer The address to check.
+     * @return True for the buyer of the sale and the other buyers of a group sale, false otherwise.
+     */
+    function isSaleBuyer(
+        uint256 _id,
+        address _buyer
+    ) internal view returns (bool) {
+        if (sales[_id].buyer == _buyer) {
+            return true;
+        }
+        address[] storage buyers = saleBuyers[_id];
+        for (uint256 i = 0; i < buyers.length; i++) {
+            if (buyers[i] == _buyer) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Internal function to check if an address holds the gating token of a sale.
+     *      ERC20 and ERC721 gates count the balance of the whole contract,
+     *      ERC1155 gates the balance of their token ID.
+     * @param _id The ID of the sale.
+     * @param _buyer The address to check.
+     * @return True if the sale has no gate or the address holds enough of it, false otherwise.
+     */
+    function holdsGate(
+        uint256 _id,
+        address _buyer
+    ) internal view returns (bool) {
+        Asset memory gate = saleGates[_id];
+        if (gate.addr == address(0)) {
+            return true;
+        }
+        if (gate.class == AssetClass.ERC1155) {
+            return ERC1155(gate.addr).balanceOf(_buyer, gate.id) >= gate.qty;
+        }
+        return IERC20(gate.addr).balanceOf(_buyer) >= gate.qty;
+    }
+
+    /**
+     * @dev Internal function to check if a sale has passed its deadline.
+     * @param _id The ID of the sale.
+     * @return True if the sale has a deadline and it is past, false otherwise.
+     */
+    function isExpired(uint256 _id) internal view returns (bool) {
+        uint256 deadline = saleDeadlines[_id];
+        return deadline > 0 && block.timestamp > deadline;
+    }
+
+    /**
+     * @dev Internal function to check if an address has any active sales as a seller.
+     * @param _seller The address to check.
+     * @return True if the address has active sales as a seller, false otherwise.
+     */
+    function isSeller(address _seller) internal view returns (bool) {
+        return
+            sellerSales[_seller].length > 0 ||
+            legacySellers[_seller].length > 0;
+    }
+
+    /**
+     * @dev Internal function to check if an address has any offers as a buyer.
+     * @param _buyer The address to check.
+     * @return True if the address has active offers as a buyer, false otherwise.
+     */
+    function isBuyer(address _buyer) internal view returns (bool) {
+        return buyerOffers[_buyer].length > 0 || getOffersCount(_buyer) > 0;
+    }
+
+    /**
+     * @dev Internal function to check if an asset class is a currency fees and royalties are taken from.
+     * @param _class The asset class to check.
+     * @return True for ERC20 and native assets, false otherwise.
+     */
+    function isCurrency(AssetClass _class) internal pure returns (bool) {
+        return _class == AssetClass.ERC20 || _class == AssetClass.NATIVE;
+    }
+
+    /**
+     * @dev Internal function to check that no asset of a bundle is from a frozen contract.
+     * @param _assets The assets to check.
+     */
+    function requireNotFrozen(Asset[] memory _assets) internal view {
+        for (uint256 i = 0; i < _assets.length; i++) {
+            require(
+                !frozenContracts[_assets[i].addr],
+                "Gotchiswap: Contract is frozen"
+            );
+        }
+    }
+
+    /**
+     * @dev Internal function to grant all the roles to an account.
+     * @param _account The account to grant the roles to.
+     */
+    function grantAllRoles(address _account) internal {
+        setRole(ALLOWLIST_MANAGER_ROLE, _account, true);
+        setRole(PAUSER_ROLE, _account, true);
+        setRole(RESCUER_ROLE, _account, true);
+        setRole(UPGRADER_ROLE, _account, true);
+    }
+
+    /**
+     * @dev Internal function to grant or revoke a role.
+     * @param _role The role to grant or revoke.
+     * @param _account The account to grant the role to or revoke it from.
+     * @param _granted Whether the account holds the role.
+     */
+    function setRole(bytes32 _role, address _account, bool _granted) internal {
+        if (roles[_role][_account] == _granted) {
+            return;
+        }
+        roles[_role][_account] = _granted;
+        if (_granted) {
+            emit GrantRole(_role, _account);
+        } else {
+            emit RevokeRole(_role, _account);
+        }
+    }
+
+    /**
+     * @dev Internal function to count assets already held by the contract as escrowed.
+     * @param _assets The assets held.
+     */
+    function addEscrow(Asset[] memory _assets) internal {
+        for (uint256 i = 0; i < _assets.length; i++) {
+            escrowBalances[_assets[i].addr][_assets[i].id] += _assets[i].qty;
+        }
+    }
+}
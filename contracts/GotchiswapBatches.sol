@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapBatches
+ * @dev Create, abort and conclude many sales in a single transaction.
+ *      Not meant to be called directly: GotchiswapGroupSales forwards the calls
+ *      it does not implement to this contract, which then runs in the storage
+ *      of Gotchiswap.
+ */
+contract GotchiswapBatches is GotchiswapBase, GotchiswapForwarder {
+    /**
+     * @param _extension Address of the deployed GotchiswapAdmin.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Allows a seller to create several sales at once.
+     *      Each sale is created with 'createSale', or 'createOpenSale' when its
+     *      buyer is the null address. Native assets cannot be sold in a batch.
+     *      In best-effort mode, the sales that fail are skipped and reported
+     *      with a 'FailBatchItem' event, otherwise the whole batch reverts.
+     * @param _assets The bundles of assets of each sale.
+     * @param _prices The bundles of prices of each sale.
+     * @param _buyers The addresses of the buyers of each sale.
+     * @param _deadlines The timestamps after which each sale expires (0 for none).
+     * @param _bestEffort Whether to skip the sales that fail.
+     * @return succeeded Whether each sale was created.
+     * @dev Reverts if the parameters are not of the same length.
+     */
+    function createSales(
+        Items[] calldata _assets,
+        Items[] calldata _prices,
+        address[] calldata _buyers,
+        uint256[] calldata _deadlines,
+        bool _bestEffort
+    ) external returns (bool[] memory succeeded) {
+        require(
+            _assets.length == _prices.length &&
+                _assets.length == _buyers.length &&
+                _assets.length == _deadlines.length,
+            "Gotchiswap: Sales parameters length should all be the same"
+        );
+        bytes[] memory calls = new bytes[](_assets.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            calls[i] = encodeCreateSale(
+                _assets[i],
+                _prices[i],
+                _buyers[i],
+                _deadlines[i]
+            );
+        }
+        return runBatch(calls, _bestEffort);
+    }
+
+    /**
+     * @dev Allows a seller to abort several sales at once, by sale ID.
+     *      Indexes change as sales are removed, IDs do not.
+     *      In best-effort mode, the sales that fail are skipped and reported
+     *      with a 'FailBatchItem' event, otherwise the whole batch reverts.
+     * @param _ids The IDs of the sales to abort, with 'abortSaleById'.
+     * @param _bestEffort Whether to skip the sales that fail.
+     * @return succeeded Whether each sale was aborted.
+     */
+    function abortSales(
+        uint256[] calldata _ids,
+        bool _bestEffort
+    ) external returns (bool[] memory succeeded) {
+        bytes[] memory calls = new bytes[](_ids.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            calls[i] = abi.encodeWithSignature(
+                "abortSaleById(uint256)",
+                _ids[i]
+            );
+        }
+        return runBatch(calls, _bestEffort);
+    }
+
+    /**
+     * @dev Allows a buyer to conclude several sales at once, by sale ID.
+     *      Indexes change as sales are removed, IDs do not.
+     *      Native prices cannot be paid in a batch.
+     *      In best-effort mode, the sales that fail are skipped and reported
+     *      with a 'FailBatchItem' event, otherwise the whole batch reverts.
+     * @param _ids The IDs of the sales to conclude, with 'concludeSaleById'.
+     * @param _bestEffort Whether to skip the sales that fail.
+     * @return succeeded Whether each sale was concluded.
+     */
+    function concludeSales(
+        uint256[] calldata _ids,
+        bool _bestEffort
+    ) external returns (bool[] memory succeeded) {
+        bytes[] memory calls = new bytes[](_ids.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            calls[i] = abi.encodeWithSignature(
+                "concludeSaleById(uint256)",
+                _ids[i]
+            );
+        }
+        return runBatch(calls, _bestEffort);
+    }
+
+    /**
+     * @dev Private function to encode the call creating a sale.
+     * @param _assets The assets of the sale.
+     * @param _prices The prices of the sale.
+     * @param _buyer The address of the buyer, null address for an open sale.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @return The call to 'createSale' or 'createOpenSale'.
+     */
+    function encodeCreateSale(
+        Items memory _assets,
+        Items memory _prices,
+        address _buyer,
+        uint256 _deadline
+    ) private pure returns (bytes memory) {
+        if (_buyer == address(0)) {
+            return
+                abi.encodeWithSignature(
+                    "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)",
+                    _assets.classes,
+                    _assets.contracts,
+                    _assets.ids,
+                    _assets.amounts,
+                    _prices.classes,
+                    _prices.contracts,
+                    _prices.ids,
+                    _prices.amounts,
+                    _deadline
+                );
+        }
+        return
+            abi.encodeWithSignature(
+                "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)",
+                _assets.classes,
+                _assets.contracts,
+                _assets.ids,
+                _assets.amounts,
+                _prices.classes,
+                _prices.contracts,
+                _prices.ids,
+                _prices.amounts,
+                _buyer,
+                _deadline
+            );
+    }
+
+    /**
+     * @dev Private function to run calls to Gotchiswap on behalf of the caller.
+     *      Each call is delegated to the proxy itself, so it keeps the caller,
+     *      runs its own checks and reverts alone in best-effort mode.
+     * @param _calls The encoded calls.
+     * @param _bestEffort Whether to skip the calls that fail.
+     * @return succeeded Whether each call succeeded.
+     * @dev Reverts with the reason of the first failed call unless in best-effort mode.
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    function runBatch(
+        bytes[] memory _calls,
+        bool _bestEffort
+    ) private returns (bool[] memory succeeded) {
+        succeeded = new bool[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool success, bytes memory result) = address(this).delegatecall(
+                _calls[i]
+            );
+            if (!_bestEffort) {
+                Address.verifyCallResult(
+                    success,
+                    result,
+                    "Gotchiswap: Batch item failed"
+                );
+            } else if (!success) {
+                emit FailBatchItem(i, result);
+            }
+            succeeded[i] = success;
+        }
+    }
+}
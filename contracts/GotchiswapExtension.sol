@@ -0,0 +1,392 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapExtension
+ * @dev Counter-offers, bids and royalty opt-ins for Gotchiswap.
+ *      Not meant to be called directly: Gotchiswap forwards the calls it does
+ *      not implement to this contract, which then runs in its storage.
+ */
+contract GotchiswapExtension is GotchiswapBase, GotchiswapForwarder {
+    /**
+     * @param _extension Address of the deployed GotchiswapSignedSales.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Allows the buyer of a sale to propose other prices to the seller.
+     *      Replaces any previous counter-offer made for the sale.
+     *      The buyer needs to keep the contract approved for the prices so the
+     *      seller can accept the counter-offer.
+     * @param _id The ID of the sale.
+     * @param _priceClasses Classes of the prices being offered.
+     * @param _priceContracts Addresses of the price contracts.
+     * @param _priceIds IDs of the price tokens.
+     * @param _priceAmounts Amounts of the price tokens.
+     * @dev Reverts if the caller is not the buyer of the sale.
+     * @dev Reverts for group sales.
+     * @dev Reverts for array of 0 length.
+     * @dev Reverts for 0 amounts.
+     * @dev Reverts for native prices.
+     */
+    function createCounterOffer(
+        uint256 _id,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts
+    ) external {
+        findSale(_id);
+        require(
+            sales[_id].buyer == msg.sender,
+            "Gotchiswap: Only the buyer can make a counter-offer"
+        );
+        require(
+            saleBuyers[_id].length == 0,
+            "Gotchiswap: Group sales cannot be counter-offered"
+        );
+        require(
+            _priceClasses.length > 0,
+            "Gotchiswap: Prices list cannot be empty"
+        );
+        require(
+            _priceClasses.length == _priceContracts.length &&
+                _priceClasses.length == _priceIds.length &&
+                _priceClasses.length == _priceAmounts.length,
+            "Gotchiswap: Prices parameters length should all be the same"
+        );
+
+        Asset[] memory prices = toAssets(
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts
+        );
+
+        delete counterOffers[_id];
+        for (uint256 i = 0; i < prices.length; i++) {
+            // the seller accepts the counter-offer, the buyer cannot send value then
+            require(
+                prices[i].class != AssetClass.NATIVE,
+                "Gotchiswap: Native prices cannot be counter-offered"
+            );
+            counterOffers[_id].push(prices[i]);
+        }
+
+        emit CreateCounterOffer(_id, msg.sender, prices);
+    }
+
+    /**
+     * @dev Allows the seller to accept the counter-offer made for a sale.
+     *      The sale is concluded with the buyer paying the counter-offer prices.
+     *      The seller passes the prices they accept, as returned by
+     *      'getCounterOffer', so that a counter-offer the buyer replaces in the
+     *      meantime is not accepted in their place.
+     * @param _id The ID of the sale.
+     * @param _priceClasses Classes of the prices accepted.
+     * @param _priceContracts Addresses of the price contracts.
+     * @param _priceIds IDs of the price tokens.
+     * @param _priceAmounts Amounts of the price tokens.
+     * @dev Reverts if the caller is not the seller.
+     * @dev Reverts if there is no counter-offer for the sale.
+     * @dev Reverts if the counter-offer differs from the prices accepted.
+     */
+    function acceptCounterOffer(
+        uint256 _id,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts
+    ) external whenNotPaused nonReentrant {
+        address seller = findSale(_id);
+        require(
+            seller == msg.sender,
+            "Gotchiswap: Only the seller can accept a counter-offer"
+        );
+        require(
+            counterOffers[_id].length > 0,
+            "Gotchiswap: No counter-offer found for the sale"
+        );
+
+        Sale memory sale = sales[_id];
+        sale.prices = counterOffers[_id];
+        Items memory prices = toItems(sale.prices);
+        require(
+            keccak256(
+                abi.encode(
+                    prices.classes,
+                    prices.contracts,
+                    prices.ids,
+                    prices.amounts
+                )
+            ) ==
+                keccak256(
+                    abi.encode(
+                        _priceClasses,
+                        _priceContracts,
+                        _priceIds,
+                        _priceAmounts
+                    )
+                ),
+            "Gotchiswap: Counter-offer does not match the prices accepted"
+        );
+
+        emit AcceptCounterOffer(_id, msg.sender, sale.prices);
+
+        settleSale(seller, sale.buyer, sale);
+    }
+
+    /**
+     * @dev Allows the seller to reject the counter-offer made for a sale.
+     *      The sale stays available at its original prices.
+     * @param _id The ID of the sale.
+     * @dev Reverts if the caller is not the seller.
+     * @dev Reverts if there is no counter-offer for the sale.
+     */
+    function rejectCounterOffer(uint256 _id) external {
+        address seller = findSale(_id);
+        require(
+            seller == msg.sender,
+            "Gotchiswap: Only the seller can reject a counter-offer"
+        );
+        require(
+            counterOffers[_id].length > 0,
+            "Gotchiswap: No counter-offer found for the sale"
+        );
+        delete counterOffers[_id];
+
+        emit RejectCounterOffer(_id, msg.sender);
+    }
+
+    /**
+     * @dev Allows the buyer to withdraw their counter-offer for a sale.
+     * @param _id The ID of the sale.
+     * @dev Reverts if the caller is not the buyer of the sale.
+     * @dev Reverts if there is no counter-offer for the sale.
+     */
+    function abortCounterOffer(uint256 _id) external {
+        findSale(_id);
+        require(
+            sales[_id].buyer == msg.sender,
+            "Gotchiswap: Only the buyer can abort a counter-offer"
+        );
+        require(
+            counterOffers[_id].length > 0,
+            "Gotchiswap: No counter-offer found for the sale"
+        );
+        delete counterOffers[_id];
+
+        emit AbortCounterOffer(_id, msg.sender);
+    }
+
+    /**
+     * @dev Allows a buyer to bid for assets owned by a seller.
+     *      The bidder's payment is escrowed until the seller accepts the bid
+     *      or the bidder cancels it.
+     * @param _assetClasses Classes of the assets being bid for.
+     * @param _assetContracts Addresses of the asset contracts.
+     * @param _assetIds IDs of the asset tokens.
+     * @param _assetAmounts Amounts of the asset tokens.
+     * @param _priceClasses Classes of the prices being offered.
+     * @param _priceContracts Addresses of the price contracts.
+     * @param _priceIds IDs of the price tokens.
+     * @param _priceAmounts Amounts of the price tokens.
+     * @param _seller The address of the seller who can accept the bid.
+     * @dev Reverts on invalid seller address.
+     * @dev Reverts for array of 0 length.
+     * @dev Reverts for 0 amounts.
+     */
+    function createBid(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        address _seller
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(_seller != address(0), "Gotchiswap: Invalid seller address");
+
+        (Asset[] memory assets, Asset[] memory prices) = toBundles(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts
+        );
+
+        // Transfer the bidder's payment to the contract first
+        transferAssets(msg.sender, address(this), prices);
+
+        uint256 id = bidId++;
+        addBid(msg.sender, id, assets, prices, _seller);
+
+        emit CreateBid(msg.sender, id, assets, prices, _seller);
+    }
+
+    /**
+     * @dev Allows the seller named in a bid to accept it.
+     *      The seller's assets go to the bidder and the escrowed payment to the seller.
+     * @param _id The ID of the bid.
+     * @dev Reverts if the bid is not found or the caller is not its seller.
+     */
+    function acceptBid(
+        uint256 _id
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        Bid memory bid = bids[_id];
+        require(
+            bid.bidder != address(0) && bid.seller == msg.sender,
+            "Gotchiswap: Only the seller can accept the bid"
+        );
+
+        removeBid(_id);
+
+        // Transfer the seller's assets to the bidder
+        transferAssets(msg.sender, bid.bidder, bid.assets);
+
+        // Transfer the escrowed payment to the seller
+        payPrices(address(this), msg.sender, bid.assets, bid.prices);
+
+        emit AcceptBid(msg.sender, bid);
+    }
+
+    /**
+     * @dev Allows a bidder to cancel their bid and get their payment back.
+     * @param _id The ID of the bid.
+     * @dev Reverts if the bid is not found or the caller is not its bidder.
+     */
+    function cancelBid(uint256 _id) external nonReentrant {
+        Bid memory bid = bids[_id];
+        require(
+            bid.bidder != address(0) && bid.bidder == msg.sender,
+            "Gotchiswap: Only the bidder can cancel the bid"
+        );
+
+        removeBid(_id);
+
+        // Transfer back the payment to the bidder
+        transferAssets(address(this), msg.sender, bid.prices);
+
+        emit CancelBid(msg.sender, bid);
+    }
+
+    /**
+     * @dev Allows a seller to pay EIP-2981 royalties on their trades when
+     *      royalties are not enforced.
+     * @param _optIn Whether the seller pays royalties.
+     */
+    function optInRoyalties(bool _optIn) external {
+        royaltiesOptIns[msg.sender] = _optIn;
+
+        emit ChangeRoyaltiesOptIn(msg.sender, _optIn);
+    }
+
+    /**
+     * @dev Gets what the seller of a sale receives once the protocol fee and
+     *      the royalties are taken.
+     *      Amounts are in the same order as the prices returned by 'getSaleById'.
+     * @param _id The ID of the sale.
+     * @return proceeds The amounts of the prices received by the seller.
+     * @return fees The fee taken from each price.
+     * @return royalties The royalties taken from each price.
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleProceeds(
+        uint256 _id
+    )
+        external
+        view
+        returns (
+            uint256[] memory proceeds,
+            uint256[] memory fees,
+            uint256[] memory royalties
+        )
+    {
+        address seller = findSale(_id);
+        Asset[] memory assets;
+        Royalty[] memory payments;
+        (assets, fees, payments) = getProceeds(
+            seller,
+            sales[_id].assets,
+            sales[_id].prices
+        );
+
+        proceeds = new uint256[](assets.length);
+        royalties = new uint256[](assets.length);
+        for (uint256 i = 0; i < payments.length; i++) {
+            royalties[i / sales[_id].assets.length] += payments[i].amount;
+        }
+        for (uint256 i = 0; i < assets.length; i++) {
+            proceeds[i] = assets[i].qty;
+        }
+    }
+
+    /**
+     * @dev Private function to add a bid to the bidder's and the seller's bids lists.
+     * @param _bidder The address of the bidder.
+     * @param _id The ID of the bid.
+     * @param _assets Assets asked from the seller
+     * @param _prices Assets escrowed from the bidder in exchange
+     * @param _seller The address of the seller who can accept the bid.
+     */
+    function addBid(
+        address _bidder,
+        uint256 _id,
+        Asset[] memory _assets,
+        Asset[] memory _prices,
+        address _seller
+    ) private {
+        Bid storage bid = bids[_id];
+
+        // Fill in the values
+        bid.id = _id;
+        for (uint256 i = 0; i < _assets.length; i++) {
+            bid.assets.push(_assets[i]);
+        }
+        for (uint256 i = 0; i < _prices.length; i++) {
+            bid.prices.push(_prices[i]);
+        }
+        bid.bidder = _bidder;
+        bid.seller = _seller;
+
+        bidderBidIndexes[_id] = bidderBids[_bidder].length;
+        bidderBids[_bidder].push(_id);
+        sellerBidIndexes[_id] = sellerBids[_seller].length;
+        sellerBids[_seller].push(_id);
+    }
+
+    /**
+     * @dev Private function to remove a bid from the bidder's and the seller's bids lists.
+     *      The last bid of each list takes the place of the removed one.
+     * @param _id The ID of the bid to be removed.
+     */
+    function removeBid(uint256 _id) private {
+        // Remove the bid from the bidder's bids list
+        uint256[] storage ids = bidderBids[bids[_id].bidder];
+        uint256 index = bidderBidIndexes[_id];
+        uint256 lastId = ids[ids.length - 1];
+        ids[index] = lastId;
+        bidderBidIndexes[lastId] = index;
+        ids.pop();
+
+        // Remove the bid from the seller's bids list
+        ids = sellerBids[bids[_id].seller];
+        index = sellerBidIndexes[_id];
+        lastId = ids[ids.length - 1];
+        ids[index] = lastId;
+        sellerBidIndexes[lastId] = index;
+        ids.pop();
+
+        delete bids[_id];
+        delete bidderBidIndexes[_id];
+        delete sellerBidIndexes[_id];
+    }
+}
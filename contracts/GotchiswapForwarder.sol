@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title GotchiswapForwarder
+ * @dev Forwards calls to unknown functions to an extension, which runs in the
+ *      storage of the Gotchiswap proxy.
+ *      Extensions can forward in turn, so the functions of Gotchiswap are
+ *      spread over a chain of contracts that each fit the contract size limit.
+ */
+abstract contract GotchiswapForwarder {
+    // Address of the extension implementing the remaining functions
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
+
+    /**
+     * @dev Sets the extension that calls to unknown functions are forwarded to.
+     * @param _extension Address of the deployed extension.
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _extension) {
+        require(
+            _extension != address(0),
+            "Gotchiswap: Invalid extension address"
+        );
+        extension = _extension;
+    }
+
+    /**
+     * @dev Forwards calls to unknown functions to the extension, along with
+     *      their native value.
+     *      The extension shares the storage layout of the proxy.
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    fallback() external payable {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /**
+     * @dev Rejects plain native transfers, native value is only sent with trades.
+     */
+    receive() external payable {
+        revert("Gotchiswap: Native value must be sent with a trade");
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapGroupSales
+ * @dev Open sales, and sales offered to a set of buyers or to the holders of
+ *      a token, the first one to conclude the sale wins it.
+ *      Not meant to be called directly: GotchiswapSnapshots forwards the calls
+ *      it does not implement to this contract, which then runs in the storage
+ *      of Gotchiswap.
+ */
+contract GotchiswapGroupSales is GotchiswapBase, GotchiswapForwarder {
+    /**
+     * @param _extension Address of the deployed GotchiswapBatches.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Allows a seller to offer the same trade to several buyers.
+     *      Same as 'createSale' with a list of buyers, each finding the sale
+     *      in their offers list. The first buyer is the buyer of the sale,
+     *      the only one able to make a counter-offer.
+     *      Once a buyer concludes the sale, it is removed for all of them.
+     * @param _buyers The addresses of the buyers.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @dev Reverts for less than 2 or more than 'MAX_SALE_BUYERS' buyers.
+     * @dev Reverts on invalid or duplicate buyer addresses.
+     */
+    function createGroupSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        address[] memory _buyers,
+        uint256 _deadline
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(
+            _buyers.length > 1 && _buyers.length <= MAX_SALE_BUYERS,
+            "Gotchiswap: Invalid number of buyers"
+        );
+        require(_buyers[0] != address(0), "Gotchiswap: Invalid buyer address");
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            _buyers[0],
+            _deadline
+        );
+
+        // The first buyer is already registered by 'listSale'
+        address[] memory others = new address[](_buyers.length - 1);
+        for (uint256 i = 0; i < others.length; i++) {
+            others[i] = _buyers[i + 1];
+        }
+        addSaleBuyers(id, others);
+    }
+
+    /**
+     * @dev Allows a seller to create an open sale restricted to the holders of a token.
+     *      Same as 'createOpenSale' with a token the buyer must hold when
+     *      concluding the sale, e.g. any gotchi for gotchi owners only.
+     *      ERC20 and ERC721 gates count the tokens of the whole contract and
+     *      must have a 0 ID, ERC1155 gates the tokens of their ID.
+     * @param _gate The token and amount the buyer must hold.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @dev Reverts on invalid gate class, address, ID or amount.
+     */
+    function createGatedSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        Asset memory _gate,
+        uint256 _deadline
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(
+            _gate.class != AssetClass.NATIVE,
+            "Gotchiswap: Invalid gate class"
+        );
+        require(
+            _gate.addr != address(0),
+            "Gotchiswap: Invalid contract address"
+        );
+        require(_gate.qty > 0, "Gotchiswap: Amount cannot be 0");
+        require(
+            _gate.class == AssetClass.ERC1155 || _gate.id == 0,
+            "Gotchiswap: Gate ID must be 0"
+        );
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            address(0),
+            _deadline
+        );
+        saleGates[id] = _gate;
+
+        emit GateSale(id, _gate);
+    }
+
+    /**
+     * @dev Allows anyone to accept an open sale.
+     * @param _id The ID of the open sale to be accepted.
+     * @dev Reverts if no open sale matches the ID.
+     * @dev Reverts if the caller does not hold the gating token of the sale.
+     */
+    function concludeOpenSale(
+        uint256 _id
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        address seller = findSale(_id);
+        require(sales[_id].buyer == address(0), "Gotchiswap: Sale not found");
+        settleSale(seller, msg.sender, sales[_id]);
+    }
+
+    /**
+     * @dev Checks if an address can conclude a sale.
+     * @param _id The ID of the sale.
+     * @param _buyer The address to check.
+     * @return True if the address is a buyer of the sale or holds its gating
+     *         token, false otherwise.
+     * @dev Reverts if the sale is not found.
+     */
+    function isEligibleBuyer(
+        uint256 _id,
+        address _buyer
+    ) external view returns (bool) {
+        findSale(_id);
+        return
+            sales[_id].buyer == address(0)
+                ? holdsGate(_id, _buyer)
+                : isSaleBuyer(_id, _buyer);
+    }
+}
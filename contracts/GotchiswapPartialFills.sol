@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapPartialFills
+ * @dev Sales of fungible bundles that buyers can conclude part of.
+ *      Not meant to be called directly: GotchiswapSignedSales forwards the
+ *      calls it does not implement to this contract, which then runs in the
+ *      storage of Gotchiswap.
+ */
+contract GotchiswapPartialFills is GotchiswapBase, GotchiswapForwarder {
+    /**
+     * @param _extension Address of the deployed GotchiswapSnapshots.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Allows a seller to create a trade with a buyer that can be partially filled.
+     *      Same as 'createSale' with a flag allowing the buyer to conclude part
+     *      of the sale with 'concludeSale(uint256,uint256)'.
+     * @param _buyer The address of the buyer.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @param _partialFill Whether the sale can be partially filled.
+     * @dev Reverts if the sale can be partially filled and has ERC721 assets or prices.
+     */
+    function createSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        address _buyer,
+        uint256 _deadline,
+        bool _partialFill
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(_buyer != address(0), "Gotchiswap: Invalid buyer address");
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            _buyer,
+            _deadline
+        );
+        if (_partialFill) {
+            allowPartialFills(id);
+        }
+    }
+
+    /**
+     * @dev Allows a seller to create an open sale that can be partially filled.
+     *      Same as 'createOpenSale' with a flag allowing anyone to conclude
+     *      part of the sale with 'concludeSaleById(uint256,uint256)'.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @param _partialFill Whether the sale can be partially filled.
+     * @dev Reverts if the sale can be partially filled and has ERC721 assets or prices.
+     */
+    function createOpenSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        uint256 _deadline,
+        bool _partialFill
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            address(0),
+            _deadline
+        );
+        if (_partialFill) {
+            allowPartialFills(id);
+        }
+    }
+
+    /**
+     * @dev Checks if a sale can be partially filled.
+     * @param _id The ID of the sale.
+     * @return True if buyers can conclude part of the sale, false otherwise.
+     */
+    function isPartiallyFillable(uint256 _id) external view returns (bool) {
+        return partialFills[_id];
+    }
+
+    /**
+     * @dev Allows a buyer to conclude part of a specific offer made by a seller.
+     * @param _index The index of the offer to be accepted.
+     * @param _quantity The amount of the first asset of the sale to buy.
+     * @dev Reverts if buyer has no offers.
+     * @dev Reverts if _index is invalid.
+     */
+    function concludeSale(
+        uint256 _index,
+        uint256 _quantity
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(
+            isBuyer(msg.sender),
+            "Gotchiswap: No offers found for the buyer"
+        );
+        (address seller, uint256 id) = getOfferAt(msg.sender, _index);
+        migrateSeller(seller);
+        fillSale(id, _quantity);
+    }
+
+    /**
+     * @dev Allows a buyer to conclude part of an offer by sale ID.
+     *      Open and group sales can be partially filled like they are concluded.
+     * @param _id The ID of the sale to be accepted.
+     * @param _quantity The amount of the first asset of the sale to buy.
+     * @dev Reverts if the sale is not found.
+     * @dev Reverts if the caller is not a buyer of the sale.
+     */
+    function concludeSaleById(
+        uint256 _id,
+        uint256 _quantity
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        findSale(_id);
+        fillSale(_id, _quantity);
+    }
+
+    /**
+     * @dev Private function to conclude part of a sale.
+     *      The fill is a share of the remaining amounts, set by the quantity of
+     *      the first asset. Assets are rounded down and prices rounded up so
+     *      the rest of the sale is never priced below the seller's ratio.
+     *      Filling the whole remaining quantity concludes the sale.
+     * @param _id The ID of the sale.
+     * @param _quantity The amount of the first asset of the sale to buy.
+     * @dev Reverts if the sale cannot be partially filled.
+     * @dev Reverts if the quantity is 0, above the remaining amount, or would
+     *      leave nothing to pay for the rest of the sale.
+     */
+    function fillSale(uint256 _id, uint256 _quantity) private {
+        requireEligible(_id, msg.sender);
+        require(
+            partialFills[_id],
+            "Gotchiswap: Sale cannot be partially filled"
+        );
+        Sale storage sale = sales[_id];
+        uint256 remaining = sale.assets[0].qty;
+        require(
+            _quantity > 0 && _quantity <= remaining,
+            "Gotchiswap: Invalid fill quantity"
+        );
+
+        address seller = saleSellers[_id];
+        if (_quantity == remaining) {
+            settleSale(seller, msg.sender, sale);
+            return;
+        }
+        require(!isExpired(_id), "Gotchiswap: Sale has expired");
+
+        Asset[] memory assets = new Asset[](sale.assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            assets[i] = sale.assets[i];
+            assets[i].qty = Math.mulDiv(assets[i].qty, _quantity, remaining);
+            sale.assets[i].qty -= assets[i].qty;
+        }
+
+        Asset[] memory prices = new Asset[](sale.prices.length);
+        for (uint256 i = 0; i < prices.length; i++) {
+            prices[i] = sale.prices[i];
+            prices[i].qty = Math.mulDiv(
+                prices[i].qty,
+                _quantity,
+                remaining,
+                Math.Rounding.Up
+            );
+            sale.prices[i].qty -= prices[i].qty;
+            require(
+                sale.prices[i].qty > 0,
+                "Gotchiswap: Invalid fill quantity"
+            );
+        }
+
+        // Transfer the buyer assets to the seller
+        payPrices(msg.sender, seller, assets, prices);
+
+        // Transfer the seller's assets to the buyer
+        transferAssets(address(this), msg.sender, assets);
+
+        emit FillSale(msg.sender, _id, assets, prices);
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapSignedSales
+ * @dev Sales signed off-chain by sellers (EIP-712) and concluded by buyers.
+ *      Not meant to be called directly: GotchiswapExtension forwards the calls
+ *      it does not implement to this contract, which then runs in the storage
+ *      of Gotchiswap.
+ */
+contract GotchiswapSignedSales is GotchiswapBase, GotchiswapForwarder {
+    // EIP-712 type hashes of signed sales
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant SALE_TYPEHASH =
+        keccak256(
+            "Sale(Asset[] assets,Asset[] prices,address buyer,uint256 nonce,uint256 deadline)Asset(uint8 class,address addr,uint256 id,uint256 qty)"
+        );
+    bytes32 private constant ASSET_TYPEHASH =
+        keccak256("Asset(uint8 class,address addr,uint256 id,uint256 qty)");
+
+    /**
+     * @param _extension Address of the deployed GotchiswapPartialFills.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Allows a buyer to conclude a sale signed off-chain by the seller.
+     *      Nothing is escrowed: the seller's assets and the buyer's prices are
+     *      pulled at once, so both must keep the contract approved.
+     * @param _seller The address of the seller who signed the sale.
+     * @param _order The signed sale, open to anyone if it has no buyer.
+     * @param _signature The seller's EIP-712 signature of the sale.
+     * @dev Reverts if the signature does not match the seller.
+     * @dev Reverts if the caller is not the buyer of the sale.
+     * @dev Reverts if the sale has expired or its nonce has been used.
+     */
+    function fillSignedSale(
+        address _seller,
+        SaleOrder memory _order,
+        bytes memory _signature
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(
+            _order.deadline == 0 || block.timestamp <= _order.deadline,
+            "Gotchiswap: Sale has expired"
+        );
+        require(
+            _order.buyer == address(0) || _order.buyer == msg.sender,
+            "Gotchiswap: Only the buyer can conclude the sale"
+        );
+        require(
+            _order.assets.length > 0,
+            "Gotchiswap: Assets list cannot be empty"
+        );
+        require(
+            _order.prices.length > 0,
+            "Gotchiswap: Prices list cannot be empty"
+        );
+        require(
+            !isNonceUsed(_seller, _order.nonce),
+            "Gotchiswap: Nonce has already been used"
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(
+                _seller,
+                hashSaleOrder(_order),
+                _signature
+            ),
+            "Gotchiswap: Invalid signature"
+        );
+        usedNonces[_seller][_order.nonce] = true;
+
+        // Transfer the seller's assets to the buyer
+        transferAssets(_seller, msg.sender, _order.assets);
+
+        // Transfer the buyer assets to the seller
+        payPrices(msg.sender, _seller, _order.assets, _order.prices);
+
+        emit FillSignedSale(_seller, msg.sender, _order.nonce, _order);
+    }
+
+    /**
+     * @dev Allows a seller to cancel the signed sale using a nonce.
+     * @param _nonce The nonce of the signed sale.
+     */
+    function cancelNonce(uint256 _nonce) external {
+        usedNonces[msg.sender][_nonce] = true;
+
+        emit CancelNonce(msg.sender, _nonce);
+    }
+
+    /**
+     * @dev Allows a seller to cancel all their signed sales with a lower nonce.
+     * @param _minNonce The lowest nonce still valid.
+     * @dev Reverts if the nonce is not above the current minimum.
+     */
+    function cancelNoncesBelow(uint256 _minNonce) external {
+        require(
+            _minNonce > minNonces[msg.sender],
+            "Gotchiswap: Nonces already cancelled"
+        );
+        minNonces[msg.sender] = _minNonce;
+
+        emit CancelNoncesBelow(msg.sender, _minNonce);
+    }
+
+    /**
+     * @dev Checks if a nonce of a seller can no longer be used by a signed sale.
+     * @param _seller The address of the seller.
+     * @param _nonce The nonce to check.
+     * @return True if the nonce was filled or cancelled, false otherwise.
+     */
+    function isNonceUsed(
+        address _seller,
+        uint256 _nonce
+    ) public view returns (bool) {
+        return usedNonces[_seller][_nonce] || _nonce < minNonces[_seller];
+    }
+
+    /**
+     * @dev Gets the EIP-712 domain separator signed sales are bound to.
+     * @return The domain separator for the current chain and proxy address.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("Gotchiswap"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Gets the EIP-712 digest a seller signs for a sale.
+     * @param _order The sale to sign.
+     * @return The typed data hash of the sale.
+     */
+    function hashSaleOrder(
+        SaleOrder memory _order
+    ) public view returns (bytes32) {
+        return
+            ECDSA.toTypedDataHash(
+                domainSeparator(),
+                keccak256(
+                    abi.encode(
+                        SALE_TYPEHASH,
+                        hashAssets(_order.assets),
+                        hashAssets(_order.prices),
+                        _order.buyer,
+                        _order.nonce,
+                        _order.deadline
+                    )
+                )
+            );
+    }
+
+    /**
+     * @dev Private function to hash a list of assets as an EIP-712 array of structs.
+     * @param _assets The assets to hash.
+     * @return The hash of the encoded list.
+     */
+    function hashAssets(Asset[] memory _assets) private pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](_assets.length);
+        for (uint256 i = 0; i < _assets.length; i++) {
+            hashes[i] = keccak256(
+                abi.encode(
+                    ASSET_TYPEHASH,
+                    _assets[i].class,
+                    _assets[i].addr,
+                    _assets[i].id,
+                    _assets[i].qty
+                )
+            );
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+}
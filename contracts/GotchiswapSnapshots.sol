@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./GotchiswapBase.sol";
+import "./GotchiswapForwarder.sol";
+
+/**
+ * @title GotchiswapSnapshots
+ * @dev Reclaiming expired sales, and sales guaranteeing the buyer the
+ *      wearables and pocket of the gotchis sold.
+ *      Not meant to be called directly: GotchiswapPartialFills forwards the
+ *      calls it does not implement to this contract, which then runs in the
+ *      storage of Gotchiswap.
+ */
+contract GotchiswapSnapshots is GotchiswapBase, GotchiswapForwarder {
+    /**
+     * @param _extension Address of the deployed GotchiswapGroupSales.
+     */
+    constructor(address _extension) GotchiswapForwarder(_extension) {}
+
+    /**
+     * @dev Returns the assets of an expired sale to its seller.
+     *      Can be called by anyone so keepers can clean up on behalf of sellers.
+     * @param _seller The address of the seller.
+     * @param _id The ID of the expired sale.
+     * @dev Reverts if the sale is not found or has not expired.
+     */
+    function reclaimExpiredSale(
+        address _seller,
+        uint256 _id
+    ) external nonReentrant {
+        address seller = findSale(_id);
+        require(seller == _seller, "Gotchiswap: Sale not found");
+        require(isExpired(_id), "Gotchiswap: Sale has not expired");
+        cancelSale(_seller, _id);
+    }
+
+    /**
+     * @dev Allows a seller to create a trade with a buyer that snapshots the gotchis sold.
+     *      Same as 'createSale' with a flag recording the equipped wearables
+     *      and the pocket GHST balance of each ERC721 asset, read as an
+     *      Aavegotchi. The sale cannot be concluded once the wearables change
+     *      or the pocket balance drops.
+     * @param _buyer The address of the buyer.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @param _partialFill Whether the sale can be partially filled.
+     * @param _snapshot Whether to snapshot the gotchis sold.
+     * @dev Reverts if the sale is snapshotted and has no ERC721 assets.
+     * @dev Reverts if an ERC721 asset of a snapshotted sale is not a gotchi.
+     */
+    function createSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        address _buyer,
+        uint256 _deadline,
+        bool _partialFill,
+        bool _snapshot
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        require(_buyer != address(0), "Gotchiswap: Invalid buyer address");
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            _buyer,
+            _deadline
+        );
+        if (_partialFill) {
+            allowPartialFills(id);
+        }
+        if (_snapshot) {
+            snapshotGotchis(id);
+        }
+    }
+
+    /**
+     * @dev Allows a seller to create an open sale that snapshots the gotchis sold.
+     *      Same as 'createOpenSale' with the flag of the snapshotting 'createSale'.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     * @param _partialFill Whether the sale can be partially filled.
+     * @param _snapshot Whether to snapshot the gotchis sold.
+     * @dev Reverts if the sale is snapshotted and has no ERC721 assets.
+     * @dev Reverts if an ERC721 asset of a snapshotted sale is not a gotchi.
+     */
+    function createOpenSale(
+        AssetClass[] memory _assetClasses,
+        address[] memory _assetContracts,
+        uint256[] memory _assetIds,
+        uint256[] memory _assetAmounts,
+        AssetClass[] memory _priceClasses,
+        address[] memory _priceContracts,
+        uint256[] memory _priceIds,
+        uint256[] memory _priceAmounts,
+        uint256 _deadline,
+        bool _partialFill,
+        bool _snapshot
+    ) external payable whenNotPaused nonReentrant spendsValue {
+        uint256 id = listSale(
+            _assetClasses,
+            _assetContracts,
+            _assetIds,
+            _assetAmounts,
+            _priceClasses,
+            _priceContracts,
+            _priceIds,
+            _priceAmounts,
+            address(0),
+            _deadline
+        );
+        if (_partialFill) {
+            allowPartialFills(id);
+        }
+        if (_snapshot) {
+            snapshotGotchis(id);
+        }
+    }
+
+    /**
+     * @dev Checks if the gotchis of a sale still match their snapshots.
+     * @param _id The ID of the sale.
+     * @return True if the sale has no snapshots or they all match, false otherwise.
+     */
+    function isSnapshotValid(uint256 _id) external view returns (bool) {
+        return snapshotsMatch(_id);
+    }
+}
@@ -0,0 +1,607 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./GotchiswapBase.sol";
+
+/**
+ * @title GotchiswapViews
+ * @dev Read functions of the sales, counter-offers and bids made with Gotchiswap.
+ *      Not meant to be called directly: the last extension of Gotchiswap
+ *      forwards the calls it does not implement to this contract, which then
+ *      reads the storage of Gotchiswap.
+ */
+contract GotchiswapViews is GotchiswapBase {
+    /**
+     * @dev Gets the offer made for a buyer at a specific index.
+     * @param _buyer The address of the buyer.
+     * @param _index The index of the offer.
+     * @return seller The address of the seller who made the offer.
+     * @return id The ID of the offer.
+     * @dev Reverts if buyer has no offers.
+     * @dev Reverts if _index is invalid.
+     */
+    function getOffer(
+        address _buyer,
+        uint256 _index
+    ) external view returns (address seller, uint256 id) {
+        require(isBuyer(_buyer), "Gotchiswap: No offers found for the buyer");
+        return getOfferAt(_buyer, _index);
+    }
+
+    /**
+     * @dev Gets the open sale at a specific index.
+     * @param _index The index of the open sale.
+     * @return seller The address of the seller who made the sale.
+     * @return id The ID of the sale.
+     * @dev Reverts if there are no open sales.
+     * @dev Reverts if _index is invalid.
+     */
+    function getOpenSale(
+        uint256 _index
+    ) external view returns (address seller, uint256 id) {
+        require(isBuyer(address(0)), "Gotchiswap: No open sales found");
+        require(
+            _index < buyerOffers[address(0)].length,
+            "Gotchiswap: Index out of bound, no sale found"
+        );
+        id = getSaleAt(buyerOffers[address(0)], _index);
+        seller = saleSellers[id];
+    }
+
+    /**
+     * @dev Gets the details of a sale made by a seller.
+     *      The snapshots of the gotchis sold are returned by 'getSaleSnapshots'.
+     * @param _seller The address of the seller.
+     * @param _index The index of the sale.
+     * @return id The ID of the sale.
+     * @return assetClasses Classes of the assets being traded.
+     * @return assetContracts Addresses of the asset contracts.
+     * @return assetIds IDs of the asset tokens.
+     * @return assetAmounts Amounts of the asset tokens.
+     * @return priceClasses Classes of the prices being asked.
+     * @return priceContracts Addresses of the price contracts.
+     * @return priceIds IDs of the price tokens.
+     * @return priceAmounts Amounts of the price toekns.
+     * @return buyer The address of the buyer.
+     * @return deadline The timestamp after which the sale expires (0 for none).
+     * @dev Reverts if seller has no active sales.
+     * @dev Reverts if _index is invalid.
+     */
+    function getSale(
+        address _seller,
+        uint256 _index
+    )
+        external
+        view
+        returns (
+            uint256 id,
+            AssetClass[] memory assetClasses,
+            address[] memory assetContracts,
+            uint256[] memory assetIds,
+            uint256[] memory assetAmounts,
+            AssetClass[] memory priceClasses,
+            address[] memory priceContracts,
+            uint256[] memory priceIds,
+            uint256[] memory priceAmounts,
+            address buyer,
+            uint256 deadline
+        )
+    {
+        Sale[] storage legacySales = legacySellers[_seller];
+        if (legacySales.length == 0) {
+            return getSaleById(getSaleId(_seller, _index));
+        }
+        require(
+            _index < legacySales.length,
+            "Gotchiswap: Index out of bound, no sale found"
+        );
+        return describeSale(legacySales[_index], 0);
+    }
+
+    /**
+     * @dev Retrieve a seller's sale ID from it's index.
+     * @param _seller The address of the seller.
+     * @param _index The index of the sale in the seller's sale list.
+     * @dev The index will typically come from getOffer result
+     */
+    function getSaleId(
+        address _seller,
+        uint256 _index
+    ) public view returns (uint256 id) {
+        require(isSeller(_seller), "Gotchiswap: No sales found for the seller");
+        require(
+            _index < getSalesCount(_seller),
+            "Gotchiswap: Index out of bound, no sale found"
+        );
+        if (legacySellers[_seller].length > 0) {
+            return legacySellers[_seller][_index].id;
+        }
+        return getSaleAt(sellerSales[_seller], _index);
+    }
+
+    /**
+     * @dev Gets the details of a sale from its ID.
+     *      Returns the same values as 'getSale'.
+     * @param _id The ID of the sale.
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleById(
+        uint256 _id
+    )
+        public
+        view
+        returns (
+            uint256 id,
+            AssetClass[] memory assetClasses,
+            address[] memory assetContracts,
+            uint256[] memory assetIds,
+            uint256[] memory assetAmounts,
+            AssetClass[] memory priceClasses,
+            address[] memory priceContracts,
+            uint256[] memory priceIds,
+            uint256[] memory priceAmounts,
+            address buyer,
+            uint256 deadline
+        )
+    {
+        findSale(_id);
+        return describeSale(sales[_id], saleDeadlines[_id]);
+    }
+
+    /**
+     * @dev Gets the snapshots of the gotchis sold in a sale, alongside 'getSale'.
+     * @param _id The ID of the sale.
+     * @return gotchis The wearables and pocket GHST balance of each gotchi when
+     *         it was listed (empty if the sale was not snapshotted).
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleSnapshots(
+        uint256 _id
+    ) external view returns (GotchiSnapshot[] memory gotchis) {
+        findSale(_id);
+        return snapshots[_id];
+    }
+
+    /**
+     * @dev Gets who can conclude a sale, alongside 'getSale'.
+     * @param _id The ID of the sale.
+     * @return buyers The buyers the sale is offered to, starting with its
+     *         buyer (empty for open sales).
+     * @return gate The token the buyers of an open sale must hold (null
+     *         contract address if anyone can conclude it).
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleBuyers(
+        uint256 _id
+    ) external view returns (address[] memory buyers, Asset memory gate) {
+        findSale(_id);
+        address buyer = sales[_id].buyer;
+        gate = saleGates[_id];
+        if (buyer == address(0)) {
+            return (buyers, gate);
+        }
+        address[] storage others = saleBuyers[_id];
+        buyers = new address[](others.length + 1);
+        buyers[0] = buyer;
+        for (uint256 i = 0; i < others.length; i++) {
+            buyers[i + 1] = others[i];
+        }
+    }
+
+    /**
+     * @dev Gets the seller of a sale and its current index in the seller's sales list.
+     * @param _id The ID of the sale.
+     * @return seller The address of the seller.
+     * @return index The index of the sale in the seller's sales list.
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleLocation(
+        uint256 _id
+    ) public view returns (address seller, uint256 index) {
+        seller = findSale(_id);
+        SaleList storage list = sellerSales[seller];
+        index = list.positions[_id] - list.first;
+    }
+
+    /**
+     * @dev Gets the index of a sale in the seller's sales list.
+     * @param _seller The address of the seller.
+     * @param _id The ID of the sale.
+     * @return index The index of the sale in the seller's sales list.
+     * @dev Reverts if the sale is not found.
+     */
+    function getSaleIndex(
+        address _seller,
+        uint256 _id
+    ) public view returns (uint256 index) {
+        Sale[] storage legacySales = legacySellers[_seller];
+        for (index = 0; index < legacySales.length; index++) {
+            if (legacySales[index].id == _id) {
+                return index;
+            }
+        }
+        address seller;
+        (seller, index) = getSaleLocation(_id);
+        require(seller == _seller, "Gotchiswap: Sale not found");
+    }
+
+    /**
+     * @dev Gets the number of offers made to a specific buyer.
+     * @param _buyer The address of the buyer.
+     * @return The number of active offers available to a buyer.
+     */
+    function getBuyerOffersCount(
+        address _buyer
+    ) external view returns (uint256) {
+        return getOffersCount(_buyer);
+    }
+
+    /**
+     * @dev Gets the number of offers made by a specific seller.
+     * @param _seller The address of the seller.
+     * @return The number of active sales made by the seller.
+     */
+    function getSellerSalesCount(
+        address _seller
+    ) external view returns (uint256) {
+        return getSalesCount(_seller);
+    }
+
+    /**
+     * @dev Gets the number of open sales.
+     * @return The number of active sales that any address can conclude.
+     */
+    function getOpenSalesCount() external view returns (uint256) {
+        return buyerOffers[address(0)].length;
+    }
+
+    /**
+     * @dev Gets a page of the sales made by a seller, in the order they were added.
+     *      Pages are taken by index: removing a sale moves the later sales one
+     *      index down, so paging after a removal can skip a sale, but never
+     *      returns one twice. 'getActiveSales' pages by sale ID instead.
+     * @param _seller The address of the seller.
+     * @param _offset The index of the first sale in the seller's sales list.
+     * @param _limit The maximum number of sales to return.
+     * @return page The sales, with their seller and deadline.
+     */
+    function getSellerSales(
+        address _seller,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (SaleDetails[] memory page) {
+        page = new SaleDetails[](
+            getPageLength(getSalesCount(_seller), _offset, _limit)
+        );
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 id = getSaleId(_seller, _offset + i);
+            page[i] = getSaleDetails(_seller, id);
+        }
+    }
+
+    /**
+     * @dev Gets a page of the offers made to a buyer, in the order they were added.
+     *      Open sales are the offers made to the zero address.
+     *      Offers of the sellers not migrated from the legacy storage layout
+     *      yet come after the others.
+     *      Pages are taken by index, like 'getSellerSales'.
+     * @param _buyer The address of the buyer.
+     * @param _offset The index of the first offer in the buyer's offers list.
+     * @param _limit The maximum number of offers to return.
+     * @return page The sales offered, with their seller and deadline.
+     */
+    function getBuyerOffers(
+        address _buyer,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (SaleDetails[] memory page) {
+        page = new SaleDetails[](
+            getPageLength(getOffersCount(_buyer), _offset, _limit)
+        );
+        for (uint256 i = 0; i < page.length; i++) {
+            (address seller, uint256 id) = getOfferAt(_buyer, _offset + i);
+            page[i] = getSaleDetails(seller, id);
+        }
+    }
+
+    /**
+     * @dev Searches the active sales by sale ID.
+     *      Scans a range of sale IDs so frontends can page through every sale
+     *      in a few calls, whatever their seller or buyer.
+     * @param _fromId The first sale ID to scan.
+     * @param _count The number of sale IDs to scan.
+     * @param _contract Asset contract the sales must contain (zero address for any).
+     * @param _openOnly Whether to only return open sales.
+     * @return page The matching sales, with their seller and deadline.
+     * @return nextId The sale ID to scan from next, 0 once all sales are scanned.
+     */
+    function getActiveSales(
+        uint256 _fromId,
+        uint256 _count,
+        address _contract,
+        bool _openOnly
+    ) external view returns (SaleDetails[] memory page, uint256 nextId) {
+        nextId = saleId;
+        if (_fromId < nextId && nextId - _fromId > _count) {
+            nextId = _fromId + _count;
+        }
+        page = new SaleDetails[](_fromId < nextId ? nextId - _fromId : 0);
+
+        uint256 found = 0;
+        for (uint256 id = _fromId; id < nextId; id++) {
+            if (
+                saleSellers[id] == address(0) ||
+                (_openOnly && sales[id].buyer != address(0)) ||
+                !hasAssetContract(sales[id].assets, _contract)
+            ) {
+                continue;
+            }
+            page[found++] = getSaleDetails(saleSellers[id], id);
+        }
+
+        // shrink the page to the sales found
+        assembly {
+            mstore(page, found)
+        }
+        if (nextId == saleId) {
+            nextId = 0;
+        }
+    }
+
+    /**
+     * @dev Gets the counter-offer made by the buyer of a sale.
+     * @param _id The ID of the sale.
+     * @return priceClasses Classes of the prices being offered.
+     * @return priceContracts Addresses of the price contracts.
+     * @return priceIds IDs of the price tokens.
+     * @return priceAmounts Amounts of the price tokens.
+     * @dev Reverts if there is no counter-offer for the sale.
+     */
+    function getCounterOffer(
+        uint256 _id
+    )
+        external
+        view
+        returns (
+            AssetClass[] memory priceClasses,
+            address[] memory priceContracts,
+            uint256[] memory priceIds,
+            uint256[] memory priceAmounts
+        )
+    {
+        require(
+            counterOffers[_id].length > 0,
+            "Gotchiswap: No counter-offer found for the sale"
+        );
+        Items memory prices = toItems(counterOffers[_id]);
+        return (prices.classes, prices.contracts, prices.ids, prices.amounts);
+    }
+
+    /**
+     * @dev Gets the details of a bid from its ID.
+     * @param _id The ID of the bid.
+     * @return id The ID of the bid.
+     * @return assetClasses Classes of the assets being bid for.
+     * @return assetContracts Addresses of the asset contracts.
+     * @return assetIds IDs of the asset tokens.
+     * @return assetAmounts Amounts of the asset tokens.
+     * @return priceClasses Classes of the prices being offered.
+     * @return priceContracts Addresses of the price contracts.
+     * @return priceIds IDs of the price tokens.
+     * @return priceAmounts Amounts of the price tokens.
+     * @return bidder The address of the bidder.
+     * @return seller The address of the seller who can accept the bid.
+     * @dev Reverts if the bid is not found.
+     */
+    function getBid(
+        uint256 _id
+    )
+        external
+        view
+        returns (
+            uint256 id,
+            AssetClass[] memory assetClasses,
+            address[] memory assetContracts,
+            uint256[] memory assetIds,
+            uint256[] memory assetAmounts,
+            AssetClass[] memory priceClasses,
+            address[] memory priceContracts,
+            uint256[] memory priceIds,
+            uint256[] memory priceAmounts,
+            address bidder,
+            address seller
+        )
+    {
+        Bid memory bid = bids[_id];
+        require(bid.bidder != address(0), "Gotchiswap: Bid not found");
+
+        // need to group assets into Items to not blow through the stack
+        Items memory assets = toItems(bid.assets);
+        Items memory prices = toItems(bid.prices);
+
+        return (
+            bid.id,
+            assets.classes,
+            assets.contracts,
+            assets.ids,
+            assets.amounts,
+            prices.classes,
+            prices.contracts,
+            prices.ids,
+            prices.amounts,
+            bid.bidder,
+            bid.seller
+        );
+    }
+
+    /**
+     * @dev Gets the ID of a bid made by a bidder at a specific index.
+     * @param _bidder The address of the bidder.
+     * @param _index The index of the bid in the bidder's bids list.
+     * @return id The ID of the bid.
+     * @dev Reverts if _index is invalid.
+     */
+    function getBidderBid(
+        address _bidder,
+        uint256 _index
+    ) external view returns (uint256 id) {
+        require(
+            _index < bidderBids[_bidder].length,
+            "Gotchiswap: Index out of bound, no bid found"
+        );
+        return bidderBids[_bidder][_index];
+    }
+
+    /**
+     * @dev Gets the ID of a bid made to a seller at a specific index.
+     * @param _seller The address of the seller.
+     * @param _index The index of the bid in the seller's bids list.
+     * @return id The ID of the bid.
+     * @dev Reverts if _index is invalid.
+     */
+    function getSellerBid(
+        address _seller,
+        uint256 _index
+    ) external view returns (uint256 id) {
+        require(
+            _index < sellerBids[_seller].length,
+            "Gotchiswap: Index out of bound, no bid found"
+        );
+        return sellerBids[_seller][_index];
+    }
+
+    /**
+     * @dev Gets the number of bids made by a specific bidder.
+     * @param _bidder The address of the bidder.
+     * @return The number of active bids made by the bidder.
+     */
+    function getBidderBidsCount(
+        address _bidder
+    ) external view returns (uint256) {
+        return bidderBids[_bidder].length;
+    }
+
+    /**
+     * @dev Gets the number of bids made to a specific seller.
+     * @param _seller The address of the seller.
+     * @return The number of active bids the seller can accept.
+     */
+    function getSellerBidsCount(
+        address _seller
+    ) external view returns (uint256) {
+        return sellerBids[_seller].length;
+    }
+
+    /**
+     * @dev Private function to get the number of sales made by a seller,
+     *      whether or not they are migrated from the legacy storage layout.
+     * @param _seller The address of the seller.
+     * @return The number of active sales made by the seller.
+     */
+    function getSalesCount(address _seller) private view returns (uint256) {
+        return sellerSales[_seller].length + legacySellers[_seller].length;
+    }
+
+    /**
+     * @dev Private function to get the length of a page of a list.
+     * @param _length The length of the list.
+     * @param _offset The index of the first entry of the page.
+     * @param _limit The maximum number of entries of the page.
+     * @return The number of entries of the page.
+     */
+    function getPageLength(
+        uint256 _length,
+        uint256 _offset,
+        uint256 _limit
+    ) private pure returns (uint256) {
+        if (_offset >= _length) {
+            return 0;
+        }
+        return _length - _offset > _limit ? _limit : _length - _offset;
+    }
+
+    /**
+     * @dev Private function to get an active sale with its seller and deadline.
+     *      Sales not migrated from the legacy storage layout yet are read
+     *      from the legacy sales of their seller, and have no deadline.
+     * @param _seller The address of the seller.
+     * @param _id The ID of the sale.
+     * @return details The details of the sale.
+     */
+    function getSaleDetails(
+        address _seller,
+        uint256 _id
+    ) private view returns (SaleDetails memory details) {
+        Sale[] storage legacySales = legacySellers[_seller];
+        for (uint256 i = 0; i < legacySales.length; i++) {
+            if (legacySales[i].id == _id) {
+                return SaleDetails(legacySales[i], _seller, 0);
+            }
+        }
+        return SaleDetails(sales[_id], _seller, saleDeadlines[_id]);
+    }
+
+    /**
+     * @dev Private function to get the values returned by 'getSaleById'.
+     * @param _sale The sale.
+     * @param _deadline The timestamp after which the sale expires (0 for none).
+     */
+    function describeSale(
+        Sale storage _sale,
+        uint256 _deadline
+    )
+        private
+        view
+        returns (
+            uint256 id,
+            AssetClass[] memory assetClasses,
+            address[] memory assetContracts,
+            uint256[] memory assetIds,
+            uint256[] memory assetAmounts,
+            AssetClass[] memory priceClasses,
+            address[] memory priceContracts,
+            uint256[] memory priceIds,
+            uint256[] memory priceAmounts,
+            address buyer,
+            uint256 deadline
+        )
+    {
+        // need to group assets into Items to not blow through the stack
+        Items memory items = toItems(_sale.assets);
+        (assetClasses, assetContracts, assetIds, assetAmounts) = (
+            items.classes,
+            items.contracts,
+            items.ids,
+            items.amounts
+        );
+        items = toItems(_sale.prices);
+        (priceClasses, priceContracts, priceIds, priceAmounts) = (
+            items.classes,
+            items.contracts,
+            items.ids,
+            items.amounts
+        );
+        (id, buyer, deadline) = (_sale.id, _sale.buyer, _deadline);
+    }
+
+    /**
+     * @dev Private function to check if a bundle contains an asset of a contract.
+     * @param _assets The assets of the bundle.
+     * @param _contract The asset contract, any contract matches the zero address.
+     * @return True if an asset of the bundle is from the contract, false otherwise.
+     */
+    function hasAssetContract(
+        Asset[] storage _assets,
+        address _contract
+    ) private view returns (bool) {
+        if (_contract == address(0)) {
+            return true;
+        }
+        for (uint256 i = 0; i < _assets.length; i++) {
+            if (_assets[i].addr == _contract) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
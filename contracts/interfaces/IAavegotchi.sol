@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IAavegotchi
+ * @dev Functions of the Aavegotchi diamond used to snapshot gotchis.
+ */
+interface IAavegotchi {
+    function ghstAddress() external view returns (address contract_);
+
+    function equippedWearables(
+        uint256 _tokenId
+    ) external view returns (uint16[16] memory wearableIds_);
+
+    function collateralBalance(
+        uint256 _tokenId
+    )
+        external
+        view
+        returns (address collateralType_, address escrow_, uint256 balance_);
+}
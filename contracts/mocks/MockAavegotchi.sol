@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "../interfaces/IAavegotchi.sol";
+
+/**
+ * @title MockAavegotchi
+ * @dev Gotchis anyone can mint, with the functions of the Aavegotchi diamond
+ *      Gotchiswap snapshots, for testing only.
+ *      The pocket of each gotchi holds its GHST balance.
+ */
+contract MockAavegotchi is ERC721, IAavegotchi {
+    address public immutable ghstAddress;
+
+    mapping(uint256 => uint16[16]) wearables;
+
+    /**
+     * @param _ghst Address of the GHST token.
+     */
+    constructor(address _ghst) ERC721("Mock Aavegotchi", "GOTCHI") {
+        ghstAddress = _ghst;
+    }
+
+    /**
+     * @dev Mints a gotchi to any address.
+     */
+    function mint(address _to, uint256 _tokenId) external {
+        _mint(_to, _tokenId);
+    }
+
+    /**
+     * @dev Sets the wearables equipped by a gotchi, by slot.
+     */
+    function setEquippedWearables(
+        uint256 _tokenId,
+        uint16[16] calldata _wearableIds
+    ) external {
+        wearables[_tokenId] = _wearableIds;
+    }
+
+    function equippedWearables(
+        uint256 _tokenId
+    ) external view returns (uint16[16] memory) {
+        return wearables[_tokenId];
+    }
+
+    /**
+     * @dev Gets the pocket of a gotchi and its GHST balance.
+     *      The pocket is an address derived from the ID of the gotchi.
+     */
+    function collateralBalance(
+        uint256 _tokenId
+    )
+        external
+        view
+        returns (address collateralType_, address escrow_, uint256 balance_)
+    {
+        escrow_ = address(
+            uint160(uint256(keccak256(abi.encode(address(this), _tokenId))))
+        );
+        collateralType_ = ghstAddress;
+        balance_ = IERC20(ghstAddress).balanceOf(escrow_);
+    }
+}
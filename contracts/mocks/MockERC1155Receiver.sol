@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title MockERC1155Receiver
+ * @dev Account logging the ERC1155 receiver hooks it gets, for testing only.
+ */
+contract MockERC1155Receiver is ERC1155Holder {
+    event Received(address indexed from, uint256 id, uint256 value);
+    event BatchReceived(address indexed from, uint256[] ids, uint256[] values);
+
+    /**
+     * @dev Calls any contract with the value sent.
+     */
+    function execute(
+        address _target,
+        bytes calldata _data
+    ) external payable returns (bytes memory) {
+        return Address.functionCallWithValue(_target, _data, msg.value);
+    }
+
+    function onERC1155Received(
+        address,
+        address _from,
+        uint256 _id,
+        uint256 _value,
+        bytes memory
+    ) public override returns (bytes4) {
+        emit Received(_from, _id, _value);
+        return this.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address,
+        address _from,
+        uint256[] memory _ids,
+        uint256[] memory _values,
+        bytes memory
+    ) public override returns (bytes4) {
+        emit BatchReceived(_from, _ids, _values);
+        return this.onERC1155BatchReceived.selector;
+    }
+}
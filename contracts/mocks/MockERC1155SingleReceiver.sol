@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title MockERC1155SingleReceiver
+ * @dev Account implementing only the single ERC1155 receiver hook, like the
+ *      contracts written before the batch transfers, for testing only.
+ */
+contract MockERC1155SingleReceiver {
+    event Received(address indexed from, uint256 id, uint256 value);
+
+    /**
+     * @dev Calls any contract with the value sent.
+     */
+    function execute(
+        address _target,
+        bytes calldata _data
+    ) external payable returns (bytes memory) {
+        return Address.functionCallWithValue(_target, _data, msg.value);
+    }
+
+    function onERC1155Received(
+        address,
+        address _from,
+        uint256 _id,
+        uint256 _value,
+        bytes memory
+    ) external returns (bytes4) {
+        emit Received(_from, _id, _value);
+        return this.onERC1155Received.selector;
+    }
+}
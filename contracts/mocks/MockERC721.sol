@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev ERC721 token anyone can mint, for testing only.
+ */
+contract MockERC721 is ERC721 {
+    constructor() ERC721("Mock NFT", "MNFT") {}
+
+    /**
+     * @dev Mints a token to any address.
+     */
+    function mint(address _to, uint256 _tokenId) external {
+        _mint(_to, _tokenId);
+    }
+}
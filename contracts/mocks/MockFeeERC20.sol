@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeERC20
+ * @dev ERC20 token burning a fee on every transfer, for testing only.
+ */
+contract MockFeeERC20 is ERC20 {
+    // Fee burnt on transfers, in basis points
+    uint256 public feeBasisPoints;
+
+    /**
+     * @param _feeBasisPoints Fee burnt on transfers, in basis points.
+     */
+    constructor(uint256 _feeBasisPoints) ERC20("Mock Fee Token", "FEE") {
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    /**
+     * @dev Mints tokens to any address.
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function _transfer(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal override {
+        uint256 fee = (_amount * feeBasisPoints) / 10000;
+        _burn(_from, fee);
+        super._transfer(_from, _to, _amount - fee);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title MockNativeRejecter
+ * @dev Account rejecting native transfers until told otherwise, for testing only.
+ */
+contract MockNativeRejecter {
+    bool public accepting;
+
+    /**
+     * @dev Sets whether native transfers are accepted.
+     */
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    /**
+     * @dev Calls any contract with the value sent.
+     */
+    function execute(
+        address _target,
+        bytes calldata _data
+    ) external payable returns (bytes memory) {
+        return Address.functionCallWithValue(_target, _data, msg.value);
+    }
+
+    receive() external payable {
+        require(accepting, "MockNativeRejecter: Native transfers rejected");
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockRebasingERC20
+ * @dev ERC20 token whose balances can drop while held, like a rebasing token,
+ *      for testing only.
+ */
+contract MockRebasingERC20 is ERC20 {
+    constructor() ERC20("Mock Rebasing Token", "REBASE") {}
+
+    /**
+     * @dev Mints tokens to any address.
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    /**
+     * @dev Lowers the balance of an account by a share, in basis points.
+     */
+    function rebase(address _account, uint256 _basisPoints) external {
+        _burn(_account, (balanceOf(_account) * _basisPoints) / 10000);
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+
+/**
+ * @title MockRoyaltyERC1155
+ * @dev ERC1155 token paying EIP-2981 royalties, for testing only.
+ */
+contract MockRoyaltyERC1155 is ERC1155, ERC2981 {
+    bool public royaltyInfoReverts;
+    uint256 public royaltyExcess;
+
+    /**
+     * @param _receiver Address receiving the royalties.
+     * @param _feeNumerator Royalty in basis points.
+     */
+    constructor(address _receiver, uint96 _feeNumerator) ERC1155("") {
+        _setDefaultRoyalty(_receiver, _feeNumerator);
+    }
+
+    /**
+     * @dev Mints tokens to any address.
+     */
+    function mint(address _to, uint256 _id, uint256 _amount) external {
+        _mint(_to, _id, _amount, "");
+    }
+
+    /**
+     * @dev Makes 'royaltyInfo' revert, or return more than the royalty set.
+     */
+    function breakRoyaltyInfo(bool _reverts, uint256 _excess) external {
+        royaltyInfoReverts = _reverts;
+        royaltyExcess = _excess;
+    }
+
+    function royaltyInfo(
+        uint256 _tokenId,
+        uint256 _salePrice
+    ) public view override returns (address, uint256) {
+        require(!royaltyInfoReverts, "MockRoyaltyERC1155: Broken royaltyInfo");
+        (address receiver, uint256 amount) = super.royaltyInfo(
+            _tokenId,
+            _salePrice
+        );
+        return (receiver, amount + royaltyExcess);
+    }
+
+    function supportsInterface(
+        bytes4 _interfaceId
+    ) public view override(ERC1155, ERC2981) returns (bool) {
+        return super.supportsInterface(_interfaceId);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+/**
+ * @title MockWearables
+ * @dev Wearables anyone can mint, for testing only.
+ *      Like the Aavegotchi wearables, the operators approved on the
+ *      Aavegotchi diamond are approved for the wearables too.
+ */
+contract MockWearables is ERC1155 {
+    address public immutable aavegotchi;
+
+    /**
+     * @param _aavegotchi Address of the Aavegotchi diamond.
+     */
+    constructor(address _aavegotchi) ERC1155("") {
+        aavegotchi = _aavegotchi;
+    }
+
+    /**
+     * @dev Mints wearables to any address.
+     */
+    function mint(address _to, uint256 _id, uint256 _amount) external {
+        _mint(_to, _id, _amount, "");
+    }
+
+    function isApprovedForAll(
+        address _account,
+        address _operator
+    ) public view override returns (bool) {
+        return
+            super.isApprovedForAll(_account, _operator) ||
+            IERC721(aavegotchi).isApprovedForAll(_account, _operator);
+    }
+}
@@ -1,6 +1,7 @@
 require('dotenv').config();
 require("@nomicfoundation/hardhat-toolbox");
 require('@openzeppelin/hardhat-upgrades');
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -34,10 +35,20 @@ module.exports = {
         //url: `https://polygon-mumbai.infura.io/v3/${process.env.INFURA_API_KEY}`,
         url: `https://polygon-mainnet.infura.io/v3/${process.env.INFURA_API_KEY}`,
         //blockNumber: 46397958
+        // the tests run on local mocks, set FORK to run them against Polygon
+        enabled: !!process.env.FORK
       }
     }
   },
+  typechain: {
+    // the toolbox skips the types of JavaScript projects, the SDK is typed with them
+    dontOverrideCompile: false
+  },
   etherscan: {
     apiKey: process.env.POLYGONSCAN_API_KEY
   },
+  gasReporter: {
+    enabled: process.env.REPORT_GAS !== undefined,
+    excludeContracts: ["GotchiswapV1", "MockRoyaltyERC1155", "MockNativeRejecter", "MockERC1155Receiver", "MockERC1155SingleReceiver", "MockFeeERC20", "MockRebasingERC20", "MockERC20", "MockERC721", "MockAavegotchi", "MockWearables"]
+  },
 }
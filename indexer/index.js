@@ -0,0 +1,291 @@
+const { Interface, ZeroAddress, getAddress } = require("ethers");
+const abi = require("../Gotchiswap-abi.json");
+const { JsonStore } = require("./store");
+
+const ASSET = "tuple(uint8 class, address addr, uint256 id, uint256 qty)";
+const SALE = `tuple(uint256 id, ${ASSET}[] assets, ${ASSET}[] prices, address buyer)`;
+
+// Events of the versions deployed before the sale deadlines and the indexed
+// sale IDs, still found in the history of upgraded proxies
+const LEGACY_EVENTS = new Interface([
+  `event CreateSale(address indexed seller, uint256 indexed id, ${ASSET}[] assets, ${ASSET}[] prices, address indexed _buyer)`,
+  `event ConcludeSale(address indexed buyer, ${SALE} sale)`,
+  `event AbortSale(address indexed seller, ${SALE} sale)`,
+]);
+
+const EVENTS = new Interface(abi);
+
+// Events making up the lifecycle of a sale
+const EVENT_NAMES = [
+  "CreateSale",
+  "AddSaleBuyers",
+  "FillSale",
+  "ConcludeSale",
+  "AbortSale",
+];
+
+/**
+ * Indexer rebuilding the sales of a Gotchiswap deployment from its logs.
+ *
+ * Only blocks with enough confirmations are indexed, so the sales stored do
+ * not need to be rolled back on chain reorganisations. A reorganisation
+ * deeper than that is detected from the hash of the last block indexed, and
+ * requires to reindex from scratch.
+ *
+ * Each sale is stored as:
+ *   - id, seller and deadline of the sale
+ *   - buyers: the buyers it is offered to, none for an open sale
+ *   - assets and prices: the bundles listed
+ *   - remaining: the assets and prices left after partial fills
+ *   - fills: the partial fills, with their buyer, assets and prices
+ *   - status: "open", "concluded" or "aborted"
+ *   - concludedBy: the buyer who concluded the sale
+ *   - createdAt and closedAt: the block and transaction of the events
+ */
+class SaleIndexer {
+  /**
+   * @param {Object} options
+   * @param {import("ethers").Provider} options.provider Provider to read the
+   *        logs with.
+   * @param {string} options.address Address of the Gotchiswap proxy.
+   * @param {JsonStore} [options.store] Store of the sales, in memory only by
+   *        default.
+   * @param {number} [options.confirmations] Number of blocks to wait before
+   *        indexing a block.
+   * @param {number} [options.fromBlock] Block to start indexing from, the
+   *        deployment block of the proxy.
+   * @param {number} [options.batchSize] Maximum number of blocks to read the
+   *        logs of at once.
+   */
+  constructor({
+    provider,
+    address,
+    store = new JsonStore(),
+    confirmations = 12,
+    fromBlock = 0,
+    batchSize = 2000,
+  }) {
+    this.provider = provider;
+    this.address = getAddress(address);
+    this.store = store;
+    this.confirmations = confirmations;
+    this.fromBlock = fromBlock;
+    this.batchSize = batchSize;
+    this.topics = EVENT_NAMES.map(
+      (name) => EVENTS.getEvent(name).topicHash
+    ).concat(LEGACY_EVENTS.fragments.map((fragment) => fragment.topicHash));
+    this.store.load();
+  }
+
+  /**
+   * Indexes the logs of the blocks confirmed since the last call.
+   * @returns {Promise<number>} The number of logs indexed.
+   */
+  async sync() {
+    const toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    await this.checkLastBlock();
+
+    let fromBlock =
+      this.store.lastBlock === null ? this.fromBlock : this.store.lastBlock + 1;
+    let count = 0;
+    while (fromBlock <= toBlock) {
+      const endBlock = Math.min(fromBlock + this.batchSize - 1, toBlock);
+      const logs = await this.provider.getLogs({
+        address: this.address,
+        fromBlock,
+        toBlock: endBlock,
+        topics: [this.topics],
+      });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      for (const log of logs) {
+        this.apply(log);
+      }
+      count += logs.length;
+
+      this.store.lastBlock = endBlock;
+      this.store.lastBlockHash = (await this.provider.getBlock(endBlock)).hash;
+      this.store.save();
+      fromBlock = endBlock + 1;
+    }
+    return count;
+  }
+
+  /**
+   * Checks the last block indexed is still part of the chain.
+   * @throws If it was reorganised deeper than the confirmation depth.
+   */
+  async checkLastBlock() {
+    if (this.store.lastBlock === null) {
+      return;
+    }
+    const block = await this.provider.getBlock(this.store.lastBlock);
+    if (!block || block.hash !== this.store.lastBlockHash) {
+      throw new Error(
+        `Gotchiswap: Block ${this.store.lastBlock} was reorganised deeper than ${this.confirmations} confirmations, reindex from scratch`
+      );
+    }
+  }
+
+  /**
+   * Applies a log to the sale it is about.
+   * @param {import("ethers").Log} log
+   */
+  apply(log) {
+    const event = EVENTS.parseLog(log) ?? LEGACY_EVENTS.parseLog(log);
+    if (!event) {
+      return;
+    }
+    const { args } = event;
+    const at = {
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+    };
+
+    if (event.name === "CreateSale") {
+      const assets = args.assets.map(toAsset);
+      const prices = args.prices.map(toAsset);
+      this.store.sales[args.id.toString()] = {
+        id: args.id.toString(),
+        seller: args.seller,
+        buyers: args._buyer === ZeroAddress ? [] : [args._buyer],
+        assets,
+        prices,
+        remaining: { assets, prices },
+        deadline: (args.deadline ?? 0n).toString(),
+        fills: [],
+        status: "open",
+        concludedBy: null,
+        createdAt: at,
+        closedAt: null,
+      };
+      return;
+    }
+
+    const id = (
+      event.name === "ConcludeSale" || event.name === "AbortSale"
+        ? args.sale.id
+        : args.id
+    ).toString();
+    const sale = this.store.sales[id];
+    if (!sale) {
+      // created before the block indexing started from
+      return;
+    }
+
+    if (event.name === "AddSaleBuyers") {
+      sale.buyers.push(...args.buyers);
+    } else if (event.name === "FillSale") {
+      const fill = {
+        buyer: args.buyer,
+        assets: args.assets.map(toAsset),
+        prices: args.prices.map(toAsset),
+        ...at,
+      };
+      sale.fills.push(fill);
+      sale.remaining = {
+        assets: subtract(sale.remaining.assets, fill.assets),
+        prices: subtract(sale.remaining.prices, fill.prices),
+      };
+    } else {
+      sale.status = event.name === "ConcludeSale" ? "concluded" : "aborted";
+      sale.concludedBy = event.name === "ConcludeSale" ? args.buyer : null;
+      sale.closedAt = at;
+    }
+  }
+
+  /**
+   * Gets a sale by ID.
+   * @param {bigint | number | string} id
+   * @returns {Object | undefined}
+   */
+  getSale(id) {
+    return this.store.sales[id.toString()];
+  }
+
+  /**
+   * Gets all the sales indexed, by ascending ID.
+   * @returns {Object[]}
+   */
+  getSales() {
+    return Object.values(this.store.sales).sort((a, b) =>
+      BigInt(a.id) < BigInt(b.id) ? -1 : 1
+    );
+  }
+
+  /**
+   * Gets the sales that can still be concluded.
+   * @param {number} [timestamp] Current timestamp, to leave out the sales
+   *        expired but not reclaimed yet.
+   * @returns {Object[]}
+   */
+  getOpenSales(timestamp) {
+    return this.getSales().filter(
+      (sale) =>
+        sale.status === "open" &&
+        (timestamp === undefined ||
+          sale.deadline === "0" ||
+          BigInt(timestamp) <= BigInt(sale.deadline))
+    );
+  }
+
+  /**
+   * Gets the sales made by a seller.
+   * @param {string} seller
+   * @returns {Object[]}
+   */
+  getSalesBySeller(seller) {
+    const address = getAddress(seller);
+    return this.getSales().filter((sale) => sale.seller === address);
+  }
+
+  /**
+   * Gets the sales offered to a buyer, or concluded or filled by them.
+   * @param {string} buyer
+   * @returns {Object[]}
+   */
+  getSalesByBuyer(buyer) {
+    const address = getAddress(buyer);
+    return this.getSales().filter(
+      (sale) =>
+        sale.buyers.includes(address) ||
+        sale.concludedBy === address ||
+        sale.fills.some((fill) => fill.buyer === address)
+    );
+  }
+
+  /**
+   * Gets the sales trading tokens of a contract, as assets or prices.
+   * @param {string} contract Address of the token contract.
+   * @param {bigint | number | string} [tokenId] ID of the token, any by
+   *        default.
+   * @returns {Object[]}
+   */
+  getSalesByToken(contract, tokenId) {
+    const address = getAddress(contract);
+    const matches = (asset) =>
+      asset.addr === address &&
+      (tokenId === undefined || asset.id === tokenId.toString());
+    return this.getSales().filter(
+      (sale) => sale.assets.some(matches) || sale.prices.some(matches)
+    );
+  }
+}
+
+function toAsset(asset) {
+  return {
+    class: Number(asset.class),
+    addr: asset.addr,
+    id: asset.id.toString(),
+    qty: asset.qty.toString(),
+  };
+}
+
+// Subtracts the amounts of a fill from a bundle, asset by asset
+function subtract(assets, filled) {
+  return assets.map((asset, i) => ({
+    ...asset,
+    qty: (BigInt(asset.qty) - BigInt(filled[i].qty)).toString(),
+  }));
+}
+
+module.exports = { SaleIndexer, JsonStore };
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Store of the indexed sales, kept in memory and persisted to a JSON file.
+ * Amounts and IDs are kept as strings so the file stays plain JSON.
+ *
+ * Any store with the same 'load' and 'save' methods, and 'lastBlock',
+ * 'lastBlockHash' and 'sales' properties, can be given to the indexer
+ * instead, to persist to a database.
+ */
+class JsonStore {
+  /**
+   * @param {string} [file] Path of the JSON file, none to keep the sales in
+   *        memory only.
+   */
+  constructor(file) {
+    this.file = file;
+    this.lastBlock = null;
+    this.lastBlockHash = null;
+    this.sales = {};
+  }
+
+  /**
+   * Loads the sales indexed so far, if the file exists.
+   */
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    const { lastBlock, lastBlockHash, sales } = JSON.parse(
+      fs.readFileSync(this.file, "utf8")
+    );
+    this.lastBlock = lastBlock;
+    this.lastBlockHash = lastBlockHash;
+    this.sales = sales;
+  }
+
+  /**
+   * Saves the sales indexed so far.
+   * Writes a temporary file first so a crash cannot leave a truncated file.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(
+      temporary,
+      JSON.stringify(
+        {
+          lastBlock: this.lastBlock,
+          lastBlockHash: this.lastBlockHash,
+          sales: this.sales,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+    fs.renameSync(temporary, this.file);
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,434 @@
+const fs = require("fs");
+const path = require("path");
+const { ZeroAddress, getAddress } = require("ethers");
+const { deployExtensions, getGotchiswapAbi } = require("./extensions");
+const { SaleIndexer } = require("../indexer");
+
+const DEPLOYMENTS = path.join(__dirname, "..", "deployments");
+
+// Roles handed over to the admin when it is not the deployer
+const ROLES = [
+  "ALLOWLIST_MANAGER_ROLE",
+  "PAUSER_ROLE",
+  "RESCUER_ROLE",
+  "UPGRADER_ROLE",
+];
+
+// Number of sellers migrated by each 'migrateSales' transaction
+const MIGRATION_BATCH_SIZE = 20;
+
+/**
+ * Reads the deployment config of a network, 'deployments/<network>/config.json':
+ *   - admin: the admin of Gotchiswap, null for the deployer
+ *   - allowlist: the token contracts allowed to be traded
+ *   - allowlistDisabled: whether any token contract can be traded
+ *   - fees: the fee in basis points, its recipient (null for the deployer),
+ *     the fee caps by token and the flat fee
+ *   - smokeChecks: the sellers and buyers whose sale counts must not change
+ *     with an upgrade, on top of the open sales
+ *   - deploymentBlock: the block the proxy was deployed at, to find the
+ *     sellers to migrate when upgrading from the single admin version
+ */
+function loadConfig(network) {
+  const file = path.join(DEPLOYMENTS, network, "config.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`Gotchiswap: No deployment config for ${network}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Reads the manifest of the deployment on a network,
+ * 'deployments/<network>/manifest.json'. It records the proxy and the
+ * implementations it was upgraded to, with their storage layout.
+ * @param {string} [directory] Directory of the manifests, to keep dry runs
+ *        out of the repository.
+ * @returns The manifest, null if Gotchiswap is not deployed on the network.
+ */
+function loadManifest(network, directory = DEPLOYMENTS) {
+  const file = path.join(directory, network, "manifest.json");
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveManifest(manifest, directory = DEPLOYMENTS) {
+  const file = path.join(directory, manifest.network, "manifest.json");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  console.log("Deployment manifest saved to:", file);
+}
+
+/**
+ * Deploys Gotchiswap behind a proxy and applies the config of the network.
+ * The deployer applies the config, then hands the roles and the admin rights
+ * over to the admin.
+ * @param {Object} options
+ * @param {Object} options.config Deployment config of the network.
+ * @param {string} [options.directory] Directory of the manifests.
+ * @returns The proxy, and the manifest of the deployment.
+ */
+async function deployGotchiswap(hre, { config, directory }) {
+  const network = hre.network.name;
+  if (loadManifest(network, directory)) {
+    throw new Error(`Gotchiswap: Already deployed on ${network}, upgrade it`);
+  }
+  const [deployer] = await hre.ethers.getSigners();
+  const feeData = await hre.ethers.provider.getFeeData();
+
+  // Gotchiswap forwards the functions it does not implement to the extensions
+  const extension = await deployExtensions(hre);
+  console.log("Gotchiswap extensions deployed from:", extension);
+
+  const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+  const proxy = await hre.upgrades.deployProxy(Gotchiswap, [deployer.address], {
+    ...feeData,
+    constructorArgs: [extension],
+  });
+  await proxy.waitForDeployment();
+  console.log("Gotchiswap proxy deployed to:", proxy.target);
+
+  const gotchiswap = await hre.ethers.getContractAt(
+    await getGotchiswapAbi(hre),
+    proxy.target
+  );
+  await configure(gotchiswap, config, deployer.address);
+
+  const manifest = {
+    network,
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    proxy: proxy.target,
+    versions: [],
+  };
+  await recordVersion(hre, manifest, extension);
+  saveManifest(manifest, directory);
+  return { gotchiswap, manifest };
+}
+
+/**
+ * Applies the allowlist and fee settings of a config, then hands the roles
+ * and the admin rights over to its admin.
+ */
+async function configure(gotchiswap, config, deployer) {
+  const send = async (tx) => (await tx).wait();
+  if (config.allowlist.length > 0) {
+    await send(gotchiswap.allowContracts(config.allowlist));
+  }
+  if (config.allowlistDisabled) {
+    await send(gotchiswap.disableAllowlist());
+  }
+
+  const { bps, recipient, caps, flatFee } = config.fees;
+  if (bps > 0) {
+    await send(gotchiswap.changeFee(bps));
+  }
+  if (recipient !== ZeroAddress) {
+    await send(gotchiswap.changeFeeRecipient(recipient ?? deployer));
+  }
+  for (const [token, cap] of Object.entries(caps)) {
+    await send(gotchiswap.changeFeeCap(token, cap));
+  }
+  if (BigInt(flatFee.amount) > 0n) {
+    await send(gotchiswap.changeFlatFee(flatFee.token, flatFee.amount));
+  }
+
+  const admin = getAddress(config.admin ?? deployer);
+  if (admin !== deployer) {
+    for (const name of ROLES) {
+      const role = await gotchiswap[name]();
+      await send(gotchiswap.grantRole(role, admin));
+      await send(gotchiswap.renounceRole(role));
+    }
+    await send(gotchiswap.changeAdmin(admin));
+  }
+  console.log("Gotchiswap configured, admin:", admin);
+}
+
+/**
+ * Upgrades the Gotchiswap proxy of a network to the current sources.
+ *
+ * Before upgrading, validates the upgrade with the upgrades plugin, and
+ * prints the changes to the storage layout recorded for the current
+ * implementation. After upgrading, migrates the legacy sales of a proxy of
+ * the single admin version, records the new implementation in the manifest,
+ * then runs the smoke checks.
+ * @param {Object} options
+ * @param {Object} options.config Deployment config of the network.
+ * @param {string} [options.directory] Directory of the manifests.
+ * @returns The proxy, and the manifest of the deployment.
+ * @throws If the upgrade is unsafe or the legacy sales cannot be migrated,
+ *         before upgrading, or if the smoke checks fail, after upgrading.
+ */
+async function upgradeGotchiswap(hre, { config, directory }) {
+  const network = hre.network.name;
+  const manifest = loadManifest(network, directory);
+  if (!manifest) {
+    throw new Error(`Gotchiswap: Not deployed on ${network}, deploy it first`);
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (BigInt(manifest.chainId) !== chainId) {
+    throw new Error(
+      `Gotchiswap: The manifest of ${network} is for chain ${manifest.chainId}, not ${chainId}`
+    );
+  }
+  const gotchiswap = await hre.ethers.getContractAt(
+    await getGotchiswapAbi(hre),
+    manifest.proxy
+  );
+  const before = await getState(gotchiswap, config);
+
+  const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+  // the address of the extensions is immutable, it does not change the layout
+  await hre.upgrades.validateUpgrade(manifest.proxy, Gotchiswap, {
+    kind: "transparent",
+    constructorArgs: [ZeroAddress],
+  });
+  const layout = await getStorageLayout(hre, "Gotchiswap");
+  const current = manifest.versions[manifest.versions.length - 1];
+  if (current?.storageLayout) {
+    const changes = diffStorageLayouts(current.storageLayout, layout);
+    console.log("Storage layout changes:");
+    console.log(
+      changes.length > 0 ? changes.map(formatChange).join("\n") : "  none"
+    );
+    if (changes.some((change) => change.kind !== "added")) {
+      throw new Error(
+        "Gotchiswap: The upgrade moves or removes storage variables"
+      );
+    }
+  } else {
+    console.log(
+      "No storage layout recorded for the current implementation, validated by the upgrades plugin only"
+    );
+  }
+
+  // proxies of the single admin version do not track their escrowed tokens
+  // until all their sales are migrated
+  const version = await readStorageByte(
+    hre,
+    manifest.proxy,
+    layout,
+    "_initialized"
+  );
+  const legacy =
+    (await readStorageByte(hre, manifest.proxy, layout, "escrowTracked")) === 0;
+  const legacySellers = legacy
+    ? await findLegacySellers(hre, manifest.proxy, config)
+    : [];
+
+  // the extensions are not behind the proxy, deploy them again with each upgrade
+  const extension = await deployExtensions(hre);
+  console.log("Gotchiswap extensions deployed from:", extension);
+  await hre.upgrades.upgradeProxy(manifest.proxy, Gotchiswap, {
+    constructorArgs: [extension],
+    // grants the roles to the admin when upgrading from the single admin version
+    call: legacy && version < 2 ? { fn: "initializeRoles" } : undefined,
+  });
+  console.log("Gotchiswap upgraded");
+  if (legacy) {
+    await migrateSales(gotchiswap, legacySellers);
+  }
+  await recordVersion(hre, manifest, extension);
+  saveManifest(manifest, directory);
+
+  const failures = compareStates(before, await getState(gotchiswap, config));
+  if (failures.length > 0) {
+    throw new Error(
+      `Gotchiswap: Smoke checks failed after the upgrade:\n${failures.join(
+        "\n"
+      )}`
+    );
+  }
+  console.log("Smoke checks passed");
+  return { gotchiswap, manifest };
+}
+
+/**
+ * Finds the sellers with sales in the legacy storage layout of a proxy of the
+ * single admin version, from the logs of the proxy.
+ * @throws If the deployment block of the proxy is not configured, or the
+ *         signer cannot migrate the sales once upgraded.
+ */
+async function findLegacySellers(hre, proxy, config) {
+  if (config.deploymentBlock === undefined) {
+    throw new Error(
+      `Gotchiswap: Set the deploymentBlock of ${hre.network.name} to find the legacy sales to migrate`
+    );
+  }
+  // the roles are granted to the admin, who migrates the sales
+  const gotchiswap = await hre.ethers.getContractAt(
+    await getGotchiswapAbi(hre),
+    proxy
+  );
+  const [signer] = await hre.ethers.getSigners();
+  if (getAddress(await gotchiswap.adminAddress()) !== signer.address) {
+    throw new Error(
+      "Gotchiswap: Only the admin can migrate the legacy sales, upgrade with the admin account"
+    );
+  }
+
+  const indexer = new SaleIndexer({
+    provider: hre.ethers.provider,
+    address: proxy,
+    confirmations: 0,
+    fromBlock: config.deploymentBlock,
+  });
+  await indexer.sync();
+  const sellers = [
+    ...new Set(indexer.getOpenSales().map((sale) => sale.seller)),
+  ];
+  console.log("Sellers with legacy sales:", sellers.length);
+  return sellers;
+}
+
+/**
+ * Migrates the legacy sales of the sellers in batches, the last batch
+ * enabling the rescues.
+ */
+async function migrateSales(gotchiswap, sellers) {
+  let start = 0;
+  do {
+    const batch = sellers.slice(start, start + MIGRATION_BATCH_SIZE);
+    start += MIGRATION_BATCH_SIZE;
+    const last = start >= sellers.length;
+    await (await gotchiswap.migrateSales(batch, last)).wait();
+  } while (start < sellers.length);
+  console.log("Legacy sales migrated");
+}
+
+/**
+ * Records the implementation the proxy points to as a new version.
+ */
+async function recordVersion(hre, manifest, extension) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  manifest.versions.push({
+    version: manifest.versions.length + 1,
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(
+      manifest.proxy
+    ),
+    extension,
+    blockNumber: block.number,
+    deployedAt: new Date(block.timestamp * 1000).toISOString(),
+    storageLayout: await getStorageLayout(hre, "Gotchiswap"),
+  });
+}
+
+/**
+ * Gets the storage layout of a contract from its build info.
+ * The AST IDs are left out of the types, they change with every compilation.
+ * @returns {Promise<{ contract: string, label: string, slot: string, offset: number, type: string }[]>}
+ */
+async function getStorageLayout(hre, name) {
+  const { sourceName } = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${name}`);
+  const { storage } =
+    buildInfo.output.contracts[sourceName][name].storageLayout;
+  return storage.map(({ contract, label, slot, offset, type }) => ({
+    contract: contract.split(":").pop(),
+    label,
+    slot,
+    offset,
+    type: type.replace(/\)\d+/g, ")"),
+  }));
+}
+
+/**
+ * Compares two storage layouts variable by variable.
+ * @returns {{ kind: "added" | "removed" | "changed", label: string, from?: Object, to?: Object }[]}
+ *          The changes, only additions are safe.
+ */
+function diffStorageLayouts(original, updated) {
+  const key = (variable) => `${variable.contract}.${variable.label}`;
+  const find = (layout, variable) =>
+    layout.find((other) => key(other) === key(variable));
+  const changes = [];
+  for (const from of original) {
+    const to = find(updated, from);
+    if (!to) {
+      changes.push({ kind: "removed", label: key(from), from });
+    } else if (
+      to.slot !== from.slot ||
+      to.offset !== from.offset ||
+      to.type !== from.type
+    ) {
+      changes.push({ kind: "changed", label: key(from), from, to });
+    }
+  }
+  for (const to of updated) {
+    if (!find(original, to)) {
+      changes.push({ kind: "added", label: key(to), to });
+    }
+  }
+  return changes;
+}
+
+function formatChange({ kind, label, from, to }) {
+  const position = (variable) =>
+    `slot ${variable.slot}+${variable.offset} ${variable.type}`;
+  if (kind === "added") {
+    return `  + ${label} (${position(to)})`;
+  }
+  if (kind === "removed") {
+    return `  - ${label} (${position(from)})`;
+  }
+  return `  ~ ${label} (${position(from)} -> ${position(to)})`;
+}
+
+/**
+ * Reads a storage variable of the proxy that fits in a byte, such as the
+ * version it was last initialized to.
+ */
+async function readStorageByte(hre, proxy, layout, label) {
+  const { slot, offset } = layout.find((variable) => variable.label === label);
+  const value = BigInt(await hre.ethers.provider.getStorage(proxy, slot));
+  return Number((value >> BigInt(offset * 8)) & 0xffn);
+}
+
+/**
+ * Gets the state the smoke checks compare before and after an upgrade.
+ * Only uses functions of every version of Gotchiswap.
+ */
+async function getState(gotchiswap, config) {
+  // the single admin version reverts on empty lists
+  const count = async (method, address) => {
+    try {
+      return (await gotchiswap[method](address)).toString();
+    } catch {
+      return "0";
+    }
+  };
+  const state = {
+    adminAddress: await gotchiswap.adminAddress(),
+    allowlistDisabled: await gotchiswap.allowlistDisabled(),
+    "open sales": await count("getBuyerOffersCount", ZeroAddress),
+  };
+  for (const seller of config.smokeChecks.sellers) {
+    state[`sales of ${seller}`] = await count("getSellerSalesCount", seller);
+  }
+  for (const buyer of config.smokeChecks.buyers) {
+    state[`offers to ${buyer}`] = await count("getBuyerOffersCount", buyer);
+  }
+  return state;
+}
+
+/**
+ * Compares the states read before and after an upgrade.
+ * @returns {string[]} The values that changed.
+ */
+function compareStates(before, after) {
+  return Object.keys(before)
+    .filter((name) => before[name] !== after[name])
+    .map((name) => `  ${name}: ${before[name]} -> ${after[name]}`);
+}
+
+module.exports = {
+  loadConfig,
+  loadManifest,
+  deployGotchiswap,
+  upgradeGotchiswap,
+  getStorageLayout,
+  diffStorageLayouts,
+  getState,
+  compareStates,
+};
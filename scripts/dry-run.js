@@ -0,0 +1,62 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { GotchiswapClient, Asset, SaleBuilder } = require("../sdk");
+const {
+  loadConfig,
+  deployGotchiswap,
+  upgradeGotchiswap,
+} = require("./deployments");
+
+// Runs the deployment and the upgrade on the local hardhat network, with
+// sales for the smoke checks to compare. The manifest is written to a
+// temporary directory.
+async function main() {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Gotchiswap: The dry run only runs on the hardhat network");
+  }
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gotchiswap-"));
+  const [, seller, buyer] = await hre.ethers.getSigners();
+  const config = {
+    ...loadConfig("hardhat"),
+    smokeChecks: { sellers: [seller.address], buyers: [buyer.address] },
+  };
+
+  const { gotchiswap } = await deployGotchiswap(hre, { config, directory });
+  await createSales(gotchiswap.target, seller, buyer);
+  await upgradeGotchiswap(hre, { config, directory });
+}
+
+// Creates a sale offered to the buyer, and an open sale
+async function createSales(address, seller, buyer) {
+  const erc20 = await (
+    await hre.ethers.getContractFactory("MockERC20")
+  ).deploy();
+  const erc721 = await (
+    await hre.ethers.getContractFactory("MockERC721")
+  ).deploy();
+  await erc721.mint(seller.address, 1);
+  await erc721.mint(seller.address, 2);
+
+  const client = new GotchiswapClient(address, seller);
+  for (const [tokenId, to] of [
+    [1, buyer.address],
+    [2, hre.ethers.ZeroAddress],
+  ]) {
+    await client.createSale(
+      new SaleBuilder()
+        .offer(Asset.erc721(erc721.target, tokenId))
+        .ask(Asset.erc20(erc20.target, 100))
+        .to(to)
+        .build()
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const ts = require("typescript");
+const { runTypeChain } = require("typechain");
+const { getGotchiswapAbi } = require("./extensions");
+
+const SDK = path.join(__dirname, "..", "sdk");
+
+// Gotchiswap forwards the calls it does not implement to its extensions,
+// so clients need the functions of all of them behind the proxy address.
+async function main() {
+  const abi = await getGotchiswapAbi(hre);
+
+  // the SDK ships its own copy
+  for (const directory of [path.join(__dirname, ".."), SDK]) {
+    fs.writeFileSync(
+      path.join(directory, "Gotchiswap-abi.json"),
+      JSON.stringify(abi, null, 2) + "\n"
+    );
+  }
+  await exportTypes(abi);
+  console.log("Gotchiswap ABI exported");
+}
+
+/**
+ * Generates the type declarations of the SDK into 'sdk/types', from the
+ * TypeChain bindings of the whole ABI as a single Gotchiswap contract.
+ */
+async function exportTypes(abi) {
+  // in the cache so the bindings resolve the ethers types of the repo
+  const directory = path.join(hre.config.paths.cache, "sdk-types");
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.mkdirSync(directory, { recursive: true });
+  const file = path.join(directory, "Gotchiswap.json");
+  fs.writeFileSync(file, JSON.stringify(abi));
+  const bindings = path.join(directory, "bindings");
+  await runTypeChain({
+    cwd: directory,
+    filesToProcess: [file],
+    allFiles: [file],
+    outDir: bindings,
+    target: "ethers-v6",
+  });
+
+  // only the declarations, the SDK builds its contract from the ABI
+  const outDir = path.join(SDK, "types");
+  fs.rmSync(outDir, { recursive: true, force: true });
+  const program = ts.createProgram([path.join(bindings, "Gotchiswap.ts")], {
+    declaration: true,
+    emitDeclarationOnly: true,
+    rootDir: bindings,
+    outDir,
+    target: ts.ScriptTarget.ES2020,
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    skipLibCheck: true,
+  });
+  const { emitSkipped, diagnostics } = program.emit();
+  if (emitSkipped) {
+    throw new Error(
+      ts.formatDiagnostics(diagnostics, ts.createCompilerHost({}))
+    );
+  }
+  fs.rmSync(directory, { recursive: true });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+// Gotchiswap forwards the calls it does not implement to a chain of
+// extensions, in this order. Each extension forwards the calls it does not
+// implement to the next one, and is deployed with its address.
+const EXTENSIONS = [
+  "GotchiswapExtension",
+  "GotchiswapSignedSales",
+  "GotchiswapPartialFills",
+  "GotchiswapSnapshots",
+  "GotchiswapGroupSales",
+  "GotchiswapBatches",
+  "GotchiswapAdmin",
+  "GotchiswapViews",
+];
+
+/**
+ * Deploys the chain of extensions, last one first.
+ * @returns The address of the first extension, to deploy Gotchiswap with.
+ */
+async function deployExtensions(hre) {
+  let next;
+  for (const name of [...EXTENSIONS].reverse()) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const extension = await (next ? factory.deploy(next) : factory.deploy());
+    await extension.waitForDeployment();
+    next = extension.target;
+  }
+  return next;
+}
+
+/**
+ * Gets the ABI of Gotchiswap with the functions of all its extensions,
+ * to use with the proxy address.
+ */
+async function getGotchiswapAbi(hre) {
+  const selector = (item) => hre.ethers.FunctionFragment.from(item).selector;
+  const abi = (await hre.artifacts.readArtifact("Gotchiswap")).abi;
+  for (const name of EXTENSIONS) {
+    const { abi: extensionAbi } = await hre.artifacts.readArtifact(name);
+    // skip the functions of the shared base, which Gotchiswap answers itself
+    const functions = abi.filter((item) => item.type === "function");
+    abi.push(
+      ...extensionAbi.filter(
+        (item) =>
+          item.type === "function" &&
+          !functions.some((other) => selector(other) === selector(item))
+      )
+    );
+  }
+  return abi;
+}
+
+module.exports = { EXTENSIONS, deployExtensions, getGotchiswapAbi };
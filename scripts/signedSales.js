@@ -0,0 +1,72 @@
+const { ZeroAddress } = require("ethers");
+const { AssetClass } = require("../sdk/constants");
+
+// EIP-712 types of the sales signed off-chain by sellers,
+// filled on-chain with 'fillSignedSale'
+const SALE_TYPES = {
+  Sale: [
+    { name: "assets", type: "Asset[]" },
+    { name: "prices", type: "Asset[]" },
+    { name: "buyer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  Asset: [
+    { name: "class", type: "uint8" },
+    { name: "addr", type: "address" },
+    { name: "id", type: "uint256" },
+    { name: "qty", type: "uint256" },
+  ],
+};
+
+/**
+ * Gets the EIP-712 domain of a Gotchiswap deployment.
+ * @param gotchiswap Contract attached to the Gotchiswap proxy, with a provider.
+ */
+async function getDomain(gotchiswap) {
+  const { chainId } = await gotchiswap.runner.provider.getNetwork();
+  return {
+    name: "Gotchiswap",
+    version: "1",
+    chainId,
+    verifyingContract: await gotchiswap.getAddress(),
+  };
+}
+
+/**
+ * Builds a sale to sign from lists of { class, addr, id, qty } assets.
+ * The buyer defaults to the null address, for a sale anyone can fill,
+ * and the deadline to 0, for a sale that does not expire.
+ */
+function buildSale({
+  assets,
+  prices,
+  buyer = ZeroAddress,
+  nonce,
+  deadline = 0,
+}) {
+  const toAsset = ({ class: assetClass, addr, id = 0, qty = 1 }) => ({
+    class: assetClass,
+    addr,
+    id: BigInt(id),
+    qty: BigInt(qty),
+  });
+  return {
+    assets: assets.map(toAsset),
+    prices: prices.map(toAsset),
+    buyer,
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+}
+
+/**
+ * Signs a sale with the seller's signer.
+ * The seller needs to keep the contract approved for the assets.
+ * @returns The signature to pass to 'fillSignedSale' with the sale.
+ */
+async function signSale(seller, gotchiswap, sale) {
+  return seller.signTypedData(await getDomain(gotchiswap), SALE_TYPES, sale);
+}
+
+module.exports = { SALE_TYPES, AssetClass, getDomain, buildSale, signSale };
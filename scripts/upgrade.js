@@ -1,9 +1,15 @@
-const { ethers, upgrades } = require("hardhat");
+const hre = require("hardhat");
+const { loadConfig, upgradeGotchiswap } = require("./deployments");
 
+// Upgrades the Gotchiswap proxy recorded in the manifest of the network
 async function main() {
-  const Gotchiswap = await ethers.getContractFactory("Gotchiswap");
-  const gotchiswap = await upgrades.upgradeProxy("0xFE4B96f1860c5A2A09CD4bD5C341632c9E9486e6", Gotchiswap);
-  console.log("Gotchiswap upgraded");
+  const config = loadConfig(hre.network.name);
+  await upgradeGotchiswap(hre, { config });
 }
 
-main();
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,328 @@
+const { Contract, ZeroAddress, getAddress } = require("ethers");
+const abi = require("./Gotchiswap-abi.json");
+const {
+  AssetClass,
+  Asset,
+  toArrays,
+  decodeSale,
+  decodeSaleDetails,
+  nativeValue,
+} = require("./sales");
+
+/**
+ * Gotchiswap proxy, with the functions of all its extensions.
+ * @typedef {import("./types/Gotchiswap").Gotchiswap} GotchiswapContract
+ */
+
+// Overloads need their full signature with ethers v6
+const CREATE_SALE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)";
+const CREATE_SALE_WITH_DEADLINE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)";
+const CREATE_OPEN_SALE =
+  "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])";
+const CREATE_OPEN_SALE_WITH_DEADLINE =
+  "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)";
+const CONCLUDE_SALE_BY_ID = "concludeSaleById(uint256)";
+
+/**
+ * Contract call prepared to be simulated with 'method.staticCall(...args)'
+ * or sent with 'method(...args)'.
+ * @typedef {Object} PreparedCall
+ * @property {import("ethers").BaseContractMethod | import("./types/common").TypedContractMethod<any[], any, any>} method
+ * @property {any[]} args Arguments of the call, overrides included.
+ */
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+// shared by ERC721 and ERC1155
+const OPERATOR_ABI = [
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+];
+
+/**
+ * Client of a Gotchiswap deployment.
+ * Takes sales as bundles of assets, and sets the approvals the contract
+ * needs before trading them.
+ */
+class GotchiswapClient {
+  /**
+   * @param {string} address Address of the Gotchiswap proxy.
+   * @param {import("ethers").ContractRunner} runner Signer sending the
+   *        transactions, or provider to only read.
+   */
+  constructor(address, runner) {
+    /** @type {GotchiswapContract} */
+    this.contract = /** @type {any} */ (new Contract(address, abi, runner));
+    this.runner = runner;
+  }
+
+  /**
+   * Gets the address of the signer sending the transactions.
+   * @returns {Promise<string>}
+   */
+  async getSignerAddress() {
+    return /** @type {import("ethers").Signer} */ (this.runner).getAddress();
+  }
+
+  /**
+   * Gets a sale made by a seller.
+   * @param {string} seller Address of the seller.
+   * @param {bigint | number} index Index of the sale in the seller's list.
+   * @returns {Promise<import("./sales").Sale>}
+   */
+  async getSale(seller, index) {
+    return decodeSale(await this.contract.getSale(seller, index));
+  }
+
+  /**
+   * Gets a sale from its ID.
+   * @param {bigint | number} id ID of the sale.
+   * @returns {Promise<import("./sales").Sale>}
+   */
+  async getSaleById(id) {
+    return decodeSale(await this.contract.getSaleById(id));
+  }
+
+  /**
+   * Gets all the sales made by a seller.
+   * @param {string} seller Address of the seller.
+   * @returns {Promise<import("./sales").Sale[]>}
+   */
+  async getSellerSales(seller) {
+    const count = await this.contract.getSellerSalesCount(seller);
+    const page = await this.contract.getSellerSales(seller, 0, count);
+    return page.map(decodeSaleDetails);
+  }
+
+  /**
+   * Gets all the sales offered to a buyer, or the open sales for the null
+   * address.
+   * @param {string} buyer Address of the buyer.
+   * @returns {Promise<import("./sales").Sale[]>}
+   */
+  async getBuyerOffers(buyer) {
+    const count = await this.contract.getBuyerOffersCount(buyer);
+    const page = await this.contract.getBuyerOffers(buyer, 0, count);
+    return page.map(decodeSaleDetails);
+  }
+
+  /**
+   * Prepares the approvals missing for the contract to transfer a bundle
+   * from the signer: 'setApprovalForAll' for ERC721 and ERC1155 contracts,
+   * and an allowance covering the total of each ERC20 token.
+   * @param {import("./sales").Asset[]} assets
+   * @returns {Promise<PreparedCall[]>}
+   */
+  async prepareApprovals(assets) {
+    const owner = await this.getSignerAddress();
+    const spender = await this.contract.getAddress();
+    const operatorContracts = new Set();
+    const allowances = new Map();
+    for (const asset of assets) {
+      const addr = getAddress(asset.addr);
+      if (asset.class === AssetClass.ERC20) {
+        allowances.set(addr, (allowances.get(addr) ?? 0n) + BigInt(asset.qty));
+      } else if (asset.class !== AssetClass.NATIVE) {
+        operatorContracts.add(addr);
+      }
+    }
+
+    const calls = [];
+    for (const addr of operatorContracts) {
+      const token = new Contract(addr, OPERATOR_ABI, this.runner);
+      if (!(await token.isApprovedForAll(owner, spender))) {
+        calls.push({
+          method: token.getFunction("setApprovalForAll"),
+          args: [spender, true],
+        });
+      }
+    }
+    for (const [addr, amount] of allowances) {
+      const token = new Contract(addr, ERC20_ABI, this.runner);
+      if ((await token.allowance(owner, spender)) < amount) {
+        calls.push({
+          method: token.getFunction("approve"),
+          args: [spender, amount],
+        });
+      }
+    }
+    return calls;
+  }
+
+  /**
+   * Sets the approvals missing for the contract to transfer a bundle from
+   * the signer, see 'prepareApprovals'.
+   * @param {import("./sales").Asset[]} assets
+   * @returns {Promise<import("ethers").ContractTransactionResponse[]>} The
+   *          approval transactions sent, once mined.
+   */
+  async approveAssets(assets) {
+    const txs = [];
+    for (const { method, args } of await this.prepareApprovals(assets)) {
+      txs.push(await method(...args));
+    }
+    await Promise.all(txs.map((tx) => tx.wait()));
+    return txs;
+  }
+
+  /**
+   * Prepares the creation of a sale.
+   * Native assets are sent with the call.
+   * @param {import("./sales").Sale} sale
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {PreparedCall}
+   */
+  prepareCreateSale(sale, overrides = {}) {
+    /** @type {any[]} */
+    const args = [...toArrays(sale.assets), ...toArrays(sale.prices)];
+    const deadline = BigInt(sale.deadline ?? 0);
+    let signature;
+    if (sale.buyer === ZeroAddress) {
+      signature = deadline ? CREATE_OPEN_SALE_WITH_DEADLINE : CREATE_OPEN_SALE;
+    } else {
+      signature = deadline ? CREATE_SALE_WITH_DEADLINE : CREATE_SALE;
+      args.push(sale.buyer);
+    }
+    if (deadline) {
+      args.push(deadline);
+    }
+    args.push({ value: nativeValue(sale.assets), ...overrides });
+    return { method: this.contract.getFunction(signature), args };
+  }
+
+  /**
+   * Creates a sale, after setting the approvals missing for its assets.
+   * Native assets are sent with the call.
+   * @param {import("./sales").Sale} sale
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {Promise<{ id: bigint, receipt: import("ethers").ContractTransactionReceipt }>}
+   *          The ID of the sale created, and the receipt of the transaction.
+   */
+  async createSale(sale, overrides = {}) {
+    await this.approveAssets(sale.assets);
+
+    const { method, args } = this.prepareCreateSale(sale, overrides);
+    const receipt = await (await method(...args)).wait();
+    return { id: this.getCreatedSaleId(receipt), receipt };
+  }
+
+  /**
+   * Gets the ID of the sale created by a transaction.
+   * @param {import("ethers").TransactionReceipt} receipt
+   * @returns {bigint}
+   */
+  getCreatedSaleId(receipt) {
+    const log = receipt.logs
+      .map(({ topics, data }) =>
+        this.contract.interface.parseLog({ topics: [...topics], data })
+      )
+      .find((event) => event?.name === "CreateSale");
+    return log.args.id;
+  }
+
+  /**
+   * Prepares aborting a sale of the signer by ID.
+   * @param {bigint | number} id ID of the sale.
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {Promise<PreparedCall>}
+   */
+  async prepareAbortSale(id, overrides = {}) {
+    return {
+      method: this.contract.getFunction("abortSaleById"),
+      args: [id, overrides],
+    };
+  }
+
+  /**
+   * Aborts a sale of the signer by ID, see 'prepareAbortSale'.
+   * @param {bigint | number} id ID of the sale.
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async abortSale(id, overrides = {}) {
+    const { method, args } = await this.prepareAbortSale(id, overrides);
+    return method(...args);
+  }
+
+  /**
+   * Gets the current index of a sale in the offers made to a buyer.
+   * @param {string} buyer Address of the buyer.
+   * @param {bigint | number} id ID of the sale.
+   * @returns {Promise<number>} The index, -1 if the sale is not offered to
+   *          the buyer.
+   */
+  async getOfferIndex(buyer, id) {
+    const offers = await this.getBuyerOffers(buyer);
+    return offers.findIndex((offer) => offer.id === BigInt(id));
+  }
+
+  /**
+   * Prepares concluding a sale offered to the signer, or an open sale, by
+   * ID. Sends the native prices with the call.
+   * @param {bigint | number} id ID of the sale.
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {Promise<PreparedCall>}
+   */
+  async prepareConcludeSale(id, overrides = {}) {
+    const sale = await this.getSaleById(id);
+    return {
+      method: this.contract.getFunction(CONCLUDE_SALE_BY_ID),
+      args: [id, { value: nativeValue(sale.prices), ...overrides }],
+    };
+  }
+
+  /**
+   * Gets the assets the buyer of a sale pays: its prices, and the flat fee
+   * for a sale without ERC20 or native prices.
+   * @param {bigint | number} id ID of the sale.
+   * @returns {Promise<import("./sales").Asset[]>}
+   */
+  async getPayment(id) {
+    const sale = await this.getSaleById(id);
+    return [...sale.prices, ...(await this.getFlatFee(sale))];
+  }
+
+  /**
+   * Concludes a sale offered to the signer, or an open sale, by ID, after
+   * setting the approvals missing for its payment. See
+   * 'prepareConcludeSale'.
+   * @param {bigint | number} id ID of the sale.
+   * @param {import("ethers").Overrides} [overrides]
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async concludeSale(id, overrides = {}) {
+    await this.approveAssets(await this.getPayment(id));
+
+    const { method, args } = await this.prepareConcludeSale(id, overrides);
+    return method(...args);
+  }
+
+  /**
+   * Gets the flat fee the buyer pays for a sale without ERC20 or native
+   * prices.
+   * @param {import("./sales").Sale} sale
+   * @returns {Promise<import("./sales").Asset[]>} The fee, or nothing.
+   */
+  async getFlatFee(sale) {
+    const isCurrency = (asset) =>
+      asset.class === AssetClass.ERC20 || asset.class === AssetClass.NATIVE;
+    if (sale.prices.some(isCurrency)) {
+      return [];
+    }
+    const [flatFee, flatFeeToken, feeRecipient] = await Promise.all([
+      this.contract.flatFee(),
+      this.contract.flatFeeToken(),
+      this.contract.feeRecipient(),
+    ]);
+    if (flatFee === 0n || feeRecipient === ZeroAddress) {
+      return [];
+    }
+    return [Asset.erc20(flatFeeToken, flatFee)];
+  }
+}
+
+module.exports = { GotchiswapClient };
@@ -0,0 +1,4 @@
+// Asset classes, same order as the contract enum
+const AssetClass = { ERC20: 0, ERC1155: 1, ERC721: 2, NATIVE: 3 };
+
+module.exports = { AssetClass };
@@ -0,0 +1,24 @@
+// JavaScript SDK of Gotchiswap, with ethers v6.
+// Types come from the declarations generated into 'types' with the ABI, by
+// 'npx hardhat run scripts/export-abi.js'.
+const { GotchiswapClient } = require("./client");
+const {
+  AssetClass,
+  Asset,
+  SaleBuilder,
+  toArrays,
+  decodeSale,
+  decodeSaleDetails,
+  nativeValue,
+} = require("./sales");
+
+module.exports = {
+  GotchiswapClient,
+  AssetClass,
+  Asset,
+  SaleBuilder,
+  toArrays,
+  decodeSale,
+  decodeSaleDetails,
+  nativeValue,
+};
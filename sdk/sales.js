@@ -0,0 +1,220 @@
+const { ZeroAddress } = require("ethers");
+const { AssetClass } = require("./constants");
+
+/**
+ * Asset of a bundle, as taken by the contract.
+ * @typedef {import("./types/Gotchiswap").GotchiswapBase.AssetStruct} Asset
+ */
+
+/**
+ * Sale to create, or as read from the contract.
+ * The buyer is the null address for an open sale, and the deadline 0 for a
+ * sale that does not expire.
+ * @typedef {Object} Sale
+ * @property {bigint} [id] ID of the sale, once created.
+ * @property {Asset[]} assets Assets sold.
+ * @property {Asset[]} prices Prices asked for the assets.
+ * @property {string} buyer Address of the buyer.
+ * @property {bigint} deadline Timestamp after which the sale expires.
+ * @property {string} [seller] Address of the seller, when read from a list.
+ */
+
+// Builders of the assets of each class, so integrators do not need to
+// remember the contract enum
+const Asset = {
+  /**
+   * @param {string} addr Address of the token contract.
+   * @param {bigint | number | string} qty Amount of tokens.
+   * @returns {Asset}
+   */
+  erc20: (addr, qty) => toAsset(AssetClass.ERC20, addr, 0, qty),
+
+  /**
+   * @param {string} addr Address of the token contract.
+   * @param {bigint | number | string} id ID of the token.
+   * @param {bigint | number | string} [qty] Amount of tokens, 1 by default.
+   * @returns {Asset}
+   */
+  erc1155: (addr, id, qty = 1) => toAsset(AssetClass.ERC1155, addr, id, qty),
+
+  /**
+   * @param {string} addr Address of the token contract.
+   * @param {bigint | number | string} id ID of the token.
+   * @returns {Asset}
+   */
+  erc721: (addr, id) => toAsset(AssetClass.ERC721, addr, id, 1),
+
+  /**
+   * @param {bigint | number | string} qty Amount of native value, in wei.
+   * @returns {Asset}
+   */
+  native: (qty) => toAsset(AssetClass.NATIVE, ZeroAddress, 0, qty),
+};
+
+function toAsset(assetClass, addr, id, qty) {
+  return { class: assetClass, addr, id: BigInt(id), qty: BigInt(qty) };
+}
+
+/**
+ * Builds a sale step by step:
+ *
+ *   new SaleBuilder()
+ *     .offer(Asset.erc721(aavegotchi, 4895))
+ *     .ask(Asset.erc20(ghst, parseEther("100")))
+ *     .to(buyer)
+ *     .build();
+ *
+ * Sales without buyer are open sales, anyone can conclude them.
+ */
+class SaleBuilder {
+  constructor() {
+    this.assets = [];
+    this.prices = [];
+    this.buyer = ZeroAddress;
+    this.deadline = 0n;
+  }
+
+  /**
+   * Adds assets to sell.
+   * @param {...Asset} assets
+   * @returns {SaleBuilder}
+   */
+  offer(...assets) {
+    this.assets.push(...assets);
+    return this;
+  }
+
+  /**
+   * Adds prices to ask for the assets.
+   * @param {...Asset} prices
+   * @returns {SaleBuilder}
+   */
+  ask(...prices) {
+    this.prices.push(...prices);
+    return this;
+  }
+
+  /**
+   * Reserves the sale to a buyer.
+   * @param {string} buyer Address of the buyer.
+   * @returns {SaleBuilder}
+   */
+  to(buyer) {
+    this.buyer = buyer;
+    return this;
+  }
+
+  /**
+   * Makes the sale expire.
+   * @param {bigint | number} deadline Timestamp after which the sale expires.
+   * @returns {SaleBuilder}
+   */
+  expiresAt(deadline) {
+    this.deadline = BigInt(deadline);
+    return this;
+  }
+
+  /**
+   * @returns {Sale}
+   */
+  build() {
+    if (this.assets.length === 0 || this.prices.length === 0) {
+      throw new Error("Gotchiswap: A sale needs assets and prices");
+    }
+    return {
+      assets: [...this.assets],
+      prices: [...this.prices],
+      buyer: this.buyer,
+      deadline: this.deadline,
+    };
+  }
+}
+
+/**
+ * Splits a bundle into the 4 parallel arrays taken by the contract.
+ * @param {Asset[]} assets
+ * @returns {[import("ethers").BigNumberish[], import("ethers").AddressLike[], bigint[], bigint[]]}
+ *          Classes, contracts, IDs and amounts of the assets.
+ */
+function toArrays(assets) {
+  return [
+    assets.map((asset) => asset.class),
+    assets.map((asset) => asset.addr),
+    assets.map((asset) => BigInt(asset.id)),
+    assets.map((asset) => BigInt(asset.qty)),
+  ];
+}
+
+/**
+ * Decodes the values returned by 'getSale' and 'getSaleById'.
+ * @param {ReadonlyArray<any>} result
+ * @returns {Sale}
+ */
+function decodeSale(result) {
+  const [
+    id,
+    assetClasses,
+    assetContracts,
+    assetIds,
+    assetAmounts,
+    priceClasses,
+    priceContracts,
+    priceIds,
+    priceAmounts,
+    buyer,
+    deadline,
+  ] = result;
+  const zip = (classes, contracts, ids, amounts) =>
+    classes.map((assetClass, i) =>
+      toAsset(Number(assetClass), contracts[i], ids[i], amounts[i])
+    );
+  return {
+    id,
+    assets: zip(assetClasses, assetContracts, assetIds, assetAmounts),
+    prices: zip(priceClasses, priceContracts, priceIds, priceAmounts),
+    buyer,
+    deadline,
+  };
+}
+
+/**
+ * Decodes a sale of the pages returned by 'getSellerSales',
+ * 'getBuyerOffers' and 'getActiveSales'.
+ * @param {import("./types/Gotchiswap").GotchiswapBase.SaleDetailsStructOutput} details
+ * @returns {Sale}
+ */
+function decodeSaleDetails({ sale, seller, deadline }) {
+  const toAssets = (assets) =>
+    assets.map(({ class: assetClass, addr, id, qty }) =>
+      toAsset(Number(assetClass), addr, id, qty)
+    );
+  return {
+    id: sale.id,
+    assets: toAssets(sale.assets),
+    prices: toAssets(sale.prices),
+    buyer: sale.buyer,
+    deadline,
+    seller,
+  };
+}
+
+/**
+ * Sums the native value of a bundle, to send with the call.
+ * @param {Asset[]} assets
+ * @returns {bigint}
+ */
+function nativeValue(assets) {
+  return assets
+    .filter((asset) => asset.class === AssetClass.NATIVE)
+    .reduce((total, asset) => total + BigInt(asset.qty), 0n);
+}
+
+module.exports = {
+  AssetClass,
+  Asset,
+  SaleBuilder,
+  toArrays,
+  decodeSale,
+  decodeSaleDetails,
+  nativeValue,
+};
@@ -0,0 +1,2541 @@
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, EventFragment, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers";
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedLogDescription, TypedListener, TypedContractMethod } from "./common";
+export declare namespace GotchiswapBase {
+    type AssetStruct = {
+        class: BigNumberish;
+        addr: AddressLike;
+        id: BigNumberish;
+        qty: BigNumberish;
+    };
+    type AssetStructOutput = [
+        class_: bigint,
+        addr: string,
+        id: bigint,
+        qty: bigint
+    ] & {
+        class: bigint;
+        addr: string;
+        id: bigint;
+        qty: bigint;
+    };
+    type SaleStruct = {
+        id: BigNumberish;
+        assets: GotchiswapBase.AssetStruct[];
+        prices: GotchiswapBase.AssetStruct[];
+        buyer: AddressLike;
+    };
+    type SaleStructOutput = [
+        id: bigint,
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[],
+        buyer: string
+    ] & {
+        id: bigint;
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+        buyer: string;
+    };
+    type BidStruct = {
+        id: BigNumberish;
+        assets: GotchiswapBase.AssetStruct[];
+        prices: GotchiswapBase.AssetStruct[];
+        bidder: AddressLike;
+        seller: AddressLike;
+    };
+    type BidStructOutput = [
+        id: bigint,
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[],
+        bidder: string,
+        seller: string
+    ] & {
+        id: bigint;
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+        bidder: string;
+        seller: string;
+    };
+    type SaleOrderStruct = {
+        assets: GotchiswapBase.AssetStruct[];
+        prices: GotchiswapBase.AssetStruct[];
+        buyer: AddressLike;
+        nonce: BigNumberish;
+        deadline: BigNumberish;
+    };
+    type SaleOrderStructOutput = [
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[],
+        buyer: string,
+        nonce: bigint,
+        deadline: bigint
+    ] & {
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+        buyer: string;
+        nonce: bigint;
+        deadline: bigint;
+    };
+    type GotchiSnapshotStruct = {
+        addr: AddressLike;
+        id: BigNumberish;
+        wearables: BigNumberish[];
+        pocket: BigNumberish;
+    };
+    type GotchiSnapshotStructOutput = [
+        addr: string,
+        id: bigint,
+        wearables: bigint[],
+        pocket: bigint
+    ] & {
+        addr: string;
+        id: bigint;
+        wearables: bigint[];
+        pocket: bigint;
+    };
+    type ItemsStruct = {
+        classes: BigNumberish[];
+        contracts: AddressLike[];
+        ids: BigNumberish[];
+        amounts: BigNumberish[];
+    };
+    type ItemsStructOutput = [
+        classes: bigint[],
+        contracts: string[],
+        ids: bigint[],
+        amounts: bigint[]
+    ] & {
+        classes: bigint[];
+        contracts: string[];
+        ids: bigint[];
+        amounts: bigint[];
+    };
+    type SaleDetailsStruct = {
+        sale: GotchiswapBase.SaleStruct;
+        seller: AddressLike;
+        deadline: BigNumberish;
+    };
+    type SaleDetailsStructOutput = [
+        sale: GotchiswapBase.SaleStructOutput,
+        seller: string,
+        deadline: bigint
+    ] & {
+        sale: GotchiswapBase.SaleStructOutput;
+        seller: string;
+        deadline: bigint;
+    };
+}
+export interface GotchiswapInterface extends Interface {
+    getFunction(nameOrSignature: "ALLOWLIST_MANAGER_ROLE" | "MAX_FEE_BPS" | "MAX_SALE_BUYERS" | "PAUSER_ROLE" | "RESCUER_ROLE" | "UPGRADER_ROLE" | "abortSale" | "abortSaleById" | "adminAddress" | "allowlistDisabled" | "concludeSale(uint256)" | "concludeSale(uint256,uint256)" | "concludeSaleById(uint256)" | "concludeSaleById(uint256,uint256)" | "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)" | "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])" | "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)" | "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool,bool)" | "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)" | "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)" | "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)" | "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)" | "escrowBalances" | "extension" | "feeBps" | "feeCaps" | "feeRecipient" | "flatFee" | "flatFeeToken" | "frozenContracts" | "initialize" | "initializeRoles" | "minNonces" | "onERC1155BatchReceived" | "onERC1155Received" | "onERC721Received" | "paused" | "pendingWithdrawals" | "rescueOperations" | "royaltiesEnforced" | "royaltiesOptIns" | "supportsInterface" | "withdraw" | "abortCounterOffer" | "acceptBid" | "acceptCounterOffer" | "cancelBid" | "createBid" | "createCounterOffer" | "getSaleProceeds" | "optInRoyalties" | "rejectCounterOffer" | "cancelNonce" | "cancelNoncesBelow" | "domainSeparator" | "fillSignedSale" | "hashSaleOrder" | "isNonceUsed" | "isPartiallyFillable" | "isSnapshotValid" | "reclaimExpiredSale" | "concludeOpenSale" | "createGatedSale" | "createGroupSale" | "isEligibleBuyer" | "abortSales" | "concludeSales" | "createSales" | "RESCUE_DELAY" | "allowContract" | "allowContracts" | "cancelRescue" | "changeAdmin" | "changeFee" | "changeFeeCap" | "changeFeeRecipient" | "changeFlatFee" | "disableAllowlist" | "disallowContract" | "disallowContracts" | "enableAllowlist" | "enforceRoyalties" | "executeRescue" | "freezeContract" | "getRescuableAmount" | "getRescueOperation" | "grantRole" | "hasRole" | "isContractAllowed" | "isTransferFeeAccepted" | "migrateSales" | "migrateSellerSales" | "pause" | "queueRescue" | "removeAdmin" | "renounceRole" | "rescueERC1155" | "rescueERC20" | "rescueERC721" | "revokeRole" | "setTransferFeeAccepted" | "unfreezeContract" | "unpause" | "getActiveSales" | "getBid" | "getBidderBid" | "getBidderBidsCount" | "getBuyerOffers" | "getBuyerOffersCount" | "getCounterOffer" | "getOffer" | "getOpenSale" | "getOpenSalesCount" | "getSale" | "getSaleBuyers" | "getSaleById" | "getSaleId" | "getSaleIndex" | "getSaleLocation" | "getSaleSnapshots" | "getSellerBid" | "getSellerBidsCount" | "getSellerSales" | "getSellerSalesCount"): FunctionFragment;
+    getEvent(nameOrSignatureOrTopic: "AbortCounterOffer" | "AbortSale" | "AcceptBid" | "AcceptCounterOffer" | "AddSaleBuyers" | "CancelBid" | "CancelNonce" | "CancelNoncesBelow" | "CancelRescue" | "ChangeContractFrozen" | "ChangeFee" | "ChangeFeeCap" | "ChangeFeeRecipient" | "ChangeFlatFee" | "ChangePaused" | "ChangeRoyaltiesEnforced" | "ChangeRoyaltiesOptIn" | "ChangeTransferFeeAccepted" | "ConcludeSale" | "CreateBid" | "CreateCounterOffer" | "CreateSale" | "DeferPayment" | "ExecuteRescue" | "FailBatchItem" | "FillSale" | "FillSignedSale" | "GateSale" | "GrantRole" | "Initialized" | "QueueRescue" | "RejectCounterOffer" | "RevokeRole" | "SnapshotSale" | "Withdraw"): EventFragment;
+    encodeFunctionData(functionFragment: "ALLOWLIST_MANAGER_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "MAX_FEE_BPS", values?: undefined): string;
+    encodeFunctionData(functionFragment: "MAX_SALE_BUYERS", values?: undefined): string;
+    encodeFunctionData(functionFragment: "PAUSER_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "RESCUER_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "UPGRADER_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "abortSale", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "abortSaleById", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "adminAddress", values?: undefined): string;
+    encodeFunctionData(functionFragment: "allowlistDisabled", values?: undefined): string;
+    encodeFunctionData(functionFragment: "concludeSale(uint256)", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "concludeSale(uint256,uint256)", values: [BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "concludeSaleById(uint256)", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "concludeSaleById(uint256,uint256)", values: [BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish
+    ]): string;
+    encodeFunctionData(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[]
+    ]): string;
+    encodeFunctionData(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish,
+        boolean
+    ]): string;
+    encodeFunctionData(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool,bool)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish,
+        boolean,
+        boolean
+    ]): string;
+    encodeFunctionData(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike,
+        BigNumberish
+    ]): string;
+    encodeFunctionData(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike
+    ]): string;
+    encodeFunctionData(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike,
+        BigNumberish,
+        boolean
+    ]): string;
+    encodeFunctionData(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike,
+        BigNumberish,
+        boolean,
+        boolean
+    ]): string;
+    encodeFunctionData(functionFragment: "escrowBalances", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "extension", values?: undefined): string;
+    encodeFunctionData(functionFragment: "feeBps", values?: undefined): string;
+    encodeFunctionData(functionFragment: "feeCaps", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "feeRecipient", values?: undefined): string;
+    encodeFunctionData(functionFragment: "flatFee", values?: undefined): string;
+    encodeFunctionData(functionFragment: "flatFeeToken", values?: undefined): string;
+    encodeFunctionData(functionFragment: "frozenContracts", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "initialize", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "initializeRoles", values?: undefined): string;
+    encodeFunctionData(functionFragment: "minNonces", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "onERC1155BatchReceived", values: [
+        AddressLike,
+        AddressLike,
+        BigNumberish[],
+        BigNumberish[],
+        BytesLike
+    ]): string;
+    encodeFunctionData(functionFragment: "onERC1155Received", values: [AddressLike, AddressLike, BigNumberish, BigNumberish, BytesLike]): string;
+    encodeFunctionData(functionFragment: "onERC721Received", values: [AddressLike, AddressLike, BigNumberish, BytesLike]): string;
+    encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+    encodeFunctionData(functionFragment: "pendingWithdrawals", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "rescueOperations", values: [BytesLike]): string;
+    encodeFunctionData(functionFragment: "royaltiesEnforced", values?: undefined): string;
+    encodeFunctionData(functionFragment: "royaltiesOptIns", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "supportsInterface", values: [BytesLike]): string;
+    encodeFunctionData(functionFragment: "withdraw", values?: undefined): string;
+    encodeFunctionData(functionFragment: "abortCounterOffer", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "acceptBid", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "acceptCounterOffer", values: [
+        BigNumberish,
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[]
+    ]): string;
+    encodeFunctionData(functionFragment: "cancelBid", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "createBid", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike
+    ]): string;
+    encodeFunctionData(functionFragment: "createCounterOffer", values: [
+        BigNumberish,
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[]
+    ]): string;
+    encodeFunctionData(functionFragment: "getSaleProceeds", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "optInRoyalties", values: [boolean]): string;
+    encodeFunctionData(functionFragment: "rejectCounterOffer", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "cancelNonce", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "cancelNoncesBelow", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "domainSeparator", values?: undefined): string;
+    encodeFunctionData(functionFragment: "fillSignedSale", values: [AddressLike, GotchiswapBase.SaleOrderStruct, BytesLike]): string;
+    encodeFunctionData(functionFragment: "hashSaleOrder", values: [GotchiswapBase.SaleOrderStruct]): string;
+    encodeFunctionData(functionFragment: "isNonceUsed", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "isPartiallyFillable", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "isSnapshotValid", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "reclaimExpiredSale", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "concludeOpenSale", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "createGatedSale", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        GotchiswapBase.AssetStruct,
+        BigNumberish
+    ]): string;
+    encodeFunctionData(functionFragment: "createGroupSale", values: [
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish[],
+        BigNumberish[],
+        AddressLike[],
+        BigNumberish
+    ]): string;
+    encodeFunctionData(functionFragment: "isEligibleBuyer", values: [BigNumberish, AddressLike]): string;
+    encodeFunctionData(functionFragment: "abortSales", values: [BigNumberish[], boolean]): string;
+    encodeFunctionData(functionFragment: "concludeSales", values: [BigNumberish[], boolean]): string;
+    encodeFunctionData(functionFragment: "createSales", values: [
+        GotchiswapBase.ItemsStruct[],
+        GotchiswapBase.ItemsStruct[],
+        AddressLike[],
+        BigNumberish[],
+        boolean
+    ]): string;
+    encodeFunctionData(functionFragment: "RESCUE_DELAY", values?: undefined): string;
+    encodeFunctionData(functionFragment: "allowContract", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "allowContracts", values: [AddressLike[]]): string;
+    encodeFunctionData(functionFragment: "cancelRescue", values: [BytesLike]): string;
+    encodeFunctionData(functionFragment: "changeAdmin", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "changeFee", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "changeFeeCap", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "changeFeeRecipient", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "changeFlatFee", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "disableAllowlist", values?: undefined): string;
+    encodeFunctionData(functionFragment: "disallowContract", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "disallowContracts", values: [AddressLike[]]): string;
+    encodeFunctionData(functionFragment: "enableAllowlist", values?: undefined): string;
+    encodeFunctionData(functionFragment: "enforceRoyalties", values: [boolean]): string;
+    encodeFunctionData(functionFragment: "executeRescue", values: [BigNumberish, AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "freezeContract", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "getRescuableAmount", values: [BigNumberish, AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getRescueOperation", values: [BigNumberish, AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "grantRole", values: [BytesLike, AddressLike]): string;
+    encodeFunctionData(functionFragment: "hasRole", values: [BytesLike, AddressLike]): string;
+    encodeFunctionData(functionFragment: "isContractAllowed", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "isTransferFeeAccepted", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "migrateSales", values: [AddressLike[], boolean]): string;
+    encodeFunctionData(functionFragment: "migrateSellerSales", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+    encodeFunctionData(functionFragment: "queueRescue", values: [BigNumberish, AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "removeAdmin", values?: undefined): string;
+    encodeFunctionData(functionFragment: "renounceRole", values: [BytesLike]): string;
+    encodeFunctionData(functionFragment: "rescueERC1155", values: [AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "rescueERC20", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "rescueERC721", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "revokeRole", values: [BytesLike, AddressLike]): string;
+    encodeFunctionData(functionFragment: "setTransferFeeAccepted", values: [AddressLike, boolean]): string;
+    encodeFunctionData(functionFragment: "unfreezeContract", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+    encodeFunctionData(functionFragment: "getActiveSales", values: [BigNumberish, BigNumberish, AddressLike, boolean]): string;
+    encodeFunctionData(functionFragment: "getBid", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getBidderBid", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getBidderBidsCount", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "getBuyerOffers", values: [AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getBuyerOffersCount", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "getCounterOffer", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getOffer", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getOpenSale", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getOpenSalesCount", values?: undefined): string;
+    encodeFunctionData(functionFragment: "getSale", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleBuyers", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleById", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleId", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleIndex", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleLocation", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSaleSnapshots", values: [BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSellerBid", values: [AddressLike, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSellerBidsCount", values: [AddressLike]): string;
+    encodeFunctionData(functionFragment: "getSellerSales", values: [AddressLike, BigNumberish, BigNumberish]): string;
+    encodeFunctionData(functionFragment: "getSellerSalesCount", values: [AddressLike]): string;
+    decodeFunctionResult(functionFragment: "ALLOWLIST_MANAGER_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "MAX_FEE_BPS", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "MAX_SALE_BUYERS", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "PAUSER_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "RESCUER_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "UPGRADER_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "abortSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "abortSaleById", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "adminAddress", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "allowlistDisabled", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeSale(uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeSale(uint256,uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeSaleById(uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeSaleById(uint256,uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool,bool)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "escrowBalances", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "extension", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "feeBps", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "feeCaps", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "feeRecipient", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "flatFee", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "flatFeeToken", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "frozenContracts", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "initializeRoles", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "minNonces", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "onERC1155BatchReceived", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "onERC1155Received", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "onERC721Received", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "pendingWithdrawals", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rescueOperations", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "royaltiesEnforced", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "royaltiesOptIns", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "supportsInterface", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "withdraw", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "abortCounterOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "acceptBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "acceptCounterOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "cancelBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createCounterOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleProceeds", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "optInRoyalties", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rejectCounterOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "cancelNonce", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "cancelNoncesBelow", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "domainSeparator", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "fillSignedSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "hashSaleOrder", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isNonceUsed", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isPartiallyFillable", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isSnapshotValid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "reclaimExpiredSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeOpenSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createGatedSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createGroupSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isEligibleBuyer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "abortSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "concludeSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "createSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "RESCUE_DELAY", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "allowContract", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "allowContracts", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "cancelRescue", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "changeAdmin", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "changeFee", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "changeFeeCap", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "changeFeeRecipient", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "changeFlatFee", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "disableAllowlist", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "disallowContract", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "disallowContracts", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "enableAllowlist", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "enforceRoyalties", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "executeRescue", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "freezeContract", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getRescuableAmount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getRescueOperation", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isContractAllowed", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "isTransferFeeAccepted", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "migrateSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "migrateSellerSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "queueRescue", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "removeAdmin", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "renounceRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rescueERC1155", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rescueERC20", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rescueERC721", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "setTransferFeeAccepted", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "unfreezeContract", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getActiveSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getBidderBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getBidderBidsCount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getBuyerOffers", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getBuyerOffersCount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getCounterOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getOffer", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getOpenSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getOpenSalesCount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSale", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleBuyers", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleById", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleId", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleIndex", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleLocation", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSaleSnapshots", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSellerBid", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSellerBidsCount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSellerSales", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getSellerSalesCount", data: BytesLike): Result;
+}
+export declare namespace AbortCounterOfferEvent {
+    type InputTuple = [id: BigNumberish, buyer: AddressLike];
+    type OutputTuple = [id: bigint, buyer: string];
+    interface OutputObject {
+        id: bigint;
+        buyer: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace AbortSaleEvent {
+    type InputTuple = [
+        seller: AddressLike,
+        id: BigNumberish,
+        sale: GotchiswapBase.SaleStruct
+    ];
+    type OutputTuple = [
+        seller: string,
+        id: bigint,
+        sale: GotchiswapBase.SaleStructOutput
+    ];
+    interface OutputObject {
+        seller: string;
+        id: bigint;
+        sale: GotchiswapBase.SaleStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace AcceptBidEvent {
+    type InputTuple = [seller: AddressLike, bid: GotchiswapBase.BidStruct];
+    type OutputTuple = [
+        seller: string,
+        bid: GotchiswapBase.BidStructOutput
+    ];
+    interface OutputObject {
+        seller: string;
+        bid: GotchiswapBase.BidStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace AcceptCounterOfferEvent {
+    type InputTuple = [
+        id: BigNumberish,
+        seller: AddressLike,
+        prices: GotchiswapBase.AssetStruct[]
+    ];
+    type OutputTuple = [
+        id: bigint,
+        seller: string,
+        prices: GotchiswapBase.AssetStructOutput[]
+    ];
+    interface OutputObject {
+        id: bigint;
+        seller: string;
+        prices: GotchiswapBase.AssetStructOutput[];
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace AddSaleBuyersEvent {
+    type InputTuple = [id: BigNumberish, buyers: AddressLike[]];
+    type OutputTuple = [id: bigint, buyers: string[]];
+    interface OutputObject {
+        id: bigint;
+        buyers: string[];
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CancelBidEvent {
+    type InputTuple = [bidder: AddressLike, bid: GotchiswapBase.BidStruct];
+    type OutputTuple = [
+        bidder: string,
+        bid: GotchiswapBase.BidStructOutput
+    ];
+    interface OutputObject {
+        bidder: string;
+        bid: GotchiswapBase.BidStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CancelNonceEvent {
+    type InputTuple = [seller: AddressLike, nonce: BigNumberish];
+    type OutputTuple = [seller: string, nonce: bigint];
+    interface OutputObject {
+        seller: string;
+        nonce: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CancelNoncesBelowEvent {
+    type InputTuple = [seller: AddressLike, minNonce: BigNumberish];
+    type OutputTuple = [seller: string, minNonce: bigint];
+    interface OutputObject {
+        seller: string;
+        minNonce: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CancelRescueEvent {
+    type InputTuple = [operation: BytesLike];
+    type OutputTuple = [operation: string];
+    interface OutputObject {
+        operation: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeContractFrozenEvent {
+    type InputTuple = [token: AddressLike, frozen: boolean];
+    type OutputTuple = [token: string, frozen: boolean];
+    interface OutputObject {
+        token: string;
+        frozen: boolean;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeFeeEvent {
+    type InputTuple = [feeBps: BigNumberish];
+    type OutputTuple = [feeBps: bigint];
+    interface OutputObject {
+        feeBps: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeFeeCapEvent {
+    type InputTuple = [token: AddressLike, cap: BigNumberish];
+    type OutputTuple = [token: string, cap: bigint];
+    interface OutputObject {
+        token: string;
+        cap: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeFeeRecipientEvent {
+    type InputTuple = [recipient: AddressLike];
+    type OutputTuple = [recipient: string];
+    interface OutputObject {
+        recipient: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeFlatFeeEvent {
+    type InputTuple = [token: AddressLike, amount: BigNumberish];
+    type OutputTuple = [token: string, amount: bigint];
+    interface OutputObject {
+        token: string;
+        amount: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangePausedEvent {
+    type InputTuple = [paused: boolean];
+    type OutputTuple = [paused: boolean];
+    interface OutputObject {
+        paused: boolean;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeRoyaltiesEnforcedEvent {
+    type InputTuple = [enforced: boolean];
+    type OutputTuple = [enforced: boolean];
+    interface OutputObject {
+        enforced: boolean;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeRoyaltiesOptInEvent {
+    type InputTuple = [seller: AddressLike, optIn: boolean];
+    type OutputTuple = [seller: string, optIn: boolean];
+    interface OutputObject {
+        seller: string;
+        optIn: boolean;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ChangeTransferFeeAcceptedEvent {
+    type InputTuple = [token: AddressLike, accepted: boolean];
+    type OutputTuple = [token: string, accepted: boolean];
+    interface OutputObject {
+        token: string;
+        accepted: boolean;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ConcludeSaleEvent {
+    type InputTuple = [
+        buyer: AddressLike,
+        id: BigNumberish,
+        sale: GotchiswapBase.SaleStruct
+    ];
+    type OutputTuple = [
+        buyer: string,
+        id: bigint,
+        sale: GotchiswapBase.SaleStructOutput
+    ];
+    interface OutputObject {
+        buyer: string;
+        id: bigint;
+        sale: GotchiswapBase.SaleStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CreateBidEvent {
+    type InputTuple = [
+        bidder: AddressLike,
+        id: BigNumberish,
+        assets: GotchiswapBase.AssetStruct[],
+        prices: GotchiswapBase.AssetStruct[],
+        seller: AddressLike
+    ];
+    type OutputTuple = [
+        bidder: string,
+        id: bigint,
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[],
+        seller: string
+    ];
+    interface OutputObject {
+        bidder: string;
+        id: bigint;
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+        seller: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CreateCounterOfferEvent {
+    type InputTuple = [
+        id: BigNumberish,
+        buyer: AddressLike,
+        prices: GotchiswapBase.AssetStruct[]
+    ];
+    type OutputTuple = [
+        id: bigint,
+        buyer: string,
+        prices: GotchiswapBase.AssetStructOutput[]
+    ];
+    interface OutputObject {
+        id: bigint;
+        buyer: string;
+        prices: GotchiswapBase.AssetStructOutput[];
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace CreateSaleEvent {
+    type InputTuple = [
+        seller: AddressLike,
+        id: BigNumberish,
+        assets: GotchiswapBase.AssetStruct[],
+        prices: GotchiswapBase.AssetStruct[],
+        _buyer: AddressLike,
+        deadline: BigNumberish
+    ];
+    type OutputTuple = [
+        seller: string,
+        id: bigint,
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[],
+        _buyer: string,
+        deadline: bigint
+    ];
+    interface OutputObject {
+        seller: string;
+        id: bigint;
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+        _buyer: string;
+        deadline: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace DeferPaymentEvent {
+    type InputTuple = [recipient: AddressLike, amount: BigNumberish];
+    type OutputTuple = [recipient: string, amount: bigint];
+    interface OutputObject {
+        recipient: string;
+        amount: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace ExecuteRescueEvent {
+    type InputTuple = [operation: BytesLike, recipient: AddressLike];
+    type OutputTuple = [operation: string, recipient: string];
+    interface OutputObject {
+        operation: string;
+        recipient: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace FailBatchItemEvent {
+    type InputTuple = [index: BigNumberish, reason: BytesLike];
+    type OutputTuple = [index: bigint, reason: string];
+    interface OutputObject {
+        index: bigint;
+        reason: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace FillSaleEvent {
+    type InputTuple = [
+        buyer: AddressLike,
+        id: BigNumberish,
+        assets: GotchiswapBase.AssetStruct[],
+        prices: GotchiswapBase.AssetStruct[]
+    ];
+    type OutputTuple = [
+        buyer: string,
+        id: bigint,
+        assets: GotchiswapBase.AssetStructOutput[],
+        prices: GotchiswapBase.AssetStructOutput[]
+    ];
+    interface OutputObject {
+        buyer: string;
+        id: bigint;
+        assets: GotchiswapBase.AssetStructOutput[];
+        prices: GotchiswapBase.AssetStructOutput[];
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace FillSignedSaleEvent {
+    type InputTuple = [
+        seller: AddressLike,
+        buyer: AddressLike,
+        nonce: BigNumberish,
+        order: GotchiswapBase.SaleOrderStruct
+    ];
+    type OutputTuple = [
+        seller: string,
+        buyer: string,
+        nonce: bigint,
+        order: GotchiswapBase.SaleOrderStructOutput
+    ];
+    interface OutputObject {
+        seller: string;
+        buyer: string;
+        nonce: bigint;
+        order: GotchiswapBase.SaleOrderStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace GateSaleEvent {
+    type InputTuple = [id: BigNumberish, gate: GotchiswapBase.AssetStruct];
+    type OutputTuple = [
+        id: bigint,
+        gate: GotchiswapBase.AssetStructOutput
+    ];
+    interface OutputObject {
+        id: bigint;
+        gate: GotchiswapBase.AssetStructOutput;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace GrantRoleEvent {
+    type InputTuple = [role: BytesLike, account: AddressLike];
+    type OutputTuple = [role: string, account: string];
+    interface OutputObject {
+        role: string;
+        account: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace InitializedEvent {
+    type InputTuple = [version: BigNumberish];
+    type OutputTuple = [version: bigint];
+    interface OutputObject {
+        version: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace QueueRescueEvent {
+    type InputTuple = [
+        operation: BytesLike,
+        asset: GotchiswapBase.AssetStruct,
+        readyTimestamp: BigNumberish
+    ];
+    type OutputTuple = [
+        operation: string,
+        asset: GotchiswapBase.AssetStructOutput,
+        readyTimestamp: bigint
+    ];
+    interface OutputObject {
+        operation: string;
+        asset: GotchiswapBase.AssetStructOutput;
+        readyTimestamp: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace RejectCounterOfferEvent {
+    type InputTuple = [id: BigNumberish, seller: AddressLike];
+    type OutputTuple = [id: bigint, seller: string];
+    interface OutputObject {
+        id: bigint;
+        seller: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace RevokeRoleEvent {
+    type InputTuple = [role: BytesLike, account: AddressLike];
+    type OutputTuple = [role: string, account: string];
+    interface OutputObject {
+        role: string;
+        account: string;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace SnapshotSaleEvent {
+    type InputTuple = [
+        id: BigNumberish,
+        snapshots: GotchiswapBase.GotchiSnapshotStruct[]
+    ];
+    type OutputTuple = [
+        id: bigint,
+        snapshots: GotchiswapBase.GotchiSnapshotStructOutput[]
+    ];
+    interface OutputObject {
+        id: bigint;
+        snapshots: GotchiswapBase.GotchiSnapshotStructOutput[];
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export declare namespace WithdrawEvent {
+    type InputTuple = [recipient: AddressLike, amount: BigNumberish];
+    type OutputTuple = [recipient: string, amount: bigint];
+    interface OutputObject {
+        recipient: string;
+        amount: bigint;
+    }
+    type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+    type Filter = TypedDeferredTopicFilter<Event>;
+    type Log = TypedEventLog<Event>;
+    type LogDescription = TypedLogDescription<Event>;
+}
+export interface Gotchiswap extends BaseContract {
+    connect(runner?: ContractRunner | null): Gotchiswap;
+    waitForDeployment(): Promise<this>;
+    interface: GotchiswapInterface;
+    queryFilter<TCEvent extends TypedContractEvent>(event: TCEvent, fromBlockOrBlockhash?: string | number | undefined, toBlock?: string | number | undefined): Promise<Array<TypedEventLog<TCEvent>>>;
+    queryFilter<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, fromBlockOrBlockhash?: string | number | undefined, toBlock?: string | number | undefined): Promise<Array<TypedEventLog<TCEvent>>>;
+    on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>;
+    on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>;
+    once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>;
+    once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>;
+    listeners<TCEvent extends TypedContractEvent>(event: TCEvent): Promise<Array<TypedListener<TCEvent>>>;
+    listeners(eventName?: string): Promise<Array<Listener>>;
+    removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>;
+    ALLOWLIST_MANAGER_ROLE: TypedContractMethod<[], [string], "view">;
+    MAX_FEE_BPS: TypedContractMethod<[], [bigint], "view">;
+    MAX_SALE_BUYERS: TypedContractMethod<[], [bigint], "view">;
+    PAUSER_ROLE: TypedContractMethod<[], [string], "view">;
+    RESCUER_ROLE: TypedContractMethod<[], [string], "view">;
+    UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+    abortSale: TypedContractMethod<[_index: BigNumberish], [void], "nonpayable">;
+    abortSaleById: TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    adminAddress: TypedContractMethod<[], [string], "view">;
+    allowlistDisabled: TypedContractMethod<[], [boolean], "view">;
+    "concludeSale(uint256)": TypedContractMethod<[
+        _index: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "concludeSale(uint256,uint256)": TypedContractMethod<[
+        _index: BigNumberish,
+        _quantity: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "concludeSaleById(uint256)": TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "concludeSaleById(uint256,uint256)": TypedContractMethod<[
+        _id: BigNumberish,
+        _quantity: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "payable">;
+    "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish,
+        _partialFill: boolean
+    ], [
+        void
+    ], "payable">;
+    "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool,bool)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish,
+        _partialFill: boolean,
+        _snapshot: boolean
+    ], [
+        void
+    ], "payable">;
+    "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike
+    ], [
+        void
+    ], "payable">;
+    "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish,
+        _partialFill: boolean
+    ], [
+        void
+    ], "payable">;
+    "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)": TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish,
+        _partialFill: boolean,
+        _snapshot: boolean
+    ], [
+        void
+    ], "payable">;
+    escrowBalances: TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    extension: TypedContractMethod<[], [string], "view">;
+    feeBps: TypedContractMethod<[], [bigint], "view">;
+    feeCaps: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+    feeRecipient: TypedContractMethod<[], [string], "view">;
+    flatFee: TypedContractMethod<[], [bigint], "view">;
+    flatFeeToken: TypedContractMethod<[], [string], "view">;
+    frozenContracts: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+    initialize: TypedContractMethod<[_admin: AddressLike], [void], "nonpayable">;
+    initializeRoles: TypedContractMethod<[], [void], "nonpayable">;
+    minNonces: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+    onERC1155BatchReceived: TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish[],
+        arg3: BigNumberish[],
+        arg4: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    onERC1155Received: TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish,
+        arg3: BigNumberish,
+        arg4: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    onERC721Received: TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish,
+        arg3: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    paused: TypedContractMethod<[], [boolean], "view">;
+    pendingWithdrawals: TypedContractMethod<[
+        arg0: AddressLike
+    ], [
+        bigint
+    ], "view">;
+    rescueOperations: TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+    royaltiesEnforced: TypedContractMethod<[], [boolean], "view">;
+    royaltiesOptIns: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+    supportsInterface: TypedContractMethod<[
+        interfaceId: BytesLike
+    ], [
+        boolean
+    ], "view">;
+    withdraw: TypedContractMethod<[], [void], "nonpayable">;
+    abortCounterOffer: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    acceptBid: TypedContractMethod<[_id: BigNumberish], [void], "payable">;
+    acceptCounterOffer: TypedContractMethod<[
+        _id: BigNumberish,
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "nonpayable">;
+    cancelBid: TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    createBid: TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _seller: AddressLike
+    ], [
+        void
+    ], "payable">;
+    createCounterOffer: TypedContractMethod<[
+        _id: BigNumberish,
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "nonpayable">;
+    getSaleProceeds: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint[],
+            bigint[],
+            bigint[]
+        ] & {
+            proceeds: bigint[];
+            fees: bigint[];
+            royalties: bigint[];
+        }
+    ], "view">;
+    optInRoyalties: TypedContractMethod<[_optIn: boolean], [void], "nonpayable">;
+    rejectCounterOffer: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    cancelNonce: TypedContractMethod<[
+        _nonce: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    cancelNoncesBelow: TypedContractMethod<[
+        _minNonce: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    domainSeparator: TypedContractMethod<[], [string], "view">;
+    fillSignedSale: TypedContractMethod<[
+        _seller: AddressLike,
+        _order: GotchiswapBase.SaleOrderStruct,
+        _signature: BytesLike
+    ], [
+        void
+    ], "payable">;
+    hashSaleOrder: TypedContractMethod<[
+        _order: GotchiswapBase.SaleOrderStruct
+    ], [
+        string
+    ], "view">;
+    isNonceUsed: TypedContractMethod<[
+        _seller: AddressLike,
+        _nonce: BigNumberish
+    ], [
+        boolean
+    ], "view">;
+    isPartiallyFillable: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        boolean
+    ], "view">;
+    isSnapshotValid: TypedContractMethod<[_id: BigNumberish], [boolean], "view">;
+    reclaimExpiredSale: TypedContractMethod<[
+        _seller: AddressLike,
+        _id: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    concludeOpenSale: TypedContractMethod<[_id: BigNumberish], [void], "payable">;
+    createGatedSale: TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _gate: GotchiswapBase.AssetStruct,
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    createGroupSale: TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyers: AddressLike[],
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    isEligibleBuyer: TypedContractMethod<[
+        _id: BigNumberish,
+        _buyer: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    abortSales: TypedContractMethod<[
+        _ids: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    concludeSales: TypedContractMethod<[
+        _ids: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    createSales: TypedContractMethod<[
+        _assets: GotchiswapBase.ItemsStruct[],
+        _prices: GotchiswapBase.ItemsStruct[],
+        _buyers: AddressLike[],
+        _deadlines: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    RESCUE_DELAY: TypedContractMethod<[], [bigint], "view">;
+    allowContract: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    allowContracts: TypedContractMethod<[
+        _contracts: AddressLike[]
+    ], [
+        void
+    ], "nonpayable">;
+    cancelRescue: TypedContractMethod<[
+        _operation: BytesLike
+    ], [
+        void
+    ], "nonpayable">;
+    changeAdmin: TypedContractMethod<[_admin: AddressLike], [void], "nonpayable">;
+    changeFee: TypedContractMethod<[_feeBps: BigNumberish], [void], "nonpayable">;
+    changeFeeCap: TypedContractMethod<[
+        _token: AddressLike,
+        _cap: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    changeFeeRecipient: TypedContractMethod<[
+        _recipient: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    changeFlatFee: TypedContractMethod<[
+        _token: AddressLike,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    disableAllowlist: TypedContractMethod<[], [void], "nonpayable">;
+    disallowContract: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    disallowContracts: TypedContractMethod<[
+        _contracts: AddressLike[]
+    ], [
+        void
+    ], "nonpayable">;
+    enableAllowlist: TypedContractMethod<[], [void], "nonpayable">;
+    enforceRoyalties: TypedContractMethod<[
+        _enforced: boolean
+    ], [
+        void
+    ], "nonpayable">;
+    executeRescue: TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    freezeContract: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    getRescuableAmount: TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getRescueOperation: TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        string
+    ], "view">;
+    grantRole: TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    hasRole: TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    isContractAllowed: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    isTransferFeeAccepted: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    migrateSales: TypedContractMethod<[
+        _sellers: AddressLike[],
+        _last: boolean
+    ], [
+        void
+    ], "nonpayable">;
+    migrateSellerSales: TypedContractMethod<[
+        _seller: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    pause: TypedContractMethod<[], [void], "nonpayable">;
+    queueRescue: TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        string
+    ], "nonpayable">;
+    removeAdmin: TypedContractMethod<[], [void], "nonpayable">;
+    renounceRole: TypedContractMethod<[_role: BytesLike], [void], "nonpayable">;
+    rescueERC1155: TypedContractMethod<[
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    rescueERC20: TypedContractMethod<[
+        _contract: AddressLike,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    rescueERC721: TypedContractMethod<[
+        _contract: AddressLike,
+        _tokenId: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    revokeRole: TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    setTransferFeeAccepted: TypedContractMethod<[
+        _contract: AddressLike,
+        _accepted: boolean
+    ], [
+        void
+    ], "nonpayable">;
+    unfreezeContract: TypedContractMethod<[
+        _contract: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    unpause: TypedContractMethod<[], [void], "nonpayable">;
+    getActiveSales: TypedContractMethod<[
+        _fromId: BigNumberish,
+        _count: BigNumberish,
+        _contract: AddressLike,
+        _openOnly: boolean
+    ], [
+        [
+            GotchiswapBase.SaleDetailsStructOutput[],
+            bigint
+        ] & {
+            page: GotchiswapBase.SaleDetailsStructOutput[];
+            nextId: bigint;
+        }
+    ], "view">;
+    getBid: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            string
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            bidder: string;
+            seller: string;
+        }
+    ], "view">;
+    getBidderBid: TypedContractMethod<[
+        _bidder: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getBidderBidsCount: TypedContractMethod<[
+        _bidder: AddressLike
+    ], [
+        bigint
+    ], "view">;
+    getBuyerOffers: TypedContractMethod<[
+        _buyer: AddressLike,
+        _offset: BigNumberish,
+        _limit: BigNumberish
+    ], [
+        GotchiswapBase.SaleDetailsStructOutput[]
+    ], "view">;
+    getBuyerOffersCount: TypedContractMethod<[
+        _buyer: AddressLike
+    ], [
+        bigint
+    ], "view">;
+    getCounterOffer: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint[],
+            string[],
+            bigint[],
+            bigint[]
+        ] & {
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+        }
+    ], "view">;
+    getOffer: TypedContractMethod<[
+        _buyer: AddressLike,
+        _index: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            id: bigint;
+        }
+    ], "view">;
+    getOpenSale: TypedContractMethod<[
+        _index: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            id: bigint;
+        }
+    ], "view">;
+    getOpenSalesCount: TypedContractMethod<[], [bigint], "view">;
+    getSale: TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            bigint
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            buyer: string;
+            deadline: bigint;
+        }
+    ], "view">;
+    getSaleBuyers: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            string[],
+            GotchiswapBase.AssetStructOutput
+        ] & {
+            buyers: string[];
+            gate: GotchiswapBase.AssetStructOutput;
+        }
+    ], "view">;
+    getSaleById: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            bigint
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            buyer: string;
+            deadline: bigint;
+        }
+    ], "view">;
+    getSaleId: TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getSaleIndex: TypedContractMethod<[
+        _seller: AddressLike,
+        _id: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getSaleLocation: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            index: bigint;
+        }
+    ], "view">;
+    getSaleSnapshots: TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        GotchiswapBase.GotchiSnapshotStructOutput[]
+    ], "view">;
+    getSellerBid: TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getSellerBidsCount: TypedContractMethod<[
+        _seller: AddressLike
+    ], [
+        bigint
+    ], "view">;
+    getSellerSales: TypedContractMethod<[
+        _seller: AddressLike,
+        _offset: BigNumberish,
+        _limit: BigNumberish
+    ], [
+        GotchiswapBase.SaleDetailsStructOutput[]
+    ], "view">;
+    getSellerSalesCount: TypedContractMethod<[
+        _seller: AddressLike
+    ], [
+        bigint
+    ], "view">;
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+    getFunction(nameOrSignature: "ALLOWLIST_MANAGER_ROLE"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "MAX_FEE_BPS"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "MAX_SALE_BUYERS"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "PAUSER_ROLE"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "RESCUER_ROLE"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "UPGRADER_ROLE"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "abortSale"): TypedContractMethod<[_index: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "abortSaleById"): TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "adminAddress"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "allowlistDisabled"): TypedContractMethod<[], [boolean], "view">;
+    getFunction(nameOrSignature: "concludeSale(uint256)"): TypedContractMethod<[_index: BigNumberish], [void], "payable">;
+    getFunction(nameOrSignature: "concludeSale(uint256,uint256)"): TypedContractMethod<[
+        _index: BigNumberish,
+        _quantity: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "concludeSaleById(uint256)"): TypedContractMethod<[_id: BigNumberish], [void], "payable">;
+    getFunction(nameOrSignature: "concludeSaleById(uint256,uint256)"): TypedContractMethod<[
+        _id: BigNumberish,
+        _quantity: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[])"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish,
+        _partialFill: boolean
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool,bool)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _deadline: BigNumberish,
+        _partialFill: boolean,
+        _snapshot: boolean
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish,
+        _partialFill: boolean
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyer: AddressLike,
+        _deadline: BigNumberish,
+        _partialFill: boolean,
+        _snapshot: boolean
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "escrowBalances"): TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "extension"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "feeBps"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "feeCaps"): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "feeRecipient"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "flatFee"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "flatFeeToken"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "frozenContracts"): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+    getFunction(nameOrSignature: "initialize"): TypedContractMethod<[_admin: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "initializeRoles"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "minNonces"): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "onERC1155BatchReceived"): TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish[],
+        arg3: BigNumberish[],
+        arg4: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "onERC1155Received"): TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish,
+        arg3: BigNumberish,
+        arg4: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "onERC721Received"): TypedContractMethod<[
+        arg0: AddressLike,
+        arg1: AddressLike,
+        arg2: BigNumberish,
+        arg3: BytesLike
+    ], [
+        string
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "paused"): TypedContractMethod<[], [boolean], "view">;
+    getFunction(nameOrSignature: "pendingWithdrawals"): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "rescueOperations"): TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+    getFunction(nameOrSignature: "royaltiesEnforced"): TypedContractMethod<[], [boolean], "view">;
+    getFunction(nameOrSignature: "royaltiesOptIns"): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+    getFunction(nameOrSignature: "supportsInterface"): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+    getFunction(nameOrSignature: "withdraw"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "abortCounterOffer"): TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "acceptBid"): TypedContractMethod<[_id: BigNumberish], [void], "payable">;
+    getFunction(nameOrSignature: "acceptCounterOffer"): TypedContractMethod<[
+        _id: BigNumberish,
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "cancelBid"): TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "createBid"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _seller: AddressLike
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createCounterOffer"): TypedContractMethod<[
+        _id: BigNumberish,
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[]
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "getSaleProceeds"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint[],
+            bigint[],
+            bigint[]
+        ] & {
+            proceeds: bigint[];
+            fees: bigint[];
+            royalties: bigint[];
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "optInRoyalties"): TypedContractMethod<[_optIn: boolean], [void], "nonpayable">;
+    getFunction(nameOrSignature: "rejectCounterOffer"): TypedContractMethod<[_id: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "cancelNonce"): TypedContractMethod<[_nonce: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "cancelNoncesBelow"): TypedContractMethod<[_minNonce: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "domainSeparator"): TypedContractMethod<[], [string], "view">;
+    getFunction(nameOrSignature: "fillSignedSale"): TypedContractMethod<[
+        _seller: AddressLike,
+        _order: GotchiswapBase.SaleOrderStruct,
+        _signature: BytesLike
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "hashSaleOrder"): TypedContractMethod<[
+        _order: GotchiswapBase.SaleOrderStruct
+    ], [
+        string
+    ], "view">;
+    getFunction(nameOrSignature: "isNonceUsed"): TypedContractMethod<[
+        _seller: AddressLike,
+        _nonce: BigNumberish
+    ], [
+        boolean
+    ], "view">;
+    getFunction(nameOrSignature: "isPartiallyFillable"): TypedContractMethod<[_id: BigNumberish], [boolean], "view">;
+    getFunction(nameOrSignature: "isSnapshotValid"): TypedContractMethod<[_id: BigNumberish], [boolean], "view">;
+    getFunction(nameOrSignature: "reclaimExpiredSale"): TypedContractMethod<[
+        _seller: AddressLike,
+        _id: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "concludeOpenSale"): TypedContractMethod<[_id: BigNumberish], [void], "payable">;
+    getFunction(nameOrSignature: "createGatedSale"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _gate: GotchiswapBase.AssetStruct,
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "createGroupSale"): TypedContractMethod<[
+        _assetClasses: BigNumberish[],
+        _assetContracts: AddressLike[],
+        _assetIds: BigNumberish[],
+        _assetAmounts: BigNumberish[],
+        _priceClasses: BigNumberish[],
+        _priceContracts: AddressLike[],
+        _priceIds: BigNumberish[],
+        _priceAmounts: BigNumberish[],
+        _buyers: AddressLike[],
+        _deadline: BigNumberish
+    ], [
+        void
+    ], "payable">;
+    getFunction(nameOrSignature: "isEligibleBuyer"): TypedContractMethod<[
+        _id: BigNumberish,
+        _buyer: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    getFunction(nameOrSignature: "abortSales"): TypedContractMethod<[
+        _ids: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "concludeSales"): TypedContractMethod<[
+        _ids: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "createSales"): TypedContractMethod<[
+        _assets: GotchiswapBase.ItemsStruct[],
+        _prices: GotchiswapBase.ItemsStruct[],
+        _buyers: AddressLike[],
+        _deadlines: BigNumberish[],
+        _bestEffort: boolean
+    ], [
+        boolean[]
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "RESCUE_DELAY"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "allowContract"): TypedContractMethod<[_contract: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "allowContracts"): TypedContractMethod<[_contracts: AddressLike[]], [void], "nonpayable">;
+    getFunction(nameOrSignature: "cancelRescue"): TypedContractMethod<[_operation: BytesLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "changeAdmin"): TypedContractMethod<[_admin: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "changeFee"): TypedContractMethod<[_feeBps: BigNumberish], [void], "nonpayable">;
+    getFunction(nameOrSignature: "changeFeeCap"): TypedContractMethod<[
+        _token: AddressLike,
+        _cap: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "changeFeeRecipient"): TypedContractMethod<[_recipient: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "changeFlatFee"): TypedContractMethod<[
+        _token: AddressLike,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "disableAllowlist"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "disallowContract"): TypedContractMethod<[_contract: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "disallowContracts"): TypedContractMethod<[_contracts: AddressLike[]], [void], "nonpayable">;
+    getFunction(nameOrSignature: "enableAllowlist"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "enforceRoyalties"): TypedContractMethod<[_enforced: boolean], [void], "nonpayable">;
+    getFunction(nameOrSignature: "executeRescue"): TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "freezeContract"): TypedContractMethod<[_contract: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "getRescuableAmount"): TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "getRescueOperation"): TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        string
+    ], "view">;
+    getFunction(nameOrSignature: "grantRole"): TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "hasRole"): TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        boolean
+    ], "view">;
+    getFunction(nameOrSignature: "isContractAllowed"): TypedContractMethod<[_contract: AddressLike], [boolean], "view">;
+    getFunction(nameOrSignature: "isTransferFeeAccepted"): TypedContractMethod<[_contract: AddressLike], [boolean], "view">;
+    getFunction(nameOrSignature: "migrateSales"): TypedContractMethod<[
+        _sellers: AddressLike[],
+        _last: boolean
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "migrateSellerSales"): TypedContractMethod<[_seller: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "pause"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "queueRescue"): TypedContractMethod<[
+        _class: BigNumberish,
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        string
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "removeAdmin"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "renounceRole"): TypedContractMethod<[_role: BytesLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "rescueERC1155"): TypedContractMethod<[
+        _contract: AddressLike,
+        _tokenId: BigNumberish,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "rescueERC20"): TypedContractMethod<[
+        _contract: AddressLike,
+        _amount: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "rescueERC721"): TypedContractMethod<[
+        _contract: AddressLike,
+        _tokenId: BigNumberish
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "revokeRole"): TypedContractMethod<[
+        _role: BytesLike,
+        _account: AddressLike
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "setTransferFeeAccepted"): TypedContractMethod<[
+        _contract: AddressLike,
+        _accepted: boolean
+    ], [
+        void
+    ], "nonpayable">;
+    getFunction(nameOrSignature: "unfreezeContract"): TypedContractMethod<[_contract: AddressLike], [void], "nonpayable">;
+    getFunction(nameOrSignature: "unpause"): TypedContractMethod<[], [void], "nonpayable">;
+    getFunction(nameOrSignature: "getActiveSales"): TypedContractMethod<[
+        _fromId: BigNumberish,
+        _count: BigNumberish,
+        _contract: AddressLike,
+        _openOnly: boolean
+    ], [
+        [
+            GotchiswapBase.SaleDetailsStructOutput[],
+            bigint
+        ] & {
+            page: GotchiswapBase.SaleDetailsStructOutput[];
+            nextId: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getBid"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            string
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            bidder: string;
+            seller: string;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getBidderBid"): TypedContractMethod<[
+        _bidder: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "getBidderBidsCount"): TypedContractMethod<[_bidder: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "getBuyerOffers"): TypedContractMethod<[
+        _buyer: AddressLike,
+        _offset: BigNumberish,
+        _limit: BigNumberish
+    ], [
+        GotchiswapBase.SaleDetailsStructOutput[]
+    ], "view">;
+    getFunction(nameOrSignature: "getBuyerOffersCount"): TypedContractMethod<[_buyer: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "getCounterOffer"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint[],
+            string[],
+            bigint[],
+            bigint[]
+        ] & {
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getOffer"): TypedContractMethod<[
+        _buyer: AddressLike,
+        _index: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            id: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getOpenSale"): TypedContractMethod<[
+        _index: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            id: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getOpenSalesCount"): TypedContractMethod<[], [bigint], "view">;
+    getFunction(nameOrSignature: "getSale"): TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            bigint
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            buyer: string;
+            deadline: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleBuyers"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            string[],
+            GotchiswapBase.AssetStructOutput
+        ] & {
+            buyers: string[];
+            gate: GotchiswapBase.AssetStructOutput;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleById"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [
+            bigint,
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            bigint[],
+            string[],
+            bigint[],
+            bigint[],
+            string,
+            bigint
+        ] & {
+            id: bigint;
+            assetClasses: bigint[];
+            assetContracts: string[];
+            assetIds: bigint[];
+            assetAmounts: bigint[];
+            priceClasses: bigint[];
+            priceContracts: string[];
+            priceIds: bigint[];
+            priceAmounts: bigint[];
+            buyer: string;
+            deadline: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleId"): TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleIndex"): TypedContractMethod<[
+        _seller: AddressLike,
+        _id: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleLocation"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        [string, bigint] & {
+            seller: string;
+            index: bigint;
+        }
+    ], "view">;
+    getFunction(nameOrSignature: "getSaleSnapshots"): TypedContractMethod<[
+        _id: BigNumberish
+    ], [
+        GotchiswapBase.GotchiSnapshotStructOutput[]
+    ], "view">;
+    getFunction(nameOrSignature: "getSellerBid"): TypedContractMethod<[
+        _seller: AddressLike,
+        _index: BigNumberish
+    ], [
+        bigint
+    ], "view">;
+    getFunction(nameOrSignature: "getSellerBidsCount"): TypedContractMethod<[_seller: AddressLike], [bigint], "view">;
+    getFunction(nameOrSignature: "getSellerSales"): TypedContractMethod<[
+        _seller: AddressLike,
+        _offset: BigNumberish,
+        _limit: BigNumberish
+    ], [
+        GotchiswapBase.SaleDetailsStructOutput[]
+    ], "view">;
+    getFunction(nameOrSignature: "getSellerSalesCount"): TypedContractMethod<[_seller: AddressLike], [bigint], "view">;
+    getEvent(key: "AbortCounterOffer"): TypedContractEvent<AbortCounterOfferEvent.InputTuple, AbortCounterOfferEvent.OutputTuple, AbortCounterOfferEvent.OutputObject>;
+    getEvent(key: "AbortSale"): TypedContractEvent<AbortSaleEvent.InputTuple, AbortSaleEvent.OutputTuple, AbortSaleEvent.OutputObject>;
+    getEvent(key: "AcceptBid"): TypedContractEvent<AcceptBidEvent.InputTuple, AcceptBidEvent.OutputTuple, AcceptBidEvent.OutputObject>;
+    getEvent(key: "AcceptCounterOffer"): TypedContractEvent<AcceptCounterOfferEvent.InputTuple, AcceptCounterOfferEvent.OutputTuple, AcceptCounterOfferEvent.OutputObject>;
+    getEvent(key: "AddSaleBuyers"): TypedContractEvent<AddSaleBuyersEvent.InputTuple, AddSaleBuyersEvent.OutputTuple, AddSaleBuyersEvent.OutputObject>;
+    getEvent(key: "CancelBid"): TypedContractEvent<CancelBidEvent.InputTuple, CancelBidEvent.OutputTuple, CancelBidEvent.OutputObject>;
+    getEvent(key: "CancelNonce"): TypedContractEvent<CancelNonceEvent.InputTuple, CancelNonceEvent.OutputTuple, CancelNonceEvent.OutputObject>;
+    getEvent(key: "CancelNoncesBelow"): TypedContractEvent<CancelNoncesBelowEvent.InputTuple, CancelNoncesBelowEvent.OutputTuple, CancelNoncesBelowEvent.OutputObject>;
+    getEvent(key: "CancelRescue"): TypedContractEvent<CancelRescueEvent.InputTuple, CancelRescueEvent.OutputTuple, CancelRescueEvent.OutputObject>;
+    getEvent(key: "ChangeContractFrozen"): TypedContractEvent<ChangeContractFrozenEvent.InputTuple, ChangeContractFrozenEvent.OutputTuple, ChangeContractFrozenEvent.OutputObject>;
+    getEvent(key: "ChangeFee"): TypedContractEvent<ChangeFeeEvent.InputTuple, ChangeFeeEvent.OutputTuple, ChangeFeeEvent.OutputObject>;
+    getEvent(key: "ChangeFeeCap"): TypedContractEvent<ChangeFeeCapEvent.InputTuple, ChangeFeeCapEvent.OutputTuple, ChangeFeeCapEvent.OutputObject>;
+    getEvent(key: "ChangeFeeRecipient"): TypedContractEvent<ChangeFeeRecipientEvent.InputTuple, ChangeFeeRecipientEvent.OutputTuple, ChangeFeeRecipientEvent.OutputObject>;
+    getEvent(key: "ChangeFlatFee"): TypedContractEvent<ChangeFlatFeeEvent.InputTuple, ChangeFlatFeeEvent.OutputTuple, ChangeFlatFeeEvent.OutputObject>;
+    getEvent(key: "ChangePaused"): TypedContractEvent<ChangePausedEvent.InputTuple, ChangePausedEvent.OutputTuple, ChangePausedEvent.OutputObject>;
+    getEvent(key: "ChangeRoyaltiesEnforced"): TypedContractEvent<ChangeRoyaltiesEnforcedEvent.InputTuple, ChangeRoyaltiesEnforcedEvent.OutputTuple, ChangeRoyaltiesEnforcedEvent.OutputObject>;
+    getEvent(key: "ChangeRoyaltiesOptIn"): TypedContractEvent<ChangeRoyaltiesOptInEvent.InputTuple, ChangeRoyaltiesOptInEvent.OutputTuple, ChangeRoyaltiesOptInEvent.OutputObject>;
+    getEvent(key: "ChangeTransferFeeAccepted"): TypedContractEvent<ChangeTransferFeeAcceptedEvent.InputTuple, ChangeTransferFeeAcceptedEvent.OutputTuple, ChangeTransferFeeAcceptedEvent.OutputObject>;
+    getEvent(key: "ConcludeSale"): TypedContractEvent<ConcludeSaleEvent.InputTuple, ConcludeSaleEvent.OutputTuple, ConcludeSaleEvent.OutputObject>;
+    getEvent(key: "CreateBid"): TypedContractEvent<CreateBidEvent.InputTuple, CreateBidEvent.OutputTuple, CreateBidEvent.OutputObject>;
+    getEvent(key: "CreateCounterOffer"): TypedContractEvent<CreateCounterOfferEvent.InputTuple, CreateCounterOfferEvent.OutputTuple, CreateCounterOfferEvent.OutputObject>;
+    getEvent(key: "CreateSale"): TypedContractEvent<CreateSaleEvent.InputTuple, CreateSaleEvent.OutputTuple, CreateSaleEvent.OutputObject>;
+    getEvent(key: "DeferPayment"): TypedContractEvent<DeferPaymentEvent.InputTuple, DeferPaymentEvent.OutputTuple, DeferPaymentEvent.OutputObject>;
+    getEvent(key: "ExecuteRescue"): TypedContractEvent<ExecuteRescueEvent.InputTuple, ExecuteRescueEvent.OutputTuple, ExecuteRescueEvent.OutputObject>;
+    getEvent(key: "FailBatchItem"): TypedContractEvent<FailBatchItemEvent.InputTuple, FailBatchItemEvent.OutputTuple, FailBatchItemEvent.OutputObject>;
+    getEvent(key: "FillSale"): TypedContractEvent<FillSaleEvent.InputTuple, FillSaleEvent.OutputTuple, FillSaleEvent.OutputObject>;
+    getEvent(key: "FillSignedSale"): TypedContractEvent<FillSignedSaleEvent.InputTuple, FillSignedSaleEvent.OutputTuple, FillSignedSaleEvent.OutputObject>;
+    getEvent(key: "GateSale"): TypedContractEvent<GateSaleEvent.InputTuple, GateSaleEvent.OutputTuple, GateSaleEvent.OutputObject>;
+    getEvent(key: "GrantRole"): TypedContractEvent<GrantRoleEvent.InputTuple, GrantRoleEvent.OutputTuple, GrantRoleEvent.OutputObject>;
+    getEvent(key: "Initialized"): TypedContractEvent<InitializedEvent.InputTuple, InitializedEvent.OutputTuple, InitializedEvent.OutputObject>;
+    getEvent(key: "QueueRescue"): TypedContractEvent<QueueRescueEvent.InputTuple, QueueRescueEvent.OutputTuple, QueueRescueEvent.OutputObject>;
+    getEvent(key: "RejectCounterOffer"): TypedContractEvent<RejectCounterOfferEvent.InputTuple, RejectCounterOfferEvent.OutputTuple, RejectCounterOfferEvent.OutputObject>;
+    getEvent(key: "RevokeRole"): TypedContractEvent<RevokeRoleEvent.InputTuple, RevokeRoleEvent.OutputTuple, RevokeRoleEvent.OutputObject>;
+    getEvent(key: "SnapshotSale"): TypedContractEvent<SnapshotSaleEvent.InputTuple, SnapshotSaleEvent.OutputTuple, SnapshotSaleEvent.OutputObject>;
+    getEvent(key: "Withdraw"): TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
+    filters: {
+        "AbortCounterOffer(uint256,address)": TypedContractEvent<AbortCounterOfferEvent.InputTuple, AbortCounterOfferEvent.OutputTuple, AbortCounterOfferEvent.OutputObject>;
+        AbortCounterOffer: TypedContractEvent<AbortCounterOfferEvent.InputTuple, AbortCounterOfferEvent.OutputTuple, AbortCounterOfferEvent.OutputObject>;
+        "AbortSale(address,uint256,tuple)": TypedContractEvent<AbortSaleEvent.InputTuple, AbortSaleEvent.OutputTuple, AbortSaleEvent.OutputObject>;
+        AbortSale: TypedContractEvent<AbortSaleEvent.InputTuple, AbortSaleEvent.OutputTuple, AbortSaleEvent.OutputObject>;
+        "AcceptBid(address,tuple)": TypedContractEvent<AcceptBidEvent.InputTuple, AcceptBidEvent.OutputTuple, AcceptBidEvent.OutputObject>;
+        AcceptBid: TypedContractEvent<AcceptBidEvent.InputTuple, AcceptBidEvent.OutputTuple, AcceptBidEvent.OutputObject>;
+        "AcceptCounterOffer(uint256,address,tuple[])": TypedContractEvent<AcceptCounterOfferEvent.InputTuple, AcceptCounterOfferEvent.OutputTuple, AcceptCounterOfferEvent.OutputObject>;
+        AcceptCounterOffer: TypedContractEvent<AcceptCounterOfferEvent.InputTuple, AcceptCounterOfferEvent.OutputTuple, AcceptCounterOfferEvent.OutputObject>;
+        "AddSaleBuyers(uint256,address[])": TypedContractEvent<AddSaleBuyersEvent.InputTuple, AddSaleBuyersEvent.OutputTuple, AddSaleBuyersEvent.OutputObject>;
+        AddSaleBuyers: TypedContractEvent<AddSaleBuyersEvent.InputTuple, AddSaleBuyersEvent.OutputTuple, AddSaleBuyersEvent.OutputObject>;
+        "CancelBid(address,tuple)": TypedContractEvent<CancelBidEvent.InputTuple, CancelBidEvent.OutputTuple, CancelBidEvent.OutputObject>;
+        CancelBid: TypedContractEvent<CancelBidEvent.InputTuple, CancelBidEvent.OutputTuple, CancelBidEvent.OutputObject>;
+        "CancelNonce(address,uint256)": TypedContractEvent<CancelNonceEvent.InputTuple, CancelNonceEvent.OutputTuple, CancelNonceEvent.OutputObject>;
+        CancelNonce: TypedContractEvent<CancelNonceEvent.InputTuple, CancelNonceEvent.OutputTuple, CancelNonceEvent.OutputObject>;
+        "CancelNoncesBelow(address,uint256)": TypedContractEvent<CancelNoncesBelowEvent.InputTuple, CancelNoncesBelowEvent.OutputTuple, CancelNoncesBelowEvent.OutputObject>;
+        CancelNoncesBelow: TypedContractEvent<CancelNoncesBelowEvent.InputTuple, CancelNoncesBelowEvent.OutputTuple, CancelNoncesBelowEvent.OutputObject>;
+        "CancelRescue(bytes32)": TypedContractEvent<CancelRescueEvent.InputTuple, CancelRescueEvent.OutputTuple, CancelRescueEvent.OutputObject>;
+        CancelRescue: TypedContractEvent<CancelRescueEvent.InputTuple, CancelRescueEvent.OutputTuple, CancelRescueEvent.OutputObject>;
+        "ChangeContractFrozen(address,bool)": TypedContractEvent<ChangeContractFrozenEvent.InputTuple, ChangeContractFrozenEvent.OutputTuple, ChangeContractFrozenEvent.OutputObject>;
+        ChangeContractFrozen: TypedContractEvent<ChangeContractFrozenEvent.InputTuple, ChangeContractFrozenEvent.OutputTuple, ChangeContractFrozenEvent.OutputObject>;
+        "ChangeFee(uint256)": TypedContractEvent<ChangeFeeEvent.InputTuple, ChangeFeeEvent.OutputTuple, ChangeFeeEvent.OutputObject>;
+        ChangeFee: TypedContractEvent<ChangeFeeEvent.InputTuple, ChangeFeeEvent.OutputTuple, ChangeFeeEvent.OutputObject>;
+        "ChangeFeeCap(address,uint256)": TypedContractEvent<ChangeFeeCapEvent.InputTuple, ChangeFeeCapEvent.OutputTuple, ChangeFeeCapEvent.OutputObject>;
+        ChangeFeeCap: TypedContractEvent<ChangeFeeCapEvent.InputTuple, ChangeFeeCapEvent.OutputTuple, ChangeFeeCapEvent.OutputObject>;
+        "ChangeFeeRecipient(address)": TypedContractEvent<ChangeFeeRecipientEvent.InputTuple, ChangeFeeRecipientEvent.OutputTuple, ChangeFeeRecipientEvent.OutputObject>;
+        ChangeFeeRecipient: TypedContractEvent<ChangeFeeRecipientEvent.InputTuple, ChangeFeeRecipientEvent.OutputTuple, ChangeFeeRecipientEvent.OutputObject>;
+        "ChangeFlatFee(address,uint256)": TypedContractEvent<ChangeFlatFeeEvent.InputTuple, ChangeFlatFeeEvent.OutputTuple, ChangeFlatFeeEvent.OutputObject>;
+        ChangeFlatFee: TypedContractEvent<ChangeFlatFeeEvent.InputTuple, ChangeFlatFeeEvent.OutputTuple, ChangeFlatFeeEvent.OutputObject>;
+        "ChangePaused(bool)": TypedContractEvent<ChangePausedEvent.InputTuple, ChangePausedEvent.OutputTuple, ChangePausedEvent.OutputObject>;
+        ChangePaused: TypedContractEvent<ChangePausedEvent.InputTuple, ChangePausedEvent.OutputTuple, ChangePausedEvent.OutputObject>;
+        "ChangeRoyaltiesEnforced(bool)": TypedContractEvent<ChangeRoyaltiesEnforcedEvent.InputTuple, ChangeRoyaltiesEnforcedEvent.OutputTuple, ChangeRoyaltiesEnforcedEvent.OutputObject>;
+        ChangeRoyaltiesEnforced: TypedContractEvent<ChangeRoyaltiesEnforcedEvent.InputTuple, ChangeRoyaltiesEnforcedEvent.OutputTuple, ChangeRoyaltiesEnforcedEvent.OutputObject>;
+        "ChangeRoyaltiesOptIn(address,bool)": TypedContractEvent<ChangeRoyaltiesOptInEvent.InputTuple, ChangeRoyaltiesOptInEvent.OutputTuple, ChangeRoyaltiesOptInEvent.OutputObject>;
+        ChangeRoyaltiesOptIn: TypedContractEvent<ChangeRoyaltiesOptInEvent.InputTuple, ChangeRoyaltiesOptInEvent.OutputTuple, ChangeRoyaltiesOptInEvent.OutputObject>;
+        "ChangeTransferFeeAccepted(address,bool)": TypedContractEvent<ChangeTransferFeeAcceptedEvent.InputTuple, ChangeTransferFeeAcceptedEvent.OutputTuple, ChangeTransferFeeAcceptedEvent.OutputObject>;
+        ChangeTransferFeeAccepted: TypedContractEvent<ChangeTransferFeeAcceptedEvent.InputTuple, ChangeTransferFeeAcceptedEvent.OutputTuple, ChangeTransferFeeAcceptedEvent.OutputObject>;
+        "ConcludeSale(address,uint256,tuple)": TypedContractEvent<ConcludeSaleEvent.InputTuple, ConcludeSaleEvent.OutputTuple, ConcludeSaleEvent.OutputObject>;
+        ConcludeSale: TypedContractEvent<ConcludeSaleEvent.InputTuple, ConcludeSaleEvent.OutputTuple, ConcludeSaleEvent.OutputObject>;
+        "CreateBid(address,uint256,tuple[],tuple[],address)": TypedContractEvent<CreateBidEvent.InputTuple, CreateBidEvent.OutputTuple, CreateBidEvent.OutputObject>;
+        CreateBid: TypedContractEvent<CreateBidEvent.InputTuple, CreateBidEvent.OutputTuple, CreateBidEvent.OutputObject>;
+        "CreateCounterOffer(uint256,address,tuple[])": TypedContractEvent<CreateCounterOfferEvent.InputTuple, CreateCounterOfferEvent.OutputTuple, CreateCounterOfferEvent.OutputObject>;
+        CreateCounterOffer: TypedContractEvent<CreateCounterOfferEvent.InputTuple, CreateCounterOfferEvent.OutputTuple, CreateCounterOfferEvent.OutputObject>;
+        "CreateSale(address,uint256,tuple[],tuple[],address,uint256)": TypedContractEvent<CreateSaleEvent.InputTuple, CreateSaleEvent.OutputTuple, CreateSaleEvent.OutputObject>;
+        CreateSale: TypedContractEvent<CreateSaleEvent.InputTuple, CreateSaleEvent.OutputTuple, CreateSaleEvent.OutputObject>;
+        "DeferPayment(address,uint256)": TypedContractEvent<DeferPaymentEvent.InputTuple, DeferPaymentEvent.OutputTuple, DeferPaymentEvent.OutputObject>;
+        DeferPayment: TypedContractEvent<DeferPaymentEvent.InputTuple, DeferPaymentEvent.OutputTuple, DeferPaymentEvent.OutputObject>;
+        "ExecuteRescue(bytes32,address)": TypedContractEvent<ExecuteRescueEvent.InputTuple, ExecuteRescueEvent.OutputTuple, ExecuteRescueEvent.OutputObject>;
+        ExecuteRescue: TypedContractEvent<ExecuteRescueEvent.InputTuple, ExecuteRescueEvent.OutputTuple, ExecuteRescueEvent.OutputObject>;
+        "FailBatchItem(uint256,bytes)": TypedContractEvent<FailBatchItemEvent.InputTuple, FailBatchItemEvent.OutputTuple, FailBatchItemEvent.OutputObject>;
+        FailBatchItem: TypedContractEvent<FailBatchItemEvent.InputTuple, FailBatchItemEvent.OutputTuple, FailBatchItemEvent.OutputObject>;
+        "FillSale(address,uint256,tuple[],tuple[])": TypedContractEvent<FillSaleEvent.InputTuple, FillSaleEvent.OutputTuple, FillSaleEvent.OutputObject>;
+        FillSale: TypedContractEvent<FillSaleEvent.InputTuple, FillSaleEvent.OutputTuple, FillSaleEvent.OutputObject>;
+        "FillSignedSale(address,address,uint256,tuple)": TypedContractEvent<FillSignedSaleEvent.InputTuple, FillSignedSaleEvent.OutputTuple, FillSignedSaleEvent.OutputObject>;
+        FillSignedSale: TypedContractEvent<FillSignedSaleEvent.InputTuple, FillSignedSaleEvent.OutputTuple, FillSignedSaleEvent.OutputObject>;
+        "GateSale(uint256,tuple)": TypedContractEvent<GateSaleEvent.InputTuple, GateSaleEvent.OutputTuple, GateSaleEvent.OutputObject>;
+        GateSale: TypedContractEvent<GateSaleEvent.InputTuple, GateSaleEvent.OutputTuple, GateSaleEvent.OutputObject>;
+        "GrantRole(bytes32,address)": TypedContractEvent<GrantRoleEvent.InputTuple, GrantRoleEvent.OutputTuple, GrantRoleEvent.OutputObject>;
+        GrantRole: TypedContractEvent<GrantRoleEvent.InputTuple, GrantRoleEvent.OutputTuple, GrantRoleEvent.OutputObject>;
+        "Initialized(uint8)": TypedContractEvent<InitializedEvent.InputTuple, InitializedEvent.OutputTuple, InitializedEvent.OutputObject>;
+        Initialized: TypedContractEvent<InitializedEvent.InputTuple, InitializedEvent.OutputTuple, InitializedEvent.OutputObject>;
+        "QueueRescue(bytes32,tuple,uint256)": TypedContractEvent<QueueRescueEvent.InputTuple, QueueRescueEvent.OutputTuple, QueueRescueEvent.OutputObject>;
+        QueueRescue: TypedContractEvent<QueueRescueEvent.InputTuple, QueueRescueEvent.OutputTuple, QueueRescueEvent.OutputObject>;
+        "RejectCounterOffer(uint256,address)": TypedContractEvent<RejectCounterOfferEvent.InputTuple, RejectCounterOfferEvent.OutputTuple, RejectCounterOfferEvent.OutputObject>;
+        RejectCounterOffer: TypedContractEvent<RejectCounterOfferEvent.InputTuple, RejectCounterOfferEvent.OutputTuple, RejectCounterOfferEvent.OutputObject>;
+        "RevokeRole(bytes32,address)": TypedContractEvent<RevokeRoleEvent.InputTuple, RevokeRoleEvent.OutputTuple, RevokeRoleEvent.OutputObject>;
+        RevokeRole: TypedContractEvent<RevokeRoleEvent.InputTuple, RevokeRoleEvent.OutputTuple, RevokeRoleEvent.OutputObject>;
+        "SnapshotSale(uint256,tuple[])": TypedContractEvent<SnapshotSaleEvent.InputTuple, SnapshotSaleEvent.OutputTuple, SnapshotSaleEvent.OutputObject>;
+        SnapshotSale: TypedContractEvent<SnapshotSaleEvent.InputTuple, SnapshotSaleEvent.OutputTuple, SnapshotSaleEvent.OutputObject>;
+        "Withdraw(address,uint256)": TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
+        Withdraw: TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
+    };
+}
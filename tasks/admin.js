@@ -0,0 +1,101 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ZeroAddress } = require("ethers");
+const { AssetClass } = require("../sdk");
+const {
+  gotchiswapTask,
+  getClient,
+  submit,
+  parseAssetClass,
+  formatAsset,
+} = require("./utils");
+
+/**
+ * Prepares the rescue of tokens sent to the contract by mistake, right away,
+ * or through the timelock for the tokens escrowed by active sales.
+ */
+function prepareRescue(client, asset, { queue, execute }) {
+  if (queue && execute) {
+    throw new HardhatPluginError(
+      "gotchiswap",
+      "Pass either --queue or --execute, not both"
+    );
+  }
+  if (queue || execute) {
+    return {
+      method: client.contract.getFunction(
+        queue ? "queueRescue" : "executeRescue"
+      ),
+      args: [asset.class, asset.addr, asset.id, asset.qty],
+    };
+  }
+  if (asset.class === AssetClass.ERC721) {
+    return {
+      method: client.contract.getFunction("rescueERC721"),
+      args: [asset.addr, asset.id],
+    };
+  }
+  if (asset.class === AssetClass.ERC1155) {
+    return {
+      method: client.contract.getFunction("rescueERC1155"),
+      args: [asset.addr, asset.id, asset.qty],
+    };
+  }
+  if (asset.class === AssetClass.ERC20) {
+    return {
+      method: client.contract.getFunction("rescueERC20"),
+      args: [asset.addr, asset.qty],
+    };
+  }
+  throw new HardhatPluginError(
+    "gotchiswap",
+    "Native tokens can only be rescued through the timelock, pass --queue or --execute"
+  );
+}
+
+gotchiswapTask(
+  "admin:rescue",
+  "Rescues tokens sent to the contract by mistake, or queues and executes the rescue of escrowed tokens"
+)
+  .addParam("class", "Class of the tokens: ERC20, ERC1155, ERC721 or NATIVE")
+  .addOptionalParam("token", "Address of the token contract")
+  .addOptionalParam("id", "ID of the tokens", "0")
+  .addOptionalParam(
+    "amount",
+    "Amount of tokens, in the smallest unit of the token",
+    "1"
+  )
+  .addFlag("queue", "Queue the rescue of escrowed tokens")
+  .addFlag("execute", "Execute a queued rescue once its delay has passed")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const asset = {
+      class: parseAssetClass(args.class),
+      addr: args.token ?? ZeroAddress,
+      id: BigInt(args.id),
+      qty: BigInt(args.amount),
+    };
+    const rescuable = await client.contract.getRescuableAmount(
+      asset.class,
+      asset.addr,
+      asset.id
+    );
+    console.log(`Rescuing ${formatAsset(asset)}, ${rescuable} rescuable now`);
+    await submit("Rescue", prepareRescue(client, asset, args), args.dryRun);
+  });
+
+gotchiswapTask(
+  "admin:transfer",
+  "Transfers the admin rights to another address"
+)
+  .addPositionalParam("admin", "Address of the new admin")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    await submit(
+      `Transfer of the admin rights to ${args.admin}`,
+      {
+        method: client.contract.getFunction("changeAdmin"),
+        args: [args.admin],
+      },
+      args.dryRun
+    );
+  });
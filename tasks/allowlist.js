@@ -0,0 +1,50 @@
+const { gotchiswapTask, getClient, submit } = require("./utils");
+
+gotchiswapTask("allowlist:add", "Allows a token contract to be traded")
+  .addPositionalParam("contract", "Address of the token contract")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    await submit(
+      `Allowing ${args.contract}`,
+      {
+        method: client.contract.getFunction("allowContract"),
+        args: [args.contract],
+      },
+      args.dryRun
+    );
+  });
+
+gotchiswapTask("allowlist:remove", "Disallows a token contract to be traded")
+  .addPositionalParam("contract", "Address of the token contract")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    await submit(
+      `Disallowing ${args.contract}`,
+      {
+        method: client.contract.getFunction("disallowContract"),
+        args: [args.contract],
+      },
+      args.dryRun
+    );
+  });
+
+gotchiswapTask(
+  "allowlist:status",
+  "Prints whether the allowlist is enforced, and whether a token contract is allowed"
+)
+  .addOptionalPositionalParam("contract", "Address of the token contract")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const disabled = await client.contract.allowlistDisabled();
+    console.log(`Allowlist: ${disabled ? "disabled" : "enabled"}`);
+    if (args.contract) {
+      const allowed = await client.contract.isContractAllowed(args.contract);
+      const feeAccepted = await client.contract.isTransferFeeAccepted(
+        args.contract
+      );
+      console.log(`${args.contract}: ${allowed ? "allowed" : "not allowed"}`);
+      console.log(
+        `  transfer fees: ${feeAccepted ? "accepted" : "not accepted"}`
+      );
+    }
+  });
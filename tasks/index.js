@@ -0,0 +1,4 @@
+// Tasks to manage a Gotchiswap deployment, see 'npx hardhat help'
+require("./sales");
+require("./allowlist");
+require("./admin");
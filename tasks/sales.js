@@ -0,0 +1,133 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const {
+  gotchiswapTask,
+  getClient,
+  submit,
+  parseAssetClass,
+  formatAsset,
+} = require("./utils");
+
+/**
+ * Reads a sale from a JSON bundle file:
+ *
+ *   {
+ *     "assets": [{ "class": "ERC721", "contract": "0x…", "id": 4895 }],
+ *     "prices": [{ "class": "ERC20", "contract": "0x…", "amount": "1000" }],
+ *     "buyer": "0x…",
+ *     "deadline": 0
+ *   }
+ *
+ * IDs default to 0 and amounts to 1, in the smallest unit of the token.
+ * Sales without buyer are open sales, and sales without deadline never
+ * expire.
+ */
+function readSale(file) {
+  const { assets, prices, buyer, deadline } = JSON.parse(
+    fs.readFileSync(file, "utf8")
+  );
+  const toAsset = ({ class: name, contract, id = 0, amount = 1 }) => ({
+    class: parseAssetClass(name),
+    addr: contract ?? ZeroAddress,
+    id: BigInt(id),
+    qty: BigInt(amount),
+  });
+  return {
+    assets: assets.map(toAsset),
+    prices: prices.map(toAsset),
+    buyer: buyer ?? ZeroAddress,
+    deadline: BigInt(deadline ?? 0),
+  };
+}
+
+/**
+ * Sets the approvals missing for a bundle.
+ * In dry-run mode they are only simulated, so the simulations depending on
+ * them may revert.
+ */
+async function approve(client, assets, dryRun) {
+  for (const call of await client.prepareApprovals(assets)) {
+    const token = await call.method._contract.getAddress();
+    await submit(`Approval of ${token}`, call, dryRun);
+  }
+}
+
+function printSale(sale) {
+  console.log(`Sale ${sale.id}`);
+  console.log(`  seller: ${sale.seller}`);
+  console.log(
+    `  buyer: ${sale.buyer === ZeroAddress ? "anyone (open sale)" : sale.buyer}`
+  );
+  console.log(`  deadline: ${sale.deadline === 0n ? "none" : sale.deadline}`);
+  console.log(`  assets: ${sale.assets.map(formatAsset).join(", ")}`);
+  console.log(`  prices: ${sale.prices.map(formatAsset).join(", ")}`);
+}
+
+gotchiswapTask("sale:create", "Creates a sale from a JSON bundle file")
+  .addPositionalParam(
+    "file",
+    "Path of the JSON bundle file",
+    undefined,
+    types.inputFile
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const sale = readSale(args.file);
+    await approve(client, sale.assets, args.dryRun);
+    const receipt = await submit(
+      "Sale creation",
+      client.prepareCreateSale(sale),
+      args.dryRun
+    );
+    if (receipt) {
+      console.log(`Sale ${client.getCreatedSaleId(receipt)} created`);
+    }
+  });
+
+gotchiswapTask(
+  "sale:list",
+  "Lists the sales of a seller, the offers made to a buyer, or the open sales"
+)
+  .addOptionalParam("seller", "Address of the seller")
+  .addOptionalParam("buyer", "Address of the buyer")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const sales = args.seller
+      ? await client.getSellerSales(args.seller)
+      : await client.getBuyerOffers(args.buyer ?? ZeroAddress);
+    if (sales.length === 0) {
+      console.log("No sales found");
+    }
+    sales.forEach(printSale);
+  });
+
+gotchiswapTask("sale:abort", "Aborts a sale of the signer by ID")
+  .addPositionalParam("id", "ID of the sale")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const id = BigInt(args.id);
+    await submit(
+      `Abort of sale ${id}`,
+      await client.prepareAbortSale(id),
+      args.dryRun
+    );
+  });
+
+gotchiswapTask(
+  "sale:conclude",
+  "Concludes a sale offered to the signer, or an open sale, by ID"
+)
+  .addPositionalParam("id", "ID of the sale")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const id = BigInt(args.id);
+    await approve(client, await client.getPayment(id), args.dryRun);
+    await submit(
+      `Conclusion of sale ${id}`,
+      await client.prepareConcludeSale(id),
+      args.dryRun
+    );
+  });
+
+module.exports = { readSale };
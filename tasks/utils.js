@@ -0,0 +1,128 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { GotchiswapClient, AssetClass } = require("../sdk");
+
+const CLASS_NAMES = Object.keys(AssetClass);
+
+/**
+ * Declares a task acting on a Gotchiswap deployment.
+ * Adds the address of the proxy and the dry-run flag to its parameters.
+ */
+function gotchiswapTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      "gotchiswap",
+      "Address of the Gotchiswap proxy (GOTCHISWAP_ADDRESS by default)"
+    )
+    .addFlag("dryRun", "Only simulate the transactions");
+}
+
+/**
+ * Gets a client of the Gotchiswap deployment, signing with the first
+ * account of the network.
+ * @returns {Promise<GotchiswapClient>}
+ */
+async function getClient(hre, { gotchiswap }) {
+  const address = gotchiswap ?? process.env.GOTCHISWAP_ADDRESS;
+  if (!address) {
+    throw new HardhatPluginError(
+      "gotchiswap",
+      "No Gotchiswap address, pass --gotchiswap or set GOTCHISWAP_ADDRESS"
+    );
+  }
+  const [signer] = await hre.ethers.getSigners();
+  return new GotchiswapClient(address, signer);
+}
+
+/**
+ * Simulates a prepared call, then sends it unless in dry-run mode.
+ * @param {string} label Description of the call, for the logs.
+ * @param {import("../sdk/client").PreparedCall} call
+ * @param {boolean} dryRun Whether to only simulate the call.
+ * @returns The receipt of the transaction, nothing in dry-run mode.
+ * @throws With the decoded revert reason if the simulation reverts.
+ */
+async function submit(label, { method, args }, dryRun) {
+  try {
+    await method.staticCall(...args);
+  } catch (error) {
+    const reason = getRevertReason(error, method._contract.interface);
+    throw new HardhatPluginError(
+      "gotchiswap",
+      `${label} would revert: ${reason}`
+    );
+  }
+  console.log(`${label}: simulation succeeded`);
+  if (dryRun) {
+    return;
+  }
+
+  const tx = await method(...args);
+  console.log(`${label}: sent in ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`${label}: mined in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+/**
+ * Decodes the reason of a reverted call.
+ * Local networks return the raw revert data, decoded with the interface of
+ * the contract called.
+ * @param {any} error
+ * @param {import("ethers").Interface} iface
+ */
+function getRevertReason(error, iface) {
+  if (error.reason) {
+    return error.reason;
+  }
+  let revert = error.revert;
+  if (!revert && typeof error.data === "string") {
+    try {
+      revert = iface.parseError(error.data);
+    } catch {}
+  }
+  if (revert) {
+    return revert.name === "Error"
+      ? revert.args[0]
+      : `${revert.name}(${revert.args.join(", ")})`;
+  }
+  return error.shortMessage ?? error.message;
+}
+
+/**
+ * Parses an asset class from its name, case insensitive.
+ */
+function parseAssetClass(name) {
+  const assetClass = AssetClass[String(name).toUpperCase()];
+  if (assetClass === undefined) {
+    throw new HardhatPluginError(
+      "gotchiswap",
+      `Unknown asset class ${name}, expected one of ${CLASS_NAMES.join(", ")}`
+    );
+  }
+  return assetClass;
+}
+
+/**
+ * Formats an asset for the logs, like "ERC721 <contract> #4895 x1".
+ * Amounts are in the smallest unit of the token.
+ */
+function formatAsset(asset) {
+  const name = CLASS_NAMES[asset.class];
+  if (asset.class === AssetClass.NATIVE) {
+    return `${name} ${asset.qty}`;
+  }
+  if (asset.class === AssetClass.ERC20) {
+    return `${name} ${asset.addr} ${asset.qty}`;
+  }
+  return `${name} ${asset.addr} #${asset.id} x${asset.qty}`;
+}
+
+module.exports = {
+  gotchiswapTask,
+  getClient,
+  submit,
+  getRevertReason,
+  parseAssetClass,
+  formatAsset,
+};
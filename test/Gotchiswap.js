@@ -1,32 +1,92 @@
 const {
   time,
   loadFixture,
+  impersonateAccount,
+  setBalance,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const aavegotchi_abi = require("./aavegotchi.json");
 const erc20_abi = require("./erc20.json");
 const wearables_abi = require("./wearables.json");
+const {
+  SALE_TYPES,
+  AssetClass,
+  getDomain,
+  buildSale,
+  signSale,
+} = require("../scripts/signedSales");
+const { deployExtensions, getGotchiswapAbi } = require("../scripts/extensions");
 
 const hre = require("hardhat");
 
+// Runs the suite against the Aavegotchi contracts on a Polygon mainnet fork,
+// see the hardhat network in hardhat.config.js
+const FORK = !!process.env.FORK;
+
 const MAX_UINT256 = 2n ** 256n - 1n;
 const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
+// overloads taking a deadline need their full signature with ethers v6
+const CREATE_SALE_WITH_DEADLINE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256)";
+const CREATE_OPEN_SALE_WITH_DEADLINE =
+  "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256)";
+const CREATE_PARTIAL_SALE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool)";
+const CREATE_OPEN_PARTIAL_SALE =
+  "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)";
+const CONCLUDE_SALE_PARTIALLY = "concludeSale(uint256,uint256)";
+const CONCLUDE_SALE_BY_ID_PARTIALLY = "concludeSaleById(uint256,uint256)";
+const CREATE_SNAPSHOT_SALE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address,uint256,bool,bool)";
+// and so do the other overloads when native value is sent
+const CREATE_SALE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)";
+const CONCLUDE_SALE = "concludeSale(uint256)";
 
 describe("Gotchiswap", function () {
-  // We define a fixture to reuse the same setup in every test.
-  // We use loadFixture to run this setup once, snapshot that state,
-  // and reset Hardhat Network to that snapshot in every test.
-  async function deployGotchiswapFixture() {
-    const GhstAddress = "0x385Eeac5cB85A38A9a07A70c73e0a3271CfB54A7";
-    const GltrAddress = "0x3801C3B3B5c98F88a9c9005966AA96aa440B9Afc";
-    const AavegotchiAddress = "0x86935F11C86623deC8a25696E1C19a8659CbF95d";
-    const WearablesAddress = "0x58de9AaBCaeEC0f69883C94318810ad79Cc6a44f";
-    const AdminAddress = "0x43FF4C088df0A425d1a519D3030A1a3DFff05CfD";
+  // Gotchiswap forwards the calls it does not implement to its extensions,
+  // so the proxy is attached to the functions of all of them.
+  async function withExtensions(proxy) {
+    return hre.ethers.getContractAt(await getGotchiswapAbi(hre), proxy.target);
+  }
 
-    // Contracts are deployed using the first signer/account by default
-    const [owner, otherAccount] = await hre.ethers.getSigners();
+  // Deploys local mocks of the Aavegotchi contracts, GHST and GLTR, and
+  // gives their gotchis, wearables and tokens to local accounts.
+  async function deployMockTokens() {
+    const [, , testAdmin, testUser] = await hre.ethers.getSigners();
+
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const ghst = await MockERC20.deploy();
+    const gltr = await MockERC20.deploy();
+    const aavegotchi = await (
+      await hre.ethers.getContractFactory("MockAavegotchi")
+    ).deploy(ghst.target);
+    const wearables = await (
+      await hre.ethers.getContractFactory("MockWearables")
+    ).deploy(aavegotchi.target);
+
+    await ghst.mint(testAdmin.address, 1000000000000000000000000n);
+    await ghst.mint(testUser.address, 10000000000000000000000n);
+    await gltr.mint(testAdmin.address, 1000000000000000000000000000n);
+    for (const gotchiId of [4895, 15434, 9121]) {
+      await aavegotchi.mint(testAdmin.address, gotchiId);
+    }
+    await aavegotchi.mint(testUser.address, 10356);
+    // gotchi 4895 wears the wearables 350 and 292
+    const equipped = Array(16).fill(0);
+    equipped[0] = 350;
+    equipped[4] = 292;
+    await aavegotchi.setEquippedWearables(4895, equipped);
+    await wearables.mint(testAdmin.address, 350, 5);
+    await wearables.mint(testUser.address, 292, 5);
+
+    return { aavegotchi, wearables, ghst, gltr, testAdmin, testUser };
+  }
 
+  // Impersonates Polygon accounts holding the gotchis, wearables and tokens
+  // used, on a mainnet fork.
+  async function impersonateForkAccounts() {
     await hre.network.provider.request({
       method: "hardhat_impersonateAccount",
       params: ["0x43FF4C088df0A425d1a519D3030A1a3DFff05CfD"],
@@ -47,21 +107,48 @@ describe("Gotchiswap", function () {
 
     const aavegotchi = await hre.ethers.getContractAt(
       aavegotchi_abi,
-      AavegotchiAddress
+      "0x86935F11C86623deC8a25696E1C19a8659CbF95d"
     );
     const wearables = await hre.ethers.getContractAt(
       wearables_abi,
-      WearablesAddress
+      "0x58de9AaBCaeEC0f69883C94318810ad79Cc6a44f"
+    );
+    const ghst = await hre.ethers.getContractAt(
+      erc20_abi,
+      "0x385Eeac5cB85A38A9a07A70c73e0a3271CfB54A7"
     );
-    const ghst = await hre.ethers.getContractAt(erc20_abi, GhstAddress);
-    const gltr = await hre.ethers.getContractAt(erc20_abi, GltrAddress);
+    const gltr = await hre.ethers.getContractAt(
+      erc20_abi,
+      "0x3801C3B3B5c98F88a9c9005966AA96aa440B9Afc"
+    );
+
+    return { aavegotchi, wearables, ghst, gltr, testAdmin, testUser };
+  }
+
+  // We define a fixture to reuse the same setup in every test.
+  // We use loadFixture to run this setup once, snapshot that state,
+  // and reset Hardhat Network to that snapshot in every test.
+  async function deployGotchiswapFixture() {
+    // Contracts are deployed using the first signer/account by default
+    const [owner, otherAccount] = await hre.ethers.getSigners();
 
+    const { aavegotchi, wearables, ghst, gltr, testAdmin, testUser } = FORK
+      ? await impersonateForkAccounts()
+      : await deployMockTokens();
+    const GhstAddress = ghst.target;
+    const GltrAddress = gltr.target;
+    const AavegotchiAddress = aavegotchi.target;
+    const WearablesAddress = wearables.target;
+    const AdminAddress = testAdmin.address;
+
+    const extension = await deployExtensions(hre);
     const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
-    const gotchiswap = await hre.upgrades.deployProxy(Gotchiswap, [
-      AdminAddress,
-    ]);
+    const proxy = await hre.upgrades.deployProxy(Gotchiswap, [AdminAddress], {
+      constructorArgs: [extension],
+    });
 
-    await gotchiswap.waitForDeployment();
+    await proxy.waitForDeployment();
+    const gotchiswap = await withExtensions(proxy);
 
     const currentImplAddress = await upgrades.erc1967.getImplementationAddress(
       gotchiswap.target
@@ -113,7 +200,7 @@ describe("Gotchiswap", function () {
     });
   });
   describe("Test environment", function () {
-    it("Should be a fork of mainnet", async function () {
+    it("Should give the gotchi traded to the test admin", async function () {
       const { aavegotchi, testAdmin } = await loadFixture(
         deployGotchiswapFixture
       );
@@ -202,12 +289,12 @@ describe("Gotchiswap", function () {
       expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
 
       // check sale has unregistered
-      await expect(
-        gotchiswap.getSellerSalesCount(testAdmin.address)
-      ).to.be.revertedWith("Gotchiswap: No sales found for the seller");
-      await expect(
-        gotchiswap.getBuyerOffersCount(testAdmin.address)
-      ).to.be.revertedWith("Gotchiswap: No offers found for the buyer");
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        0
+      );
+      expect(await gotchiswap.getBuyerOffersCount(testAdmin.address)).to.equal(
+        0
+      );
     });
     it("Should be able to sell a gotchi to someone else", async function () {
       const {
@@ -363,53 +450,89 @@ describe("Gotchiswap", function () {
       );
       expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
     });
-  });
-  describe("Input requirements", function () {
-    it("Should revert if amount is 0", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
-        await loadFixture(deployGotchiswapFixture);
-      await expect(
-        gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [2],
-            [AavegotchiAddress],
-            [4895],
-            [1],
-            [0],
-            [GhstAddress],
-            [0],
-            [0n],
-            owner.address
-          )
-      ).to.be.revertedWith("Gotchiswap: Amount must be greater than 0");
+    it("Should be able to sell a gotchi to anyone with an open sale", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      await gotchiswap
+        .connect(testAdmin)
+        .createOpenSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n]
+        );
+
+      // check gotchi is transferred to contract
+      expect(await aavegotchi.ownerOf(4895)).to.equal(gotchiswap.target);
+      // check sale has registered as open
+      expect(await gotchiswap.getOpenSalesCount()).to.equal(1);
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(0);
+
+      // test wrong sale id
+      await expect(gotchiswap.concludeOpenSale(1)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
+      await gotchiswap.concludeOpenSale(0);
+
+      // check gotchi has transferred to buyer
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      // check money has transferred to seller
+      expect(await ghst.balanceOf(owner.address)).to.equal(0);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 100000000000000000000n
+      );
+      // check sale has unregistered
+      expect(await gotchiswap.getOpenSalesCount()).to.equal(0);
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        0
+      );
     });
-    it("Should revert if ERC721 amount is not 1", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+    it("Should not be able to conclude a designated sale as an open sale", async function () {
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
         await loadFixture(deployGotchiswapFixture);
-      await expect(
-        gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [2],
-            [AavegotchiAddress],
-            [4895],
-            [99],
-            [0],
-            [GhstAddress],
-            [0],
-            [100000000000000000000n],
-            owner.address
-          )
-      ).to.be.revertedWith("Gotchiswap: Amount for ERC721 token must be 1");
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+      await expect(gotchiswap.concludeOpenSale(0)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
     });
-    it("Should revert if buyer address is not valid", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
-        await loadFixture(deployGotchiswapFixture);
+    it("Should be able to conclude a sale before its deadline", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      const deadline = (await time.latest()) + 3600;
       await expect(
         gotchiswap
           .connect(testAdmin)
-          .createSale(
+          [CREATE_SALE_WITH_DEADLINE](
             [2],
             [AavegotchiAddress],
             [4895],
@@ -418,91 +541,36 @@ describe("Gotchiswap", function () {
             [GhstAddress],
             [0],
             [100000000000000000000n],
-            ADDRESS_ZERO
-          )
-      ).to.be.revertedWith("Gotchiswap: Invalid buyer address");
-    });
-    it("Should revert if arrays are not the same length", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
-        await loadFixture(deployGotchiswapFixture);
-      await expect(
-        gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [2],
-            [AavegotchiAddress],
-            [4895, 9121],
-            [1],
-            [0],
-            [GhstAddress],
-            [0],
-            [100000000000000000000n],
-            owner.address
-          )
-      ).to.be.revertedWith("Gotchiswap: Assets parameters length should all be the same");
-    });
-    it("Should revert if arrays are empty", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
-        await loadFixture(deployGotchiswapFixture);
-      await expect(
-        gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [],
-            [],
-            [],
-            [],
-            [0],
-            [GhstAddress],
-            [0],
-            [100000000000000000000n],
-            owner.address
+            owner.address,
+            deadline
           )
-      ).to.be.revertedWith("Gotchiswap: Assets list cannot be empty");
+      )
+        .to.emit(gotchiswap, "CreateSale")
+        .withArgs(
+          testAdmin.address,
+          0,
+          anyValue,
+          anyValue,
+          owner.address,
+          deadline
+        );
+      const sale = await gotchiswap.getSale(testAdmin.address, 0);
+      expect(sale.deadline).to.equal(deadline);
+      // cannot be reclaimed before the deadline
       await expect(
-        gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [2],
-            [AavegotchiAddress],
-            [4895, 9121],
-            [1],
-            [],
-            [],
-            [],
-            [],
-            owner.address
-          )
-      ).to.be.revertedWith("Gotchiswap: Prices list cannot be empty");
-    });
-    it("Should revert if ERC20 id is not 0", async function () {
-      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
-        await loadFixture(deployGotchiswapFixture);
-      await gotchiswap
-          .connect(testAdmin)
-          .createSale(
-            [2],
-            [AavegotchiAddress],
-            [4895],
-            [1],
-            [0],
-            [GhstAddress],
-            [99],
-            [100000000000000000000n],
-            owner.address
-          );
-      await expect(gotchiswap.concludeSale(0))
-        .to.be.revertedWith("Gotchiswap: Id for ERC20 must be set to 0");
+        gotchiswap.reclaimExpiredSale(testAdmin.address, 0)
+      ).to.be.revertedWith("Gotchiswap: Sale has not expired");
+      await time.increaseTo(deadline - 1);
+      await gotchiswap.concludeSale(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
     });
-  });
-  describe("External view functions", function () {
-    it("Should be able to retrieve sale details from buyer", async function () {
+    it("Should not be able to conclude an expired sale", async function () {
       const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
         await loadFixture(deployGotchiswapFixture);
-      // create dummy sales
+      const deadline = (await time.latest()) + 3600;
       await gotchiswap
         .connect(testAdmin)
-        .createSale(
+        [CREATE_SALE_WITH_DEADLINE](
           [2],
           [AavegotchiAddress],
           [4895],
@@ -511,11 +579,12 @@ describe("Gotchiswap", function () {
           [GhstAddress],
           [0],
           [100000000000000000000n],
-          testAdmin.address
+          owner.address,
+          deadline
         );
       await gotchiswap
         .connect(testAdmin)
-        .createSale(
+        [CREATE_OPEN_SALE_WITH_DEADLINE](
           [2],
           [AavegotchiAddress],
           [15434],
@@ -524,14 +593,47 @@ describe("Gotchiswap", function () {
           [GhstAddress],
           [0],
           [100000000000000000000n],
-          testAdmin.address
+          deadline
+        );
+      await time.increaseTo(deadline + 1);
+      await expect(gotchiswap.concludeSale(0)).to.be.revertedWith(
+        "Gotchiswap: Sale has expired"
+      );
+      await expect(gotchiswap.concludeOpenSale(1)).to.be.revertedWith(
+        "Gotchiswap: Sale has expired"
+      );
+    });
+    it("Should let anyone reclaim an expired sale for the seller", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        otherAccount,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      const deadline = (await time.latest()) + 3600;
+      await gotchiswap
+        .connect(testAdmin)
+        [CREATE_SALE_WITH_DEADLINE](
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address,
+          deadline
         );
       await gotchiswap
         .connect(testAdmin)
         .createSale(
           [2],
           [AavegotchiAddress],
-          [9121],
+          [15434],
           [1],
           [0],
           [GhstAddress],
@@ -539,26 +641,2772 @@ describe("Gotchiswap", function () {
           [100000000000000000000n],
           owner.address
         );
-
-      // abort a sale to have id > index for seller
-      await gotchiswap.connect(testAdmin).abortSale(0);
-
-      // check sales have registered for both buyer and seller
+      await time.increase(3601);
+      // a sale without deadline never expires
+      await expect(
+        gotchiswap.reclaimExpiredSale(testAdmin.address, 1)
+      ).to.be.revertedWith("Gotchiswap: Sale has not expired");
+      await expect(
+        gotchiswap.reclaimExpiredSale(testAdmin.address, 2)
+      ).to.be.revertedWith("Gotchiswap: Sale not found");
+      // reclaim as a keeper
+      await expect(
+        gotchiswap
+          .connect(otherAccount)
+          .reclaimExpiredSale(testAdmin.address, 0)
+      )
+        .to.emit(gotchiswap, "AbortSale")
+        .withArgs(testAdmin.address, 0, anyValue);
+      // check that the gotchi is returned to the seller
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
+      // check sale has unregistered for both buyer and seller
       expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
-        2
+        1
       );
       expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(1);
-
-      // retrieve sale details
-      const { seller, id } = await gotchiswap.getOffer(owner.address, 0);
+      expect(await gotchiswap.getSaleId(testAdmin.address, 0)).to.equal(1);
+    });
+    it("Should be able to abort and conclude sales by ID", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        otherAccount,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      for (const gotchiId of [4895, 15434, 9121]) {
+        await gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [gotchiId],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address
+          );
+      }
+      // only the seller can abort and only the buyer can conclude
+      await expect(gotchiswap.abortSaleById(0)).to.be.revertedWith(
+        "Gotchiswap: Only the seller can abort the sale"
+      );
+      await expect(
+        gotchiswap.connect(otherAccount).concludeSaleById(0)
+      ).to.be.revertedWith("Gotchiswap: Only the buyer can conclude the sale");
+      await expect(gotchiswap.concludeSaleById(3)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
+
+      await gotchiswap.connect(testAdmin).abortSaleById(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
+      // later sales have shifted but are still found by ID
+      await gotchiswap.concludeSaleById(2);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(owner.address);
+      await expect(gotchiswap.concludeSaleById(2)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        1
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(1);
+      expect(await gotchiswap.getSaleId(testAdmin.address, 0)).to.equal(1);
+    });
+  });
+  describe("Paginated views", function () {
+    async function createSalesFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        GhstAddress,
+        AavegotchiAddress,
+        WearablesAddress,
+        owner,
+        testAdmin,
+      } = fixture;
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createOpenSale(
+          [2],
+          [AavegotchiAddress],
+          [15434],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n]
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [1],
+          [WearablesAddress],
+          [350],
+          [2],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+      return fixture;
+    }
+
+    it("Should page through the sales of a seller and the offers to a buyer", async function () {
+      const { gotchiswap, owner, testAdmin } = await loadFixture(
+        createSalesFixture
+      );
+      const firstPage = await gotchiswap.getSellerSales(
+        testAdmin.address,
+        0,
+        2
+      );
+      expect(firstPage.map((details) => details.sale.id)).to.deep.equal([
+        0n,
+        1n,
+      ]);
+      expect(firstPage[0].seller).to.equal(testAdmin.address);
+      expect(firstPage[0].sale.assets[0].id).to.equal(4895);
+      expect(firstPage[0].sale.buyer).to.equal(owner.address);
+      const lastPage = await gotchiswap.getSellerSales(testAdmin.address, 2, 2);
+      expect(lastPage.map((details) => details.sale.id)).to.deep.equal([2n]);
+      expect(
+        await gotchiswap.getSellerSales(testAdmin.address, 3, 2)
+      ).to.deep.equal([]);
+
+      const offers = await gotchiswap.getBuyerOffers(owner.address, 0, 10);
+      expect(offers.map((details) => details.sale.id)).to.deep.equal([0n, 2n]);
+      const openSales = await gotchiswap.getBuyerOffers(ADDRESS_ZERO, 0, 10);
+      expect(openSales.map((details) => details.sale.id)).to.deep.equal([1n]);
+      expect(
+        await gotchiswap.getBuyerOffers(testAdmin.address, 0, 10)
+      ).to.deep.equal([]);
+    });
+    it("Should move the later sales one index down when a sale is removed", async function () {
+      const { gotchiswap, testAdmin } = await loadFixture(createSalesFixture);
+      const ids = (page) => page.map((details) => details.sale.id);
+      expect(
+        ids(await gotchiswap.getSellerSales(testAdmin.address, 0, 1))
+      ).to.deep.equal([0n]);
+
+      // the next page starts one sale later once an earlier sale is removed
+      await gotchiswap.connect(testAdmin).abortSaleById(0);
+      expect(
+        ids(await gotchiswap.getSellerSales(testAdmin.address, 1, 1))
+      ).to.deep.equal([2n]);
+      expect(
+        ids(await gotchiswap.getSellerSales(testAdmin.address, 0, 10))
+      ).to.deep.equal([1n, 2n]);
+    });
+    it("Should search the active sales by asset contract", async function () {
+      const { gotchiswap, AavegotchiAddress, testAdmin } = await loadFixture(
+        createSalesFixture
+      );
+      let [page, nextId] = await gotchiswap.getActiveSales(
+        0,
+        10,
+        AavegotchiAddress,
+        false
+      );
+      expect(page.map((details) => details.sale.id)).to.deep.equal([0n, 1n]);
+      expect(nextId).to.equal(0);
+
+      [page] = await gotchiswap.getActiveSales(0, 10, AavegotchiAddress, true);
+      expect(page.map((details) => details.sale.id)).to.deep.equal([1n]);
+
+      // scan the sales two IDs at a time
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      [page, nextId] = await gotchiswap.getActiveSales(
+        0,
+        2,
+        ADDRESS_ZERO,
+        false
+      );
+      expect(page.map((details) => details.sale.id)).to.deep.equal([0n]);
+      expect(nextId).to.equal(2);
+      [page, nextId] = await gotchiswap.getActiveSales(
+        nextId,
+        2,
+        ADDRESS_ZERO,
+        false
+      );
+      expect(page.map((details) => details.sale.id)).to.deep.equal([2n]);
+      expect(nextId).to.equal(0);
+    });
+  });
+  describe("Counter-offers", function () {
+    async function createSaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
+        fixture;
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+      return fixture;
+    }
+
+    it("Should be able to conclude a sale at the counter-offer prices", async function () {
+      const { gotchiswap, aavegotchi, ghst, GhstAddress, owner, testAdmin } =
+        await loadFixture(createSaleFixture);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      await expect(
+        gotchiswap.createCounterOffer(
+          0,
+          [0],
+          [GhstAddress],
+          [0],
+          [50000000000000000000n]
+        )
+      )
+        .to.emit(gotchiswap, "CreateCounterOffer")
+        .withArgs(0, owner.address, anyValue);
+      const counterOffer = await gotchiswap.getCounterOffer(0);
+      expect(counterOffer.priceContracts[0]).to.equal(GhstAddress);
+      expect(counterOffer.priceAmounts[0]).to.equal(50000000000000000000n);
+
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .acceptCounterOffer(
+            0,
+            [0],
+            [GhstAddress],
+            [0],
+            [50000000000000000000n]
+          )
+      )
+        .to.emit(gotchiswap, "AcceptCounterOffer")
+        .withArgs(0, testAdmin.address, anyValue)
+        .and.to.emit(gotchiswap, "ConcludeSale");
+
+      // check gotchi has transferred to buyer
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      // check the counter-offer price has transferred to seller
+      expect(await ghst.balanceOf(owner.address)).to.equal(
+        50000000000000000000n
+      );
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 50000000000000000000n
+      );
+      // check sale and counter-offer have unregistered
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(0);
+      await expect(gotchiswap.getCounterOffer(0)).to.be.revertedWith(
+        "Gotchiswap: No counter-offer found for the sale"
+      );
+    });
+    it("Should not accept a counter-offer replaced before the seller accepts it", async function () {
+      const { gotchiswap, aavegotchi, GhstAddress, owner, testAdmin } =
+        await loadFixture(createSaleFixture);
+      await gotchiswap.createCounterOffer(
+        0,
+        [0],
+        [GhstAddress],
+        [0],
+        [50000000000000000000n]
+      );
+      // the buyer lowers the counter-offer just before the seller accepts it
+      await gotchiswap.createCounterOffer(0, [0], [GhstAddress], [0], [1n]);
+
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .acceptCounterOffer(
+            0,
+            [0],
+            [GhstAddress],
+            [0],
+            [50000000000000000000n]
+          )
+      ).to.be.revertedWith(
+        "Gotchiswap: Counter-offer does not match the prices accepted"
+      );
+      expect(await aavegotchi.ownerOf(4895)).to.equal(gotchiswap.target);
+
+      // the seller can still accept the new counter-offer knowingly
+      await gotchiswap
+        .connect(testAdmin)
+        .acceptCounterOffer(0, [0], [GhstAddress], [0], [1n]);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should keep the sale prices after a counter-offer is rejected", async function () {
+      const { gotchiswap, aavegotchi, ghst, GhstAddress, owner, testAdmin } =
+        await loadFixture(createSaleFixture);
+      await gotchiswap.createCounterOffer(
+        0,
+        [0],
+        [GhstAddress],
+        [0],
+        [50000000000000000000n]
+      );
+      await expect(gotchiswap.connect(testAdmin).rejectCounterOffer(0))
+        .to.emit(gotchiswap, "RejectCounterOffer")
+        .withArgs(0, testAdmin.address);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .acceptCounterOffer(
+            0,
+            [0],
+            [GhstAddress],
+            [0],
+            [50000000000000000000n]
+          )
+      ).to.be.revertedWith("Gotchiswap: No counter-offer found for the sale");
+
+      await gotchiswap.concludeSale(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      expect(await ghst.balanceOf(owner.address)).to.equal(0);
+    });
+    it("Should let the buyer replace and abort a counter-offer", async function () {
+      const { gotchiswap, GhstAddress, GltrAddress, owner, testAdmin } =
+        await loadFixture(createSaleFixture);
+      await gotchiswap.createCounterOffer(
+        0,
+        [0],
+        [GhstAddress],
+        [0],
+        [50000000000000000000n]
+      );
+      await gotchiswap.createCounterOffer(
+        0,
+        [0, 0],
+        [GhstAddress, GltrAddress],
+        [0, 0],
+        [40000000000000000000n, 1000000000000000000n]
+      );
+      const counterOffer = await gotchiswap.getCounterOffer(0);
+      expect(counterOffer.priceAmounts).to.deep.equal([
+        40000000000000000000n,
+        1000000000000000000n,
+      ]);
+
+      await expect(gotchiswap.abortCounterOffer(0))
+        .to.emit(gotchiswap, "AbortCounterOffer")
+        .withArgs(0, owner.address);
+      await expect(gotchiswap.getCounterOffer(0)).to.be.revertedWith(
+        "Gotchiswap: No counter-offer found for the sale"
+      );
+    });
+    it("Should only let the buyer and seller manage counter-offers", async function () {
+      const { gotchiswap, GhstAddress, otherAccount, testAdmin } =
+        await loadFixture(createSaleFixture);
+      await expect(
+        gotchiswap
+          .connect(otherAccount)
+          .createCounterOffer(0, [0], [GhstAddress], [0], [1n])
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the buyer can make a counter-offer"
+      );
+      await gotchiswap.createCounterOffer(0, [0], [GhstAddress], [0], [1n]);
+      await expect(
+        gotchiswap.acceptCounterOffer(0, [0], [GhstAddress], [0], [1n])
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the seller can accept a counter-offer"
+      );
+      await expect(gotchiswap.rejectCounterOffer(0)).to.be.revertedWith(
+        "Gotchiswap: Only the seller can reject a counter-offer"
+      );
+      await expect(
+        gotchiswap.connect(testAdmin).abortCounterOffer(0)
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the buyer can abort a counter-offer"
+      );
+    });
+    it("Should clear the counter-offer when the sale is aborted", async function () {
+      const { gotchiswap, GhstAddress, testAdmin } = await loadFixture(
+        createSaleFixture
+      );
+      await gotchiswap.createCounterOffer(0, [0], [GhstAddress], [0], [1n]);
+      await gotchiswap.connect(testAdmin).abortSale(0);
+      await expect(gotchiswap.getCounterOffer(0)).to.be.revertedWith(
+        "Gotchiswap: No counter-offer found for the sale"
+      );
+      await expect(
+        gotchiswap.createCounterOffer(0, [0], [GhstAddress], [0], [1n])
+      ).to.be.revertedWith("Gotchiswap: Sale not found");
+    });
+  });
+  describe("Bids", function () {
+    async function createBidFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, GhstAddress, AavegotchiAddress, testAdmin } = fixture;
+      await gotchiswap.createBid(
+        [2],
+        [AavegotchiAddress],
+        [4895],
+        [1],
+        [0],
+        [GhstAddress],
+        [0],
+        [50000000000000000000n],
+        testAdmin.address
+      );
+      return fixture;
+    }
+
+    it("Should escrow the payment of a bid", async function () {
+      const {
+        gotchiswap,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap.createBid(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [50000000000000000000n],
+          testAdmin.address
+        )
+      )
+        .to.emit(gotchiswap, "CreateBid")
+        .withArgs(owner.address, 0, anyValue, anyValue, testAdmin.address);
+
+      expect(await ghst.balanceOf(gotchiswap.target)).to.equal(
+        50000000000000000000n
+      );
+      expect(await gotchiswap.getBidderBidsCount(owner.address)).to.equal(1);
+      expect(await gotchiswap.getSellerBidsCount(testAdmin.address)).to.equal(
+        1
+      );
+      expect(await gotchiswap.getBidderBid(owner.address, 0)).to.equal(0);
+      expect(await gotchiswap.getSellerBid(testAdmin.address, 0)).to.equal(0);
+      const bid = await gotchiswap.getBid(0);
+      expect(bid.assetIds[0]).to.equal(4895);
+      expect(bid.priceAmounts[0]).to.equal(50000000000000000000n);
+      expect(bid.bidder).to.equal(owner.address);
+      expect(bid.seller).to.equal(testAdmin.address);
+    });
+    it("Should be able to accept a bid", async function () {
+      const { gotchiswap, aavegotchi, ghst, owner, testAdmin } =
+        await loadFixture(createBidFixture);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      await expect(gotchiswap.connect(testAdmin).acceptBid(0))
+        .to.emit(gotchiswap, "AcceptBid")
+        .withArgs(testAdmin.address, anyValue);
+
+      // check gotchi has transferred to bidder
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      // check escrowed payment has transferred to seller
+      expect(await ghst.balanceOf(gotchiswap.target)).to.equal(0);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 50000000000000000000n
+      );
+      // check bid has unregistered
+      expect(await gotchiswap.getBidderBidsCount(owner.address)).to.equal(0);
+      expect(await gotchiswap.getSellerBidsCount(testAdmin.address)).to.equal(
+        0
+      );
+      await expect(gotchiswap.getBid(0)).to.be.revertedWith(
+        "Gotchiswap: Bid not found"
+      );
+    });
+    it("Should be able to cancel a bid", async function () {
+      const { gotchiswap, ghst, owner, testAdmin } = await loadFixture(
+        createBidFixture
+      );
+      await expect(gotchiswap.cancelBid(0))
+        .to.emit(gotchiswap, "CancelBid")
+        .withArgs(owner.address, anyValue);
+
+      // check payment has returned to bidder
+      expect(await ghst.balanceOf(owner.address)).to.equal(
+        100000000000000000000n
+      );
+      expect(await gotchiswap.getSellerBidsCount(testAdmin.address)).to.equal(
+        0
+      );
+      await expect(
+        gotchiswap.connect(testAdmin).acceptBid(0)
+      ).to.be.revertedWith("Gotchiswap: Only the seller can accept the bid");
+    });
+    it("Should only let the seller accept and the bidder cancel a bid", async function () {
+      const { gotchiswap, otherAccount, testAdmin } = await loadFixture(
+        createBidFixture
+      );
+      await expect(
+        gotchiswap.connect(otherAccount).acceptBid(0)
+      ).to.be.revertedWith("Gotchiswap: Only the seller can accept the bid");
+      await expect(
+        gotchiswap.connect(testAdmin).cancelBid(0)
+      ).to.be.revertedWith("Gotchiswap: Only the bidder can cancel the bid");
+    });
+  });
+  describe("Protocol fee", function () {
+    async function setFeeFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
+        fixture;
+      await gotchiswap.connect(testAdmin).changeFee(250);
+      await gotchiswap
+        .connect(testAdmin)
+        .changeFeeRecipient(fixture.otherAccount.address);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+      return fixture;
+    }
+
+    it("Should take the fee from the ERC20 prices of a sale", async function () {
+      const { gotchiswap, aavegotchi, ghst, owner, otherAccount, testAdmin } =
+        await loadFixture(setFeeFixture);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      const { proceeds, fees } = await gotchiswap.getSaleProceeds(0);
+      expect(proceeds).to.deep.equal([97500000000000000000n]);
+      expect(fees).to.deep.equal([2500000000000000000n]);
+
+      await gotchiswap.concludeSale(0);
+
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      expect(await ghst.balanceOf(owner.address)).to.equal(0);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 97500000000000000000n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        2500000000000000000n
+      );
+    });
+    it("Should cap the fee taken in a token", async function () {
+      const { gotchiswap, ghst, GhstAddress, otherAccount, testAdmin } =
+        await loadFixture(setFeeFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .changeFeeCap(GhstAddress, 1000000000000000000n)
+      )
+        .to.emit(gotchiswap, "ChangeFeeCap")
+        .withArgs(GhstAddress, 1000000000000000000n);
+      const { proceeds } = await gotchiswap.getSaleProceeds(0);
+      expect(proceeds).to.deep.equal([99000000000000000000n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        1000000000000000000n
+      );
+    });
+    it("Should take the fee from the escrowed payment of a bid", async function () {
+      const {
+        gotchiswap,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        otherAccount,
+        testAdmin,
+      } = await loadFixture(setFeeFixture);
+      await gotchiswap.connect(testAdmin).abortSale(0);
+      await gotchiswap.createBid(
+        [2],
+        [AavegotchiAddress],
+        [4895],
+        [1],
+        [0],
+        [GhstAddress],
+        [0],
+        [50000000000000000000n],
+        testAdmin.address
+      );
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      await gotchiswap.connect(testAdmin).acceptBid(0);
+
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 48750000000000000000n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        1250000000000000000n
+      );
+      expect(await ghst.balanceOf(gotchiswap.target)).to.equal(0);
+    });
+    it("Should charge the flat fee to the buyer of a trade without ERC20 prices", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        wearables,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        WearablesAddress,
+        otherAccount,
+        testAdmin,
+        testUser,
+      } = await loadFixture(setFeeFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .changeFlatFee(GhstAddress, 1000000000000000000n)
+      )
+        .to.emit(gotchiswap, "ChangeFlatFee")
+        .withArgs(GhstAddress, 1000000000000000000n);
+
+      await aavegotchi
+        .connect(testUser)
+        .setApprovalForAll(gotchiswap.target, true);
+      await gotchiswap
+        .connect(testUser)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [10356],
+          [1],
+          [1],
+          [WearablesAddress],
+          [350],
+          [1],
+          testAdmin.address
+        );
+      const wearableBalanceBefore = await wearables.balanceOf(
+        testUser.address,
+        350
+      );
+      await gotchiswap.connect(testAdmin).concludeSale(0);
+
+      expect(await aavegotchi.ownerOf(10356)).to.equal(testAdmin.address);
+      expect(await wearables.balanceOf(testUser.address, 350)).to.equal(
+        wearableBalanceBefore + 1n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        1000000000000000000n
+      );
+    });
+    it("Should only let the admin change the fee within the maximum", async function () {
+      const { gotchiswap, GhstAddress, owner, testAdmin } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      await expect(gotchiswap.changeFee(100)).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(
+        gotchiswap.changeFeeRecipient(owner.address)
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(gotchiswap.changeFeeCap(GhstAddress, 1n)).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(
+        gotchiswap.changeFlatFee(GhstAddress, 1n)
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(
+        gotchiswap.connect(testAdmin).changeFee(1001)
+      ).to.be.revertedWith("Gotchiswap: Fee is above the maximum");
+
+      await expect(gotchiswap.connect(testAdmin).changeFee(1000))
+        .to.emit(gotchiswap, "ChangeFee")
+        .withArgs(1000);
+      await expect(
+        gotchiswap.connect(testAdmin).changeFeeRecipient(owner.address)
+      )
+        .to.emit(gotchiswap, "ChangeFeeRecipient")
+        .withArgs(owner.address);
+      expect(await gotchiswap.feeBps()).to.equal(1000);
+      expect(await gotchiswap.feeRecipient()).to.equal(owner.address);
+    });
+  });
+  describe("Royalties", function () {
+    async function createRoyaltySaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        otherAccount,
+        testAdmin,
+      } = fixture;
+      // local token paying 5% royalties to otherAccount
+      const MockRoyaltyERC1155 = await hre.ethers.getContractFactory(
+        "MockRoyaltyERC1155"
+      );
+      const royaltyToken = await MockRoyaltyERC1155.deploy(
+        otherAccount.address,
+        500
+      );
+      await royaltyToken.waitForDeployment();
+      await royaltyToken.mint(testAdmin.address, 1, 2);
+      await royaltyToken
+        .connect(testAdmin)
+        .setApprovalForAll(gotchiswap.target, true);
+
+      // bundle of a royalty token and a gotchi, which pays no royalty
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [1, 2],
+          [royaltyToken.target, AavegotchiAddress],
+          [1, 4895],
+          [1, 1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+      return { ...fixture, royaltyToken };
+    }
+
+    it("Should not pay royalties unless enforced or opted in", async function () {
+      const { gotchiswap, ghst, otherAccount, testAdmin } = await loadFixture(
+        createRoyaltySaleFixture
+      );
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      const { royalties } = await gotchiswap.getSaleProceeds(0);
+      expect(royalties).to.deep.equal([0n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 100000000000000000000n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(0);
+    });
+    it("Should pay royalties on the share of the price of each asset when enforced", async function () {
+      const { gotchiswap, ghst, royaltyToken, owner, otherAccount, testAdmin } =
+        await loadFixture(createRoyaltySaleFixture);
+      await expect(gotchiswap.connect(testAdmin).enforceRoyalties(true))
+        .to.emit(gotchiswap, "ChangeRoyaltiesEnforced")
+        .withArgs(true);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      const { proceeds, royalties } = await gotchiswap.getSaleProceeds(0);
+      // 5% of half the price
+      expect(royalties).to.deep.equal([2500000000000000000n]);
+      expect(proceeds).to.deep.equal([97500000000000000000n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await royaltyToken.balanceOf(owner.address, 1)).to.equal(1);
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        2500000000000000000n
+      );
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 97500000000000000000n
+      );
+    });
+    it("Should pay royalties for sellers who opted in", async function () {
+      const { gotchiswap, ghst, otherAccount, testAdmin } = await loadFixture(
+        createRoyaltySaleFixture
+      );
+      await expect(gotchiswap.connect(testAdmin).optInRoyalties(true))
+        .to.emit(gotchiswap, "ChangeRoyaltiesOptIn")
+        .withArgs(testAdmin.address, true);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        2500000000000000000n
+      );
+    });
+    it("Should take royalties after the protocol fee", async function () {
+      const { gotchiswap, ghst, owner, otherAccount, testAdmin, testUser } =
+        await loadFixture(createRoyaltySaleFixture);
+      await gotchiswap.connect(testAdmin).enforceRoyalties(true);
+      await gotchiswap.connect(testAdmin).changeFee(250);
+      await gotchiswap.connect(testAdmin).changeFeeRecipient(testUser.address);
+      const feeBalanceBefore = await ghst.balanceOf(testUser.address);
+      const { proceeds, fees, royalties } = await gotchiswap.getSaleProceeds(0);
+      expect(fees).to.deep.equal([2500000000000000000n]);
+      expect(royalties).to.deep.equal([2500000000000000000n]);
+      expect(proceeds).to.deep.equal([95000000000000000000n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(testUser.address)).to.equal(
+        feeBalanceBefore + 2500000000000000000n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        2500000000000000000n
+      );
+      expect(await ghst.balanceOf(owner.address)).to.equal(0);
+    });
+    it("Should sell native value when royalties are enforced", async function () {
+      const { gotchiswap, ghst, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap.connect(testAdmin).enforceRoyalties(true);
+      await gotchiswap[CREATE_SALE](
+        [3],
+        [ADDRESS_ZERO],
+        [0],
+        [1000000000000000000n],
+        [0],
+        [GhstAddress],
+        [0],
+        [10000000000000000000n],
+        testAdmin.address,
+        { value: 1000000000000000000n }
+      );
+      const { royalties } = await gotchiswap.getSaleProceeds(0);
+      expect(royalties).to.deep.equal([0n]);
+
+      const balanceBefore = await ghst.balanceOf(owner.address);
+      await expect(
+        gotchiswap.connect(testAdmin).concludeSale(0)
+      ).to.changeEtherBalances(
+        [testAdmin, gotchiswap],
+        [1000000000000000000n, -1000000000000000000n]
+      );
+      expect(await ghst.balanceOf(owner.address)).to.equal(
+        balanceBefore + 10000000000000000000n
+      );
+    });
+    it("Should conclude sales whose royalty info reverts without royalties", async function () {
+      const { gotchiswap, ghst, royaltyToken, otherAccount, testAdmin } =
+        await loadFixture(createRoyaltySaleFixture);
+      await gotchiswap.connect(testAdmin).enforceRoyalties(true);
+      await royaltyToken.breakRoyaltyInfo(true, 0);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      const { royalties } = await gotchiswap.getSaleProceeds(0);
+      expect(royalties).to.deep.equal([0n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 100000000000000000000n
+      );
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(0);
+    });
+    it("Should cap the royalties at the share of the price of each asset", async function () {
+      const { gotchiswap, ghst, royaltyToken, otherAccount, testAdmin } =
+        await loadFixture(createRoyaltySaleFixture);
+      await gotchiswap.connect(testAdmin).enforceRoyalties(true);
+      await royaltyToken.breakRoyaltyInfo(false, 1000000000000000000000n);
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      const { proceeds, royalties } = await gotchiswap.getSaleProceeds(0);
+      // the whole half of the price, the gotchi still pays none
+      expect(royalties).to.deep.equal([50000000000000000000n]);
+      expect(proceeds).to.deep.equal([50000000000000000000n]);
+
+      await gotchiswap.concludeSale(0);
+      expect(await ghst.balanceOf(otherAccount.address)).to.equal(
+        50000000000000000000n
+      );
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 50000000000000000000n
+      );
+    });
+    it("Should only let the admin enforce royalties", async function () {
+      const { gotchiswap } = await loadFixture(deployGotchiswapFixture);
+      await expect(gotchiswap.enforceRoyalties(true)).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+    });
+  });
+  describe("Fee-on-transfer tokens", function () {
+    async function feeTokenFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, owner, testAdmin } = fixture;
+      // local token burning 1% of every transfer
+      const MockFeeERC20 = await hre.ethers.getContractFactory("MockFeeERC20");
+      const feeToken = await MockFeeERC20.deploy(100);
+      await feeToken.waitForDeployment();
+      for (const account of [owner, testAdmin]) {
+        await feeToken.mint(account.address, 1000n);
+        await feeToken.connect(account).approve(gotchiswap.target, MAX_UINT256);
+      }
+      return { ...fixture, feeToken };
+    }
+
+    it("Should revert when a token takes a fee on the tokens escrowed", async function () {
+      const { gotchiswap, feeToken, GhstAddress, AavegotchiAddress, owner } =
+        await loadFixture(feeTokenFixture);
+      expect(await gotchiswap.isTransferFeeAccepted(feeToken.target)).to.equal(
+        false
+      );
+      await expect(
+        gotchiswap.createSale(
+          [0],
+          [feeToken.target],
+          [0],
+          [1000n],
+          [0],
+          [GhstAddress],
+          [0],
+          [1n],
+          owner.address
+        )
+      ).to.be.revertedWith("Gotchiswap: Token took a fee on transfer");
+      await expect(
+        gotchiswap.createBid(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [feeToken.target],
+          [0],
+          [1000n],
+          owner.address
+        )
+      ).to.be.revertedWith("Gotchiswap: Token took a fee on transfer");
+    });
+    it("Should record the amount received when transfer fees are accepted", async function () {
+      const { gotchiswap, feeToken, GhstAddress, owner, testAdmin, testUser } =
+        await loadFixture(feeTokenFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .setTransferFeeAccepted(feeToken.target, true)
+      )
+        .to.emit(gotchiswap, "ChangeTransferFeeAccepted")
+        .withArgs(feeToken.target, true);
+      expect(await gotchiswap.isTransferFeeAccepted(feeToken.target)).to.equal(
+        true
+      );
+
+      // the two entries of a same token are escrowed one by one
+      await gotchiswap.createSale(
+        [0, 0],
+        [feeToken.target, feeToken.target],
+        [0, 0],
+        [500n, 300n],
+        [0],
+        [GhstAddress],
+        [0],
+        [1n],
+        testUser.address
+      );
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [0],
+          [feeToken.target],
+          [0],
+          [1000n],
+          [0],
+          [GhstAddress],
+          [0],
+          [1n],
+          owner.address
+        );
+      const sale = await gotchiswap.getSale(owner.address, 0);
+      expect(sale.assetAmounts).to.deep.equal([495n, 297n]);
+      expect(
+        (await gotchiswap.getSale(testAdmin.address, 0)).assetAmounts
+      ).to.deep.equal([990n]);
+      expect(await gotchiswap.escrowBalances(feeToken.target, 0)).to.equal(
+        1782n
+      );
+      expect(await feeToken.balanceOf(gotchiswap.target)).to.equal(1782n);
+
+      // sending back what each sale received leaves the other sales whole
+      await gotchiswap.abortSaleById(0);
+      expect(await feeToken.balanceOf(gotchiswap.target)).to.equal(990n);
+      await gotchiswap.concludeSaleById(1);
+      expect(await feeToken.balanceOf(gotchiswap.target)).to.equal(0);
+      expect(await gotchiswap.escrowBalances(feeToken.target, 0)).to.equal(0);
+    });
+    it("Should share a drop of the balance escrowed between the escrows", async function () {
+      const { gotchiswap, GhstAddress, owner, testAdmin } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const MockRebasingERC20 = await hre.ethers.getContractFactory(
+        "MockRebasingERC20"
+      );
+      const token = await MockRebasingERC20.deploy();
+      for (const account of [owner, testAdmin]) {
+        await token.mint(account.address, 1000n);
+        await token.connect(account).approve(gotchiswap.target, MAX_UINT256);
+        await gotchiswap
+          .connect(account)
+          .createSale(
+            [0],
+            [token.target],
+            [0],
+            [1000n],
+            [0],
+            [GhstAddress],
+            [0],
+            [1n],
+            owner.address
+          );
+      }
+
+      // a negative rebase takes 10% of the balance escrowed
+      await token.rebase(gotchiswap.target, 1000);
+      await gotchiswap.abortSaleById(0);
+      expect(await token.balanceOf(owner.address)).to.equal(900n);
+      // the other sale is not left short
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      expect(await token.balanceOf(testAdmin.address)).to.equal(900n);
+      expect(await gotchiswap.escrowBalances(token.target, 0)).to.equal(0);
+    });
+  });
+  describe("Signed sales", function () {
+    // the seller signs a sale of GLTR for a gotchi held by the buyer
+    async function signSaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, GltrAddress, AavegotchiAddress, owner, testAdmin } =
+        fixture;
+      const sale = buildSale({
+        assets: [
+          {
+            class: AssetClass.ERC20,
+            addr: GltrAddress,
+            qty: 1000000000000000000000n,
+          },
+        ],
+        prices: [
+          { class: AssetClass.ERC721, addr: AavegotchiAddress, id: 4895 },
+        ],
+        buyer: testAdmin.address,
+        nonce: 1,
+      });
+      const signature = await signSale(owner, gotchiswap, sale);
+      return { ...fixture, sale, signature };
+    }
+
+    it("Should sign sales for the contract domain", async function () {
+      const { gotchiswap, sale } = await loadFixture(signSaleFixture);
+      expect(await gotchiswap.hashSaleOrder(sale)).to.equal(
+        hre.ethers.TypedDataEncoder.hash(
+          await getDomain(gotchiswap),
+          SALE_TYPES,
+          sale
+        )
+      );
+    });
+    it("Should be able to fill a signed sale", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        gltr,
+        sale,
+        signature,
+        owner,
+        testAdmin,
+      } = await loadFixture(signSaleFixture);
+      const balanceBefore = await gltr.balanceOf(testAdmin.address);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, sale, signature)
+      )
+        .to.emit(gotchiswap, "FillSignedSale")
+        .withArgs(owner.address, testAdmin.address, 1, anyValue);
+
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      expect(await gltr.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 1000000000000000000000n
+      );
+      expect(await gotchiswap.isNonceUsed(owner.address, 1)).to.be.true;
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, sale, signature)
+      ).to.be.revertedWith("Gotchiswap: Nonce has already been used");
+    });
+    it("Should only let the buyer fill a signed sale signed by the seller", async function () {
+      const { gotchiswap, sale, signature, owner, otherAccount, testAdmin } =
+        await loadFixture(signSaleFixture);
+      await expect(
+        gotchiswap.fillSignedSale(owner.address, sale, signature)
+      ).to.be.revertedWith("Gotchiswap: Only the buyer can conclude the sale");
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(otherAccount.address, sale, signature)
+      ).to.be.revertedWith("Gotchiswap: Invalid signature");
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, { ...sale, nonce: 2n }, signature)
+      ).to.be.revertedWith("Gotchiswap: Invalid signature");
+    });
+    it("Should not fill an expired signed sale", async function () {
+      const { gotchiswap, sale, owner, testAdmin } = await loadFixture(
+        signSaleFixture
+      );
+      const expiring = { ...sale, deadline: BigInt(await time.latest()) + 60n };
+      const signature = await signSale(owner, gotchiswap, expiring);
+      await time.increase(120);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, expiring, signature)
+      ).to.be.revertedWith("Gotchiswap: Sale has expired");
+    });
+    it("Should be able to cancel signed sales by nonce", async function () {
+      const { gotchiswap, sale, signature, owner, testAdmin } =
+        await loadFixture(signSaleFixture);
+      await expect(gotchiswap.cancelNonce(1))
+        .to.emit(gotchiswap, "CancelNonce")
+        .withArgs(owner.address, 1);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, sale, signature)
+      ).to.be.revertedWith("Gotchiswap: Nonce has already been used");
+    });
+    it("Should be able to cancel all signed sales below a nonce", async function () {
+      const { gotchiswap, sale, signature, owner, testAdmin } =
+        await loadFixture(signSaleFixture);
+      await expect(gotchiswap.cancelNoncesBelow(10))
+        .to.emit(gotchiswap, "CancelNoncesBelow")
+        .withArgs(owner.address, 10);
+      expect(await gotchiswap.minNonces(owner.address)).to.equal(10);
+      expect(await gotchiswap.isNonceUsed(owner.address, 9)).to.be.true;
+      expect(await gotchiswap.isNonceUsed(owner.address, 10)).to.be.false;
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .fillSignedSale(owner.address, sale, signature)
+      ).to.be.revertedWith("Gotchiswap: Nonce has already been used");
+      await expect(gotchiswap.cancelNoncesBelow(5)).to.be.revertedWith(
+        "Gotchiswap: Nonces already cancelled"
+      );
+    });
+  });
+  describe("Partial fills", function () {
+    async function createPartialSaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const { gotchiswap, GhstAddress, WearablesAddress, owner, testAdmin } =
+        fixture;
+      await gotchiswap
+        .connect(testAdmin)
+        [CREATE_PARTIAL_SALE](
+          [1],
+          [WearablesAddress],
+          [350],
+          [5],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address,
+          0,
+          true
+        );
+      return fixture;
+    }
+
+    it("Should be able to conclude part of a sale", async function () {
+      const { gotchiswap, wearables, ghst, owner, testAdmin } =
+        await loadFixture(createPartialSaleFixture);
+      expect(await gotchiswap.isPartiallyFillable(0)).to.be.true;
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      await expect(gotchiswap[CONCLUDE_SALE_PARTIALLY](0, 2))
+        .to.emit(gotchiswap, "FillSale")
+        .withArgs(owner.address, 0, anyValue, anyValue);
+
+      expect(await wearables.balanceOf(owner.address, 350)).to.equal(2);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 4000000000000000000n
+      );
+      // check the remainder is still escrowed
+      expect(await wearables.balanceOf(gotchiswap.target, 350)).to.equal(3);
+      const sale = await gotchiswap.getSale(testAdmin.address, 0);
+      expect(sale.assetAmounts).to.deep.equal([3n]);
+      expect(sale.priceAmounts).to.deep.equal([6000000000000000000n]);
+
+      // filling the remainder concludes the sale
+      await expect(gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](0, 3)).to.emit(
+        gotchiswap,
+        "ConcludeSale"
+      );
+      expect(await wearables.balanceOf(owner.address, 350)).to.equal(5);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 10000000000000000000n
+      );
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        0
+      );
+    });
+    it("Should round partial prices up", async function () {
+      const { gotchiswap, ghst, GhstAddress, WearablesAddress, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        [CREATE_OPEN_PARTIAL_SALE](
+          [1],
+          [WearablesAddress],
+          [350],
+          [5],
+          [0],
+          [GhstAddress],
+          [0],
+          [2n],
+          0,
+          true
+        );
+      const balanceBefore = await ghst.balanceOf(testAdmin.address);
+      // anyone can partially fill an open sale
+      await gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](0, 2);
+      expect(await ghst.balanceOf(testAdmin.address)).to.equal(
+        balanceBefore + 1n
+      );
+      const sale = await gotchiswap.getSaleById(0);
+      expect(sale.assetAmounts).to.deep.equal([3n]);
+      expect(sale.priceAmounts).to.deep.equal([1n]);
+
+      // a fill leaving nothing to pay for the rest is rejected
+      await expect(
+        gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](0, 1)
+      ).to.be.revertedWith("Gotchiswap: Invalid fill quantity");
+    });
+    it("Should only partially fill fungible sales that allow it", async function () {
+      const {
+        gotchiswap,
+        GhstAddress,
+        GltrAddress,
+        AavegotchiAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(createPartialSaleFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          [CREATE_PARTIAL_SALE](
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address,
+            0,
+            true
+          )
+      ).to.be.revertedWith(
+        "Gotchiswap: Partial fills need fungible assets and prices"
+      );
+      await gotchiswap
+        .connect(testAdmin)
+        [CREATE_PARTIAL_SALE](
+          [0],
+          [GhstAddress],
+          [0],
+          [1000000000000000000n],
+          [0],
+          [GltrAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address,
+          0,
+          false
+        );
+      await expect(
+        gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](1, 1)
+      ).to.be.revertedWith("Gotchiswap: Sale cannot be partially filled");
+      await expect(
+        gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](0, 0)
+      ).to.be.revertedWith("Gotchiswap: Invalid fill quantity");
+      await expect(
+        gotchiswap[CONCLUDE_SALE_BY_ID_PARTIALLY](0, 6)
+      ).to.be.revertedWith("Gotchiswap: Invalid fill quantity");
+    });
+  });
+  describe("Gotchi snapshots", function () {
+    async function createSnapshotSaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        aavegotchi,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        owner,
+        testAdmin,
+      } = fixture;
+      // the gotchi sold holds GHST in its pocket
+      const [, pocket] = await aavegotchi.collateralBalance(4895);
+      await ghst.connect(testAdmin).transfer(pocket, 1000000000000000000n);
+      await gotchiswap
+        .connect(testAdmin)
+        [CREATE_SNAPSHOT_SALE](
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address,
+          0,
+          false,
+          true
+        );
+      return fixture;
+    }
+
+    it("Should snapshot the wearables and pocket of the gotchis sold", async function () {
+      const { gotchiswap, aavegotchi, ghst, AavegotchiAddress, owner } =
+        await loadFixture(createSnapshotSaleFixture);
+      const [, pocket] = await aavegotchi.collateralBalance(4895);
+      const snapshots = await gotchiswap.getSaleSnapshots(0);
+      expect(snapshots.length).to.equal(1);
+      expect(snapshots[0].addr).to.equal(AavegotchiAddress);
+      expect(snapshots[0].id).to.equal(4895);
+      expect(snapshots[0].wearables).to.deep.equal(
+        await aavegotchi.equippedWearables(4895)
+      );
+      expect(snapshots[0].pocket).to.equal(await ghst.balanceOf(pocket));
+      expect(await gotchiswap.isSnapshotValid(0)).to.be.true;
+
+      await expect(gotchiswap.concludeSaleById(0))
+        .to.emit(gotchiswap, "ConcludeSale")
+        .withArgs(owner.address, 0, anyValue);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should not conclude a sale once a gotchi no longer matches its snapshot", async function () {
+      const { gotchiswap, aavegotchi, ghst, owner, testAdmin } =
+        await loadFixture(createSnapshotSaleFixture);
+      // GHST are taken out of the pocket while the gotchi is for sale
+      const [, pocket] = await aavegotchi.collateralBalance(4895);
+      await impersonateAccount(pocket);
+      await setBalance(pocket, 1000000000000000000n);
+      await ghst
+        .connect(await hre.ethers.getSigner(pocket))
+        .transfer(owner.address, 1n);
+      expect(await gotchiswap.isSnapshotValid(0)).to.be.false;
+
+      await expect(gotchiswap.concludeSaleById(0)).to.be.revertedWith(
+        "Gotchiswap: Gotchi does not match its snapshot"
+      );
+      // the seller can still take the gotchi back
+      await gotchiswap.connect(testAdmin).abortSaleById(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
+    });
+    it("Should conclude a sale after a third party tops up the pocket of a gotchi", async function () {
+      const { gotchiswap, aavegotchi, ghst, owner, testUser } =
+        await loadFixture(createSnapshotSaleFixture);
+      const [, pocket] = await aavegotchi.collateralBalance(4895);
+      await ghst.connect(testUser).transfer(pocket, 1n);
+      expect(await gotchiswap.isSnapshotValid(0)).to.be.true;
+
+      await gotchiswap.concludeSaleById(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should only snapshot sales of gotchis", async function () {
+      const { gotchiswap, GhstAddress, WearablesAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          [CREATE_SNAPSHOT_SALE](
+            [1],
+            [WearablesAddress],
+            [350],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address,
+            0,
+            false,
+            true
+          )
+      ).to.be.revertedWith("Gotchiswap: No gotchi to snapshot");
+    });
+  });
+  describe("Group sales", function () {
+    // a gotchi offered to the owner and the test user at once
+    async function groupSaleFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        ghst,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+        testUser,
+      } = fixture;
+      const createSale = (id, buyer) =>
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [id],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            buyer
+          );
+      await createSale(15434, owner.address);
+      await gotchiswap
+        .connect(testAdmin)
+        .createGroupSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          [owner.address, testUser.address],
+          0
+        );
+      await createSale(9121, owner.address);
+      await ghst.connect(testUser).approve(gotchiswap.target, MAX_UINT256);
+      return fixture;
+    }
+    it("Should offer a group sale to each of its buyers", async function () {
+      const { gotchiswap, owner, testUser, otherAccount } = await loadFixture(
+        groupSaleFixture
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(3);
+      expect(await gotchiswap.getBuyerOffersCount(testUser.address)).to.equal(
+        1
+      );
+      expect((await gotchiswap.getOffer(testUser.address, 0)).id).to.equal(1);
+      const [buyers] = await gotchiswap.getSaleBuyers(1);
+      expect(buyers).to.deep.equal([owner.address, testUser.address]);
+      expect(await gotchiswap.isEligibleBuyer(1, testUser.address)).to.be.true;
+      expect(await gotchiswap.isEligibleBuyer(1, otherAccount.address)).to.be
+        .false;
+
+      // only the first buyer can counter-offer, but not on a group sale
+      await expect(
+        gotchiswap
+          .connect(testUser)
+          .createCounterOffer(1, [0], [ADDRESS_ZERO], [0], [1n])
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the buyer can make a counter-offer"
+      );
+      await expect(
+        gotchiswap.createCounterOffer(1, [0], [ADDRESS_ZERO], [0], [1n])
+      ).to.be.revertedWith("Gotchiswap: Group sales cannot be counter-offered");
+    });
+    it("Should remove a group sale for all its buyers once concluded", async function () {
+      const { gotchiswap, aavegotchi, owner, testUser, otherAccount } =
+        await loadFixture(groupSaleFixture);
+      await expect(
+        gotchiswap.connect(otherAccount).concludeSaleById(1)
+      ).to.be.revertedWith("Gotchiswap: Only the buyer can conclude the sale");
+
+      await gotchiswap.connect(testUser).concludeSaleById(1);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testUser.address);
+      expect(await gotchiswap.getBuyerOffersCount(testUser.address)).to.equal(
+        0
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(2);
+      await expect(gotchiswap.concludeSaleById(1)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
+
+      // the other offers of the first buyer are still found by index
+      expect((await gotchiswap.getOffer(owner.address, 1)).id).to.equal(2);
+      await gotchiswap.concludeSale(1);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(owner.address);
+      await gotchiswap.concludeSale(0);
+      expect(await aavegotchi.ownerOf(15434)).to.equal(owner.address);
+    });
+    it("Should remove a group sale for all its buyers once aborted", async function () {
+      const { gotchiswap, owner, testAdmin, testUser } = await loadFixture(
+        groupSaleFixture
+      );
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      expect(await gotchiswap.getBuyerOffersCount(testUser.address)).to.equal(
+        0
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(2);
+      expect((await gotchiswap.getOffer(owner.address, 1)).id).to.equal(2);
+    });
+    it("Should revert on invalid group sale buyers", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      const createGroupSale = (buyers) =>
+        gotchiswap
+          .connect(testAdmin)
+          .createGroupSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            buyers,
+            0
+          );
+      await expect(createGroupSale([owner.address])).to.be.revertedWith(
+        "Gotchiswap: Invalid number of buyers"
+      );
+      await expect(
+        createGroupSale([owner.address, ADDRESS_ZERO])
+      ).to.be.revertedWith("Gotchiswap: Invalid buyer address");
+      await expect(
+        createGroupSale([owner.address, testAdmin.address, owner.address])
+      ).to.be.revertedWith("Gotchiswap: Duplicate buyer address");
+    });
+    it("Should only let the holders of the gating token conclude a gated sale", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        ghst,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+        testUser,
+      } = await loadFixture(deployGotchiswapFixture);
+      const createGatedSale = (gate) =>
+        gotchiswap
+          .connect(testAdmin)
+          .createGatedSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            gate,
+            0
+          );
+      const gotchiGate = {
+        class: AssetClass.ERC721,
+        addr: AavegotchiAddress,
+        id: 0,
+        qty: 1,
+      };
+      await expect(
+        createGatedSale({ ...gotchiGate, class: AssetClass.NATIVE })
+      ).to.be.revertedWith("Gotchiswap: Invalid gate class");
+      await expect(
+        createGatedSale({ ...gotchiGate, id: 10356 })
+      ).to.be.revertedWith("Gotchiswap: Gate ID must be 0");
+      await expect(createGatedSale(gotchiGate))
+        .to.emit(gotchiswap, "GateSale")
+        .withArgs(0, anyValue);
+
+      // gated sales are open sales
+      expect(await gotchiswap.getOpenSalesCount()).to.equal(1);
+      const [buyers, gate] = await gotchiswap.getSaleBuyers(0);
+      expect(buyers).to.be.empty;
+      expect(gate.addr).to.equal(AavegotchiAddress);
+
+      // only gotchi owners can buy it
+      expect(await gotchiswap.isEligibleBuyer(0, owner.address)).to.be.false;
+      await expect(gotchiswap.concludeOpenSale(0)).to.be.revertedWith(
+        "Gotchiswap: Buyer does not hold the gating token"
+      );
+      await ghst.connect(testUser).approve(gotchiswap.target, MAX_UINT256);
+      expect(await gotchiswap.isEligibleBuyer(0, testUser.address)).to.be.true;
+      await gotchiswap.connect(testUser).concludeOpenSale(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testUser.address);
+    });
+  });
+  describe("Batches", function () {
+    // three gotchis sold in one transaction: to the owner, the test user and anyone
+    async function batchFixture() {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        ghst,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+        testUser,
+      } = fixture;
+      const gotchi = (id) => ({
+        classes: [2],
+        contracts: [AavegotchiAddress],
+        ids: [id],
+        amounts: [1],
+      });
+      const price = {
+        classes: [0],
+        contracts: [GhstAddress],
+        ids: [0],
+        amounts: [10000000000000000000n],
+      };
+      await gotchiswap
+        .connect(testAdmin)
+        .createSales(
+          [gotchi(4895), gotchi(15434), gotchi(9121)],
+          [price, price, price],
+          [owner.address, testUser.address, ADDRESS_ZERO],
+          [0, 0, 0],
+          false
+        );
+      await ghst.connect(testUser).approve(gotchiswap.target, MAX_UINT256);
+      return { ...fixture, gotchi, price };
+    }
+    it("Should create several sales at once", async function () {
+      const { gotchiswap, owner, testAdmin, testUser, gotchi, price } =
+        await loadFixture(batchFixture);
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        3
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(1);
+      expect(await gotchiswap.getBuyerOffersCount(testUser.address)).to.equal(
+        1
+      );
+      expect(await gotchiswap.getOpenSalesCount()).to.equal(1);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSales(
+            [gotchi(4895)],
+            [price, price],
+            [owner.address],
+            [0],
+            false
+          )
+      ).to.be.revertedWith(
+        "Gotchiswap: Sales parameters length should all be the same"
+      );
+    });
+    it("Should abort several sales at once by ID", async function () {
+      const { gotchiswap, aavegotchi, testAdmin } = await loadFixture(
+        batchFixture
+      );
+      // the sale left is now the first of the list
+      await gotchiswap.connect(testAdmin).abortSales([0, 2], false);
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        1
+      );
+      expect(await gotchiswap.getSaleId(testAdmin.address, 0)).to.equal(1);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(testAdmin.address);
+    });
+    it("Should revert the whole batch when a sale fails", async function () {
+      const { gotchiswap, aavegotchi, testUser } = await loadFixture(
+        batchFixture
+      );
+      await expect(
+        gotchiswap.connect(testUser).concludeSales([1, 0], false)
+      ).to.be.revertedWith("Gotchiswap: Only the buyer can conclude the sale");
+      expect(await gotchiswap.getBuyerOffersCount(testUser.address)).to.equal(
+        1
+      );
+
+      await gotchiswap.connect(testUser).concludeSales([1, 2], false);
+      expect(await aavegotchi.ownerOf(15434)).to.equal(testUser.address);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(testUser.address);
+    });
+    it("Should skip and report the sales that fail in best-effort mode", async function () {
+      const { gotchiswap, aavegotchi, testUser } = await loadFixture(
+        batchFixture
+      );
+      const batch = gotchiswap.connect(testUser);
+      expect(
+        await batch.concludeSales.staticCall([0, 1, 1], true)
+      ).to.deep.equal([false, true, false]);
+      await expect(batch.concludeSales([0, 1, 1], true))
+        .to.emit(gotchiswap, "FailBatchItem")
+        .withArgs(0, anyValue)
+        .and.to.emit(gotchiswap, "FailBatchItem")
+        .withArgs(2, anyValue);
+      expect(await aavegotchi.ownerOf(15434)).to.equal(testUser.address);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(gotchiswap.target);
+
+      // the batch cannot pay native prices
+      await expect(batch.concludeSales([2], true, { value: 1n })).to.be
+        .reverted;
+    });
+  });
+  describe("Native payments", function () {
+    const ONE_MATIC = 1000000000000000000n;
+
+    it("Should pay a sale in native value and refund the excess", async function () {
+      const { gotchiswap, aavegotchi, AavegotchiAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [3],
+          [ADDRESS_ZERO],
+          [0],
+          [ONE_MATIC],
+          owner.address
+        );
+
+      await expect(
+        gotchiswap[CONCLUDE_SALE](0, { value: ONE_MATIC - 1n })
+      ).to.be.revertedWith("Gotchiswap: Insufficient native value sent");
+      await expect(
+        gotchiswap[CONCLUDE_SALE](0, { value: 3n * ONE_MATIC })
+      ).to.changeEtherBalances(
+        [owner, testAdmin, gotchiswap],
+        [-ONE_MATIC, ONE_MATIC, 0]
+      );
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should escrow native value sold in a sale", async function () {
+      const { gotchiswap, GhstAddress, owner, testAdmin } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const createSale = (value) =>
+        gotchiswap[CREATE_SALE](
+          [3],
+          [ADDRESS_ZERO],
+          [0],
+          [ONE_MATIC],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          testAdmin.address,
+          { value }
+        );
+
+      await expect(createSale(0)).to.be.revertedWith(
+        "Gotchiswap: Insufficient native value sent"
+      );
+      await expect(createSale(ONE_MATIC)).to.changeEtherBalances(
+        [owner, gotchiswap],
+        [-ONE_MATIC, ONE_MATIC]
+      );
+      await expect(gotchiswap.abortSale(0)).to.changeEtherBalances(
+        [owner, gotchiswap],
+        [ONE_MATIC, -ONE_MATIC]
+      );
+
+      await createSale(ONE_MATIC);
+      await expect(
+        gotchiswap.connect(testAdmin).concludeSale(0)
+      ).to.changeEtherBalances(
+        [testAdmin, gotchiswap],
+        [ONE_MATIC, -ONE_MATIC]
+      );
+    });
+    it("Should take the fee from native value escrowed in a bid", async function () {
+      const { gotchiswap, AavegotchiAddress, testAdmin, otherAccount } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        .changeFeeRecipient(otherAccount.address);
+      await gotchiswap.connect(testAdmin).changeFee(100);
+      await expect(
+        gotchiswap.createBid(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [3],
+          [ADDRESS_ZERO],
+          [0],
+          [ONE_MATIC],
+          testAdmin.address,
+          { value: ONE_MATIC }
+        )
+      ).to.changeEtherBalance(gotchiswap, ONE_MATIC);
+
+      const fee = ONE_MATIC / 100n;
+      await expect(
+        gotchiswap.connect(testAdmin).acceptBid(0)
+      ).to.changeEtherBalances(
+        [testAdmin, otherAccount, gotchiswap],
+        [ONE_MATIC - fee, fee, -ONE_MATIC]
+      );
+    });
+    it("Should let sellers rejecting native payments withdraw them", async function () {
+      const { gotchiswap, ghst, GhstAddress, owner } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const MockNativeRejecter = await hre.ethers.getContractFactory(
+        "MockNativeRejecter"
+      );
+      const seller = await MockNativeRejecter.deploy();
+      await ghst.transfer(seller.target, 10000000000000000000n);
+      await seller.execute(
+        GhstAddress,
+        ghst.interface.encodeFunctionData("approve", [
+          gotchiswap.target,
+          MAX_UINT256,
+        ])
+      );
+      await seller.execute(
+        gotchiswap.target,
+        gotchiswap.interface.encodeFunctionData(CREATE_SALE, [
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          [3],
+          [ADDRESS_ZERO],
+          [0],
+          [ONE_MATIC],
+          owner.address,
+        ])
+      );
+
+      await expect(gotchiswap[CONCLUDE_SALE](0, { value: ONE_MATIC }))
+        .to.emit(gotchiswap, "DeferPayment")
+        .withArgs(seller.target, ONE_MATIC);
+      expect(await gotchiswap.pendingWithdrawals(seller.target)).to.equal(
+        ONE_MATIC
+      );
+      // the deferred payment is not part of the rescuable surplus
+      expect(await gotchiswap.escrowBalances(ADDRESS_ZERO, 0)).to.equal(
+        ONE_MATIC
+      );
+      expect(
+        await gotchiswap.getRescuableAmount(AssetClass.NATIVE, ADDRESS_ZERO, 0)
+      ).to.equal(0);
+
+      const withdraw = gotchiswap.interface.encodeFunctionData("withdraw");
+      await expect(
+        seller.execute(gotchiswap.target, withdraw)
+      ).to.be.revertedWith("Gotchiswap: Withdrawal failed");
+      await seller.setAccepting(true);
+      await expect(
+        seller.execute(gotchiswap.target, withdraw)
+      ).to.changeEtherBalances([seller, gotchiswap], [ONE_MATIC, -ONE_MATIC]);
+      expect(await gotchiswap.escrowBalances(ADDRESS_ZERO, 0)).to.equal(0);
+      await expect(
+        seller.execute(gotchiswap.target, withdraw)
+      ).to.be.revertedWith("Gotchiswap: Nothing to withdraw");
+    });
+  });
+  describe("Input requirements", function () {
+    it("Should revert if amount is 0", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [0n],
+            owner.address
+          )
+      ).to.be.revertedWith("Gotchiswap: Amount must be greater than 0");
+    });
+    it("Should revert if ERC721 amount is not 1", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [99],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            owner.address
+          )
+      ).to.be.revertedWith("Gotchiswap: Amount for ERC721 token must be 1");
+    });
+    it("Should revert if buyer address is not valid", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            ADDRESS_ZERO
+          )
+      ).to.be.revertedWith("Gotchiswap: Invalid buyer address");
+    });
+    it("Should revert if bid seller address is not valid", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      await expect(
+        gotchiswap.createBid(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [50000000000000000000n],
+          ADDRESS_ZERO
+        )
+      ).to.be.revertedWith("Gotchiswap: Invalid seller address");
+    });
+    it("Should revert if arrays are not the same length", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895, 9121],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            owner.address
+          )
+      ).to.be.revertedWith("Gotchiswap: Assets parameters length should all be the same");
+    });
+    it("Should revert if arrays are empty", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [],
+            [],
+            [],
+            [],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            owner.address
+          )
+      ).to.be.revertedWith("Gotchiswap: Assets list cannot be empty");
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895, 9121],
+            [1],
+            [],
+            [],
+            [],
+            [],
+            owner.address
+          )
+      ).to.be.revertedWith("Gotchiswap: Prices list cannot be empty");
+    });
+    it("Should revert if ERC20 id is not 0", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [99],
+            [100000000000000000000n],
+            owner.address
+          );
+      await expect(gotchiswap.concludeSale(0))
+        .to.be.revertedWith("Gotchiswap: Id for ERC20 must be set to 0");
+    });
+    it("Should revert if deadline is not in the future", async function () {
+      const { gotchiswap, AavegotchiAddress, GhstAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          [CREATE_SALE_WITH_DEADLINE](
+            [2],
+            [AavegotchiAddress],
+            [4895],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            owner.address,
+            await time.latest()
+          )
+      ).to.be.revertedWith("Gotchiswap: Deadline must be in the future");
+    });
+  });
+  describe("External view functions", function () {
+    it("Should be able to retrieve sale details from buyer", async function () {
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      // create dummy sales
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          testAdmin.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [15434],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          testAdmin.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [9121],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+
+      // abort a sale to have id > index for seller
+      await gotchiswap.connect(testAdmin).abortSale(0);
+
+      // check sales have registered for both buyer and seller
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        2
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(1);
+
+      // retrieve sale details
+      const { seller, id } = await gotchiswap.getOffer(owner.address, 0);
       expect(seller).to.equal(testAdmin.address);
       expect(id).to.equal(2n);
+      await expect(gotchiswap.getOffer(owner.address, 1)).to.be.revertedWith(
+        "Gotchiswap: Index out of bound, no offer found"
+      );
       const index = await gotchiswap.getSaleIndex(testAdmin.address, id);
       expect(index).to.equal(1n);
       const sale = await gotchiswap.getSale(testAdmin.address, index);
       expect(sale.id).to.equal(2n);
       expect(sale.assetIds[0]).to.equal(9121);
     });
+    it("Should be able to list open sales", async function () {
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n],
+          owner.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createOpenSale(
+          [2],
+          [AavegotchiAddress],
+          [15434],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n]
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createOpenSale(
+          [2],
+          [AavegotchiAddress],
+          [9121],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [100000000000000000000n]
+        );
+
+      // abort the first open sale
+      await gotchiswap.connect(testAdmin).abortSale(1);
+
+      expect(await gotchiswap.getOpenSalesCount()).to.equal(1);
+      const { seller, id } = await gotchiswap.getOpenSale(0);
+      expect(seller).to.equal(testAdmin.address);
+      expect(id).to.equal(2n);
+      await expect(gotchiswap.getOpenSale(1)).to.be.revertedWith(
+        "Gotchiswap: Index out of bound, no sale found"
+      );
+      const index = await gotchiswap.getSaleIndex(testAdmin.address, id);
+      const sale = await gotchiswap.getSale(testAdmin.address, index);
+      expect(sale.assetIds[0]).to.equal(9121);
+      expect(sale.buyer).to.equal(ADDRESS_ZERO);
+    });
+    it("Should be able to retrieve sale details from ID", async function () {
+      const { gotchiswap, GhstAddress, AavegotchiAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      for (const gotchiId of [4895, 15434, 9121]) {
+        await gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [gotchiId],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [100000000000000000000n],
+            owner.address
+          );
+      }
+
+      // abort the first sale to shift the others
+      await gotchiswap.connect(testAdmin).abortSale(0);
+
+      const { seller, index } = await gotchiswap.getSaleLocation(2);
+      expect(seller).to.equal(testAdmin.address);
+      expect(index).to.equal(1n);
+      const sale = await gotchiswap.getSaleById(2);
+      expect(sale.id).to.equal(2n);
+      expect(sale.assetIds[0]).to.equal(9121);
+      expect(sale.buyer).to.equal(owner.address);
+      await expect(gotchiswap.getSaleById(0)).to.be.revertedWith(
+        "Gotchiswap: Sale not found"
+      );
+    });
+  });
+  describe("Storage migration", function () {
+    it("Should migrate sales after upgrading from the legacy layout", async function () {
+      const {
+        aavegotchi,
+        ghst,
+        GhstAddress,
+        AavegotchiAddress,
+        AdminAddress,
+        testAdmin,
+        owner,
+      } = await loadFixture(deployGotchiswapFixture);
+      const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+      const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+        AdminAddress,
+      ]);
+      await gotchiswapV1.waitForDeployment();
+      await gotchiswapV1.connect(testAdmin).disableAllowlist();
+      await aavegotchi
+        .connect(testAdmin)
+        .setApprovalForAll(gotchiswapV1.target, true);
+      await ghst.approve(gotchiswapV1.target, MAX_UINT256);
+
+      // create sales with the legacy layout
+      for (const [gotchiId, buyer] of [
+        [4895, owner.address],
+        [15434, testAdmin.address],
+        [9121, owner.address],
+      ]) {
+        await gotchiswapV1
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [gotchiId],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            buyer
+          );
+      }
+
+      const extension = await deployExtensions(hre);
+      const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+      const gotchiswap = await withExtensions(
+        await hre.upgrades.upgradeProxy(gotchiswapV1.target, Gotchiswap, {
+          constructorArgs: [extension],
+          call: { fn: "initializeRoles" },
+        })
+      );
+
+      // only the upgraders can migrate
+      await expect(
+        gotchiswap.migrateSales([testAdmin.address], true)
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
+      await gotchiswap
+        .connect(testAdmin)
+        .migrateSales([testAdmin.address, owner.address], false);
+
+      // check sales have registered for both buyers and seller
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        3
+      );
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(2);
+      expect(await gotchiswap.getBuyerOffersCount(testAdmin.address)).to.equal(
+        1
+      );
+      const { seller, id } = await gotchiswap.getOffer(owner.address, 1);
+      expect(seller).to.equal(testAdmin.address);
+      expect(id).to.equal(2n);
+      expect((await gotchiswap.getSaleById(1)).assetIds[0]).to.equal(15434);
+
+      // check migrated sales can still be concluded and aborted
+      await gotchiswap.concludeSaleById(2);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(owner.address);
+      await gotchiswap.connect(testAdmin).abortSale(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(testAdmin.address);
+
+      // migrating again has no effect
+      await gotchiswap
+        .connect(testAdmin)
+        .migrateSales([testAdmin.address], true);
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        1
+      );
+      await expect(
+        gotchiswap.connect(testAdmin).migrateSales([], true)
+      ).to.be.revertedWith("Gotchiswap: Sales already migrated");
+
+      // the admin got the roles and the migrated sales count as escrow
+      await expect(
+        gotchiswap.connect(testAdmin).rescueERC721(AavegotchiAddress, 15434)
+      ).to.be.revertedWith("Gotchiswap: Amount exceeds the rescuable surplus");
+    });
+    it("Should list, abort and conclude legacy sales before they are migrated", async function () {
+      const {
+        aavegotchi,
+        ghst,
+        GhstAddress,
+        GltrAddress,
+        AavegotchiAddress,
+        AdminAddress,
+        testAdmin,
+        owner,
+      } = await loadFixture(deployGotchiswapFixture);
+      const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+      const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+        AdminAddress,
+      ]);
+      await gotchiswapV1.waitForDeployment();
+      await gotchiswapV1.connect(testAdmin).disableAllowlist();
+      await aavegotchi
+        .connect(testAdmin)
+        .setApprovalForAll(gotchiswapV1.target, true);
+      await ghst.approve(gotchiswapV1.target, MAX_UINT256);
+
+      // create sales of two sellers with the legacy layout
+      const createGotchiSale = (gotchiId) =>
+        gotchiswapV1
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [gotchiId],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address
+          );
+      await createGotchiSale(4895);
+      await gotchiswapV1.createSale(
+        [0],
+        [GhstAddress],
+        [0],
+        [1000000000000000000n],
+        [0],
+        [GltrAddress],
+        [0],
+        [1000000000000000000n],
+        testAdmin.address
+      );
+      await createGotchiSale(9121);
+
+      const extension = await deployExtensions(hre);
+      const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+      const gotchiswap = await withExtensions(
+        await hre.upgrades.upgradeProxy(gotchiswapV1.target, Gotchiswap, {
+          constructorArgs: [extension],
+          call: { fn: "initializeRoles" },
+        })
+      );
+
+      // the views read the sales not migrated yet
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        2
+      );
+      expect(
+        (await gotchiswap.getSale(testAdmin.address, 1)).assetIds[0]
+      ).to.equal(9121);
+      expect(await gotchiswap.getSaleIndex(testAdmin.address, 2)).to.equal(1);
+      expect(await gotchiswap.getBuyerOffersCount(owner.address)).to.equal(2);
+      const { seller, id } = await gotchiswap.getOffer(owner.address, 1);
+      expect(seller).to.equal(testAdmin.address);
+      expect(id).to.equal(2n);
+      await expect(gotchiswap.getOffer(owner.address, 2)).to.be.revertedWith(
+        "Gotchiswap: Index out of bound, no offer found"
+      );
+      const offers = await gotchiswap.getBuyerOffers(owner.address, 0, 10);
+      expect(offers.map((offer) => offer.sale.id)).to.deep.equal([0n, 2n]);
+      expect(offers[1].seller).to.equal(testAdmin.address);
+      const [sale] = await gotchiswap.getSellerSales(owner.address, 0, 10);
+      expect(sale.sale.id).to.equal(1n);
+
+      // aborting or concluding by index migrates the sales of the seller
+      await expect(gotchiswap.abortSale(0)).to.changeTokenBalance(
+        ghst,
+        owner,
+        1000000000000000000n
+      );
+      await gotchiswap.concludeSale(1);
+      expect(await aavegotchi.ownerOf(9121)).to.equal(owner.address);
+      expect(await gotchiswap.getSellerSalesCount(testAdmin.address)).to.equal(
+        1
+      );
+      expect((await gotchiswap.getSaleById(0)).assetIds[0]).to.equal(4895);
+
+      // the tokens of the migrated sales count as escrow
+      await gotchiswap.connect(testAdmin).migrateSales([], true);
+      await expect(
+        gotchiswap.connect(testAdmin).rescueERC721(AavegotchiAddress, 4895)
+      ).to.be.revertedWith("Gotchiswap: Amount exceeds the rescuable surplus");
+    });
+    it("Should only let the admin initialize the roles of an upgraded proxy", async function () {
+      const { gotchiswap, AdminAddress, testAdmin, otherAccount } =
+        await loadFixture(deployGotchiswapFixture);
+      // new proxies are initialized with the roles already
+      await expect(gotchiswap.initializeRoles()).to.be.revertedWith(
+        "Gotchiswap: Already initialized"
+      );
+      await expect(
+        gotchiswap.connect(otherAccount).initialize(otherAccount.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+
+      const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+      const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+        AdminAddress,
+      ]);
+      await gotchiswapV1.waitForDeployment();
+      const extension = await deployExtensions(hre);
+      const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+      const upgraded = await withExtensions(
+        await hre.upgrades.upgradeProxy(gotchiswapV1.target, Gotchiswap, {
+          constructorArgs: [extension],
+        })
+      );
+
+      await expect(
+        upgraded.connect(otherAccount).initializeRoles()
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(
+        upgraded.connect(otherAccount).initialize(otherAccount.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await upgraded.connect(testAdmin).initializeRoles();
+      const role = await upgraded.UPGRADER_ROLE();
+      expect(await upgraded.hasRole(role, testAdmin.address)).to.equal(true);
+      await expect(
+        upgraded.connect(testAdmin).initializeRoles()
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+    it("Should not let anyone initialize an upgraded proxy whose admin was removed", async function () {
+      const { AdminAddress, testAdmin, otherAccount } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+      const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+        AdminAddress,
+      ]);
+      await gotchiswapV1.waitForDeployment();
+      await gotchiswapV1.connect(testAdmin).removeAdmin();
+      const extension = await deployExtensions(hre);
+      const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+      const upgraded = await withExtensions(
+        await hre.upgrades.upgradeProxy(gotchiswapV1.target, Gotchiswap, {
+          constructorArgs: [extension],
+        })
+      );
+
+      await expect(
+        upgraded.connect(otherAccount).initialize(otherAccount.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(
+        upgraded.connect(otherAccount).initializeRoles()
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      const role = await upgraded.UPGRADER_ROLE();
+      expect(await upgraded.hasRole(role, otherAccount.address)).to.equal(
+        false
+      );
+    });
+    it("Should not rescue the tokens of legacy sales before they are migrated", async function () {
+      const {
+        aavegotchi,
+        GhstAddress,
+        AavegotchiAddress,
+        AdminAddress,
+        testAdmin,
+        owner,
+      } = await loadFixture(deployGotchiswapFixture);
+      const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+      const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+        AdminAddress,
+      ]);
+      await gotchiswapV1.waitForDeployment();
+      await gotchiswapV1.connect(testAdmin).disableAllowlist();
+      await aavegotchi
+        .connect(testAdmin)
+        .setApprovalForAll(gotchiswapV1.target, true);
+      await gotchiswapV1
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+
+      const extension = await deployExtensions(hre);
+      const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+      const gotchiswap = await withExtensions(
+        await hre.upgrades.upgradeProxy(gotchiswapV1.target, Gotchiswap, {
+          constructorArgs: [extension],
+          call: { fn: "initializeRoles" },
+        })
+      );
+
+      // the legacy sale is not counted as escrow yet
+      expect(
+        await gotchiswap.getRescuableAmount(
+          AssetClass.ERC721,
+          AavegotchiAddress,
+          4895
+        )
+      ).to.equal(0);
+      await expect(
+        gotchiswap.connect(testAdmin).rescueERC721(AavegotchiAddress, 4895)
+      ).to.be.revertedWith("Gotchiswap: Sales migration not finished");
+      await gotchiswap
+        .connect(testAdmin)
+        .migrateSales([testAdmin.address], false);
+      await expect(
+        gotchiswap.connect(testAdmin).rescueERC721(AavegotchiAddress, 4895)
+      ).to.be.revertedWith("Gotchiswap: Sales migration not finished");
+
+      await gotchiswap.connect(testAdmin).migrateSales([], true);
+      await expect(
+        gotchiswap.connect(testAdmin).rescueERC721(AavegotchiAddress, 4895)
+      ).to.be.revertedWith("Gotchiswap: Amount exceeds the rescuable surplus");
+      expect(await aavegotchi.ownerOf(4895)).to.equal(gotchiswap.target);
+    });
+  });
+  describe("Gas benchmark", function () {
+    // run with REPORT_GAS=true to get the gas usage of each function
+    it("Should remove a sale at the same cost whatever the number of sales", async function () {
+      const { gotchiswap, GhstAddress, GltrAddress, owner, testAdmin } =
+        await loadFixture(deployGotchiswapFixture);
+      async function createSales(count) {
+        for (let i = 0; i < count; i++) {
+          await gotchiswap
+            .connect(testAdmin)
+            .createSale(
+              [0],
+              [GhstAddress],
+              [0],
+              [1000000000000000000n],
+              [0],
+              [GltrAddress],
+              [0],
+              [1000000000000000000n],
+              owner.address
+            );
+        }
+      }
+
+      await createSales(1);
+      const single = await (
+        await gotchiswap.connect(testAdmin).abortSale(0)
+      ).wait();
+
+      await createSales(20);
+      // the first removal from the front of a list sets its start once
+      await gotchiswap.connect(testAdmin).abortSale(0);
+      const first = await (
+        await gotchiswap.connect(testAdmin).abortSale(0)
+      ).wait();
+      const last = await (
+        await gotchiswap.connect(testAdmin).abortSale(17)
+      ).wait();
+      const middle = await (
+        await gotchiswap.connect(testAdmin).abortSale(8)
+      ).wait();
+
+      // only the sales between the removed one and the nearer end are moved
+      expect(first.gasUsed).to.be.lessThan(single.gasUsed + 30000n);
+      expect(first.gasUsed).to.be.lessThan(last.gasUsed + 30000n);
+      expect(middle.gasUsed).to.be.greaterThan(last.gasUsed);
+    });
+    it("Should send the ERC1155 assets of a contract in a single batch transfer", async function () {
+      const { gotchiswap, GhstAddress, owner, testAdmin } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const MockRoyaltyERC1155 = await hre.ethers.getContractFactory(
+        "MockRoyaltyERC1155"
+      );
+      const token = await MockRoyaltyERC1155.deploy(owner.address, 0);
+      for (let id = 1; id <= 5; id++) {
+        await token.mint(owner.address, id, 1);
+      }
+      await token.setApprovalForAll(gotchiswap.target, true);
+      const createSale = (ids) =>
+        gotchiswap.createSale(
+          ids.map(() => 1),
+          ids.map(() => token.target),
+          ids,
+          ids.map(() => 1),
+          [0],
+          [GhstAddress],
+          [0],
+          [1000000000000000000n],
+          testAdmin.address
+        );
+
+      const single = await (await createSale([1])).wait();
+      const tx = createSale([2, 3, 4, 5]);
+      await expect(tx)
+        .to.emit(token, "TransferBatch")
+        .withArgs(
+          gotchiswap.target,
+          owner.address,
+          gotchiswap.target,
+          [2, 3, 4, 5],
+          [1, 1, 1, 1]
+        )
+        .and.not.to.emit(token, "TransferSingle");
+      // each extra asset costs its storage but no transfer of its own
+      // (about 145500 gas with a transfer per asset)
+      const bundle = await (await tx).wait();
+      expect((bundle.gasUsed - single.gasUsed) / 3n).to.be.lessThan(144000n);
+
+      await expect(gotchiswap.connect(testAdmin).concludeSaleById(1))
+        .to.emit(token, "TransferBatch")
+        .withArgs(
+          gotchiswap.target,
+          gotchiswap.target,
+          testAdmin.address,
+          [2, 3, 4, 5],
+          [1, 1, 1, 1]
+        );
+      expect(await token.balanceOf(testAdmin.address, 5)).to.equal(1);
+    });
+    it("Should send the ERC1155 assets one by one to contracts", async function () {
+      const { gotchiswap, owner } = await loadFixture(deployGotchiswapFixture);
+      const MockRoyaltyERC1155 = await hre.ethers.getContractFactory(
+        "MockRoyaltyERC1155"
+      );
+      const token = await MockRoyaltyERC1155.deploy(owner.address, 0);
+      for (let id = 1; id <= 3; id++) {
+        await token.mint(owner.address, id, 1);
+      }
+      await token.setApprovalForAll(gotchiswap.target, true);
+      const receiver = await (
+        await hre.ethers.getContractFactory("MockERC1155Receiver")
+      ).deploy();
+      const createSale = (ids) =>
+        gotchiswap[CREATE_SALE](
+          ids.map(() => 1),
+          ids.map(() => token.target),
+          ids,
+          ids.map(() => 1),
+          [3],
+          [ADDRESS_ZERO],
+          [0],
+          [1000000000000000000n],
+          receiver.target
+        );
+      const conclude = (id) =>
+        receiver.execute(
+          gotchiswap.target,
+          gotchiswap.interface.encodeFunctionData("concludeSaleById(uint256)", [
+            id,
+          ]),
+          { value: 1000000000000000000n }
+        );
+      await createSale([1, 2]);
+      await createSale([3]);
+
+      // contracts get the single receiver hook for each token, as before
+      await expect(conclude(0))
+        .to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 1, 1)
+        .and.to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 2, 1)
+        .and.not.to.emit(receiver, "BatchReceived");
+      await expect(conclude(1))
+        .to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 3, 1)
+        .and.not.to.emit(receiver, "BatchReceived");
+      expect(await token.balanceOf(receiver.target, 2)).to.equal(1);
+    });
+    it("Should send ERC1155 assets to contracts implementing only the single receiver hook", async function () {
+      const { gotchiswap, owner } = await loadFixture(deployGotchiswapFixture);
+      const MockRoyaltyERC1155 = await hre.ethers.getContractFactory(
+        "MockRoyaltyERC1155"
+      );
+      const token = await MockRoyaltyERC1155.deploy(owner.address, 0);
+      const receiver = await (
+        await hre.ethers.getContractFactory("MockERC1155SingleReceiver")
+      ).deploy();
+      for (let id = 1; id <= 4; id++) {
+        await token.mint(id <= 2 ? owner.address : receiver.target, id, 1);
+      }
+      await token.setApprovalForAll(gotchiswap.target, true);
+      const call = (method, args, value = 0n) =>
+        receiver.execute(
+          gotchiswap.target,
+          gotchiswap.interface.encodeFunctionData(method, args),
+          { value }
+        );
+      await receiver.execute(
+        token.target,
+        token.interface.encodeFunctionData("setApprovalForAll", [
+          gotchiswap.target,
+          true,
+        ])
+      );
+      const saleArgs = (ids, buyer) => [
+        ids.map(() => 1),
+        ids.map(() => token.target),
+        ids,
+        ids.map(() => 1),
+        [3],
+        [ADDRESS_ZERO],
+        [0],
+        [1000000000000000000n],
+        buyer,
+      ];
+      await gotchiswap[CREATE_SALE](...saleArgs([1, 2], receiver.target));
+      // the escrow of the bundle of the contract is still batched
+      await expect(call(CREATE_SALE, saleArgs([3, 4], owner.address)))
+        .to.emit(token, "TransferBatch")
+        .withArgs(
+          gotchiswap.target,
+          receiver.target,
+          gotchiswap.target,
+          [3, 4],
+          [1, 1]
+        );
+
+      await expect(call("concludeSaleById(uint256)", [0], 1000000000000000000n))
+        .to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 1, 1)
+        .and.to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 2, 1)
+        .and.not.to.emit(token, "TransferBatch");
+      await expect(call("abortSaleById", [1]))
+        .to.emit(receiver, "Received")
+        .withArgs(gotchiswap.target, 4, 1)
+        .and.not.to.emit(token, "TransferBatch");
+      for (let id = 1; id <= 4; id++) {
+        expect(await token.balanceOf(receiver.target, id)).to.equal(1);
+      }
+    });
+    it("Should merge the ERC20 prices of a same token in a single transfer", async function () {
+      const {
+        gotchiswap,
+        ghst,
+        AavegotchiAddress,
+        GhstAddress,
+        GltrAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0, 0, 0],
+          [GhstAddress, GltrAddress, GhstAddress],
+          [0, 0, 0],
+          [1000000000000000000n, 1n, 2000000000000000000n],
+          owner.address
+        );
+      const tx = gotchiswap.concludeSale(0);
+      await expect(tx).to.changeTokenBalances(
+        ghst,
+        [owner, testAdmin],
+        [-3000000000000000000n, 3000000000000000000n]
+      );
+      const receipt = await (await tx).wait();
+      const ghstTransfers = receipt.logs.filter(
+        (log) => log.address === GhstAddress
+      );
+      expect(ghstTransfers).to.have.lengthOf(1);
+    });
   });
   describe("Allowlist functions", function () {
     it("Should be able to enable allowlist globally", async function () {
@@ -635,40 +3483,153 @@ describe("Gotchiswap", function () {
         gotchiswap.connect(testAdmin).allowContract(ADDRESS_ZERO)
       ).to.be.revertedWith("Gotchiswap: Invalid contract address");
     });
-    it("Should be unable to manage allowlist if not admin", async function () {
+    it("Should be unable to manage allowlist without the role", async function () {
       const { gotchiswap, AavegotchiAddress, testAdmin } = await loadFixture(
         deployGotchiswapFixture
       );
       await expect(gotchiswap.enableAllowlist()).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
+        "Gotchiswap: Caller is missing the role"
       );
       await expect(gotchiswap.disableAllowlist()).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
+        "Gotchiswap: Caller is missing the role"
       );
       await expect(
         gotchiswap.allowContract(AavegotchiAddress)
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await expect(
         gotchiswap.allowContracts([AavegotchiAddress])
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await expect(
         gotchiswap.disallowContract(AavegotchiAddress)
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await expect(
         gotchiswap.disallowContracts([AavegotchiAddress])
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
+      await expect(
+        gotchiswap.setTransferFeeAccepted(AavegotchiAddress, true)
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
     });
   });
   describe("Admin functions", function () {
-    it("Should be able to retrieve ERC721 from the contract (only admin)", async function () {
+    // the escrow of each token must match what the contract really holds,
+    // apart from the surplus sent to it by mistake
+    async function expectEscrowToMatchBalances(fixture, ghstSurplus = 0n) {
+      const {
+        gotchiswap,
+        aavegotchi,
+        ghst,
+        gltr,
+        AavegotchiAddress,
+        GhstAddress,
+        GltrAddress,
+      } = fixture;
+      const target = gotchiswap.target;
+      expect(await gotchiswap.escrowBalances(GhstAddress, 0)).to.equal(
+        (await ghst.balanceOf(target)) - ghstSurplus
+      );
+      expect(await gotchiswap.escrowBalances(GltrAddress, 0)).to.equal(
+        await gltr.balanceOf(target)
+      );
+      expect(await gotchiswap.escrowBalances(ADDRESS_ZERO, 0)).to.equal(
+        await hre.ethers.provider.getBalance(target)
+      );
+      for (const id of [4895, 15434]) {
+        expect(await gotchiswap.escrowBalances(AavegotchiAddress, id)).to.equal(
+          (await aavegotchi.ownerOf(id)) === target ? 1 : 0
+        );
+      }
+      expect(
+        await gotchiswap.getRescuableAmount(AssetClass.ERC20, GhstAddress, 0)
+      ).to.equal(ghstSurplus);
+    }
+    it("Should keep the escrow accounting in line with the balances", async function () {
+      const fixture = await loadFixture(deployGotchiswapFixture);
+      const {
+        gotchiswap,
+        ghst,
+        AavegotchiAddress,
+        GhstAddress,
+        GltrAddress,
+        owner,
+        testAdmin,
+        testUser,
+      } = fixture;
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2, 0],
+          [AavegotchiAddress, GhstAddress],
+          [4895, 0],
+          [1, 5000000000000000000n],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [15434],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+      await gotchiswap[CREATE_SALE](
+        [0, 3],
+        [GltrAddress, ADDRESS_ZERO],
+        [0, 0],
+        [1000000000000000000000n, 1000000000000000000n],
+        [0],
+        [GhstAddress],
+        [0],
+        [1000000000000000000n],
+        testAdmin.address,
+        { value: 1000000000000000000n }
+      );
+      await expectEscrowToMatchBalances(fixture);
+
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      await expectEscrowToMatchBalances(fixture);
+
+      await gotchiswap.concludeSaleById(0);
+      await gotchiswap.connect(testAdmin).concludeSaleById(2);
+      await expectEscrowToMatchBalances(fixture);
+
+      // only the surplus can be rescued right away
+      await ghst
+        .connect(testUser)
+        .transfer(gotchiswap.target, 3000000000000000000n);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [0],
+          [GhstAddress],
+          [0],
+          [5000000000000000000n],
+          [0],
+          [GltrAddress],
+          [0],
+          [1n],
+          owner.address
+        );
+      await expectEscrowToMatchBalances(fixture, 3000000000000000000n);
+      await expect(
+        gotchiswap
+          .connect(testAdmin)
+          .rescueERC20(GhstAddress, 3000000000000000001n)
+      ).to.be.revertedWith("Gotchiswap: Amount exceeds the rescuable surplus");
+      await gotchiswap
+        .connect(testAdmin)
+        .rescueERC20(GhstAddress, 3000000000000000000n);
+      await expectEscrowToMatchBalances(fixture);
+    });
+    it("Should be able to retrieve ERC721 from the contract (only rescuers)", async function () {
       const { gotchiswap, aavegotchi, AavegotchiAddress, testUser, testAdmin } =
         await loadFixture(deployGotchiswapFixture);
       await aavegotchi
@@ -676,12 +3637,10 @@ describe("Gotchiswap", function () {
         .safeTransferFrom(testUser.address, gotchiswap.target, 10356);
       expect(await aavegotchi.balanceOf(gotchiswap.target)).to.equal(1);
       expect(await aavegotchi.ownerOf(10356)).to.equal(gotchiswap.target);
-      // check that only admin can retrieve gotchis
+      // check that only rescuers can retrieve gotchis
       await expect(
         gotchiswap.rescueERC721(AavegotchiAddress, 10356)
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await gotchiswap
         .connect(testAdmin)
         .rescueERC721(AavegotchiAddress, 10356);
@@ -689,7 +3648,7 @@ describe("Gotchiswap", function () {
       expect(await aavegotchi.balanceOf(gotchiswap.target)).to.equal(0);
       expect(await aavegotchi.ownerOf(10356)).to.equal(testAdmin.address);
     });
-    it("Should be able to retrieve ERC1155 from the contract (only admin)", async function () {
+    it("Should be able to retrieve ERC1155 from the contract (only rescuers)", async function () {
       const { gotchiswap, wearables, WearablesAddress, testUser, testAdmin } =
         await loadFixture(deployGotchiswapFixture);
       const testAdminBalanceBefore = await wearables.balanceOf(
@@ -701,12 +3660,10 @@ describe("Gotchiswap", function () {
         .connect(testUser)
         .safeTransferFrom(testUser.address, gotchiswap.target, 292, 1, "0x");
       expect(await wearables.balanceOf(gotchiswap.target, 292)).to.equal(1);
-      // check that only admin can retrieve gotchis
+      // check that only rescuers can retrieve gotchis
       await expect(
         gotchiswap.rescueERC1155(WearablesAddress, 292, 1)
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await gotchiswap
         .connect(testAdmin)
         .rescueERC1155(WearablesAddress, 292, 1);
@@ -716,7 +3673,7 @@ describe("Gotchiswap", function () {
         testAdminBalanceAfter
       );
     });
-    it("Should be able to retrieve ERC20 from the contract (only admin)", async function () {
+    it("Should be able to retrieve ERC20 from the contract (only rescuers)", async function () {
       const { gotchiswap, ghst, GhstAddress, testUser, testAdmin } =
         await loadFixture(deployGotchiswapFixture);
       const testAdminBalanceBefore = await ghst.balanceOf(testAdmin.address);
@@ -728,12 +3685,10 @@ describe("Gotchiswap", function () {
       expect(await ghst.balanceOf(gotchiswap.target)).to.equal(
         10000000000000000000n
       );
-      // check that only admin can retrieve GHST
+      // check that only rescuers can retrieve GHST
       await expect(
         gotchiswap.rescueERC20(GhstAddress, 10000000000000000000n)
-      ).to.be.revertedWith(
-        "Gotchiswap: Only the admin can perform this action"
-      );
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
       await gotchiswap
         .connect(testAdmin)
         .rescueERC20(GhstAddress, 10000000000000000000n);
@@ -773,5 +3728,236 @@ describe("Gotchiswap", function () {
       // check that admin address is set to null address
       expect(await gotchiswap.adminAddress()).to.equal(ADDRESS_ZERO);
     });
+    it("Should be able to pause and unpause trading (only pausers)", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      const createSale = (id) =>
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [id],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address
+          );
+      await createSale(4895);
+      await createSale(15434);
+
+      // check that only pausers can pause trading
+      await expect(gotchiswap.pause()).to.be.revertedWith(
+        "Gotchiswap: Caller is missing the role"
+      );
+      await expect(gotchiswap.connect(testAdmin).pause())
+        .to.emit(gotchiswap, "ChangePaused")
+        .withArgs(true);
+      expect(await gotchiswap.paused()).to.be.true;
+
+      await expect(createSale(9121)).to.be.revertedWith(
+        "Gotchiswap: Trading is paused"
+      );
+      await expect(gotchiswap.concludeSaleById(0)).to.be.revertedWith(
+        "Gotchiswap: Trading is paused"
+      );
+      // sellers can still get their escrow back
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      expect(await aavegotchi.ownerOf(15434)).to.equal(testAdmin.address);
+
+      await expect(gotchiswap.connect(testAdmin).unpause())
+        .to.emit(gotchiswap, "ChangePaused")
+        .withArgs(false);
+      await gotchiswap.concludeSaleById(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should be able to freeze and unfreeze a contract (only pausers)", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+      } = await loadFixture(deployGotchiswapFixture);
+      const createSale = (id) =>
+        gotchiswap
+          .connect(testAdmin)
+          .createSale(
+            [2],
+            [AavegotchiAddress],
+            [id],
+            [1],
+            [0],
+            [GhstAddress],
+            [0],
+            [10000000000000000000n],
+            owner.address
+          );
+      await createSale(4895);
+      await createSale(15434);
+
+      // check that only pausers can freeze a contract
+      await expect(
+        gotchiswap.freezeContract(AavegotchiAddress)
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
+      await expect(gotchiswap.connect(testAdmin).freezeContract(GhstAddress))
+        .to.emit(gotchiswap, "ChangeContractFrozen")
+        .withArgs(GhstAddress, true);
+      expect(await gotchiswap.frozenContracts(GhstAddress)).to.be.true;
+
+      // frozen prices block trades even with the allowlist disabled
+      await expect(createSale(9121)).to.be.revertedWith(
+        "Gotchiswap: Contract is frozen"
+      );
+      await expect(gotchiswap.concludeSaleById(0)).to.be.revertedWith(
+        "Gotchiswap: Contract is frozen"
+      );
+      await gotchiswap.connect(testAdmin).abortSaleById(1);
+      expect(await aavegotchi.ownerOf(15434)).to.equal(testAdmin.address);
+
+      await expect(gotchiswap.connect(testAdmin).unfreezeContract(GhstAddress))
+        .to.emit(gotchiswap, "ChangeContractFrozen")
+        .withArgs(GhstAddress, false);
+      await gotchiswap.concludeSaleById(0);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+    });
+    it("Should let the admin grant and revoke roles", async function () {
+      const { gotchiswap, owner, testAdmin } = await loadFixture(
+        deployGotchiswapFixture
+      );
+      const pauserRole = await gotchiswap.PAUSER_ROLE();
+      expect(pauserRole).to.equal(hre.ethers.id("PAUSER_ROLE"));
+      expect(await gotchiswap.hasRole(pauserRole, testAdmin.address)).to.be
+        .true;
+      expect(await gotchiswap.hasRole(pauserRole, owner.address)).to.be.false;
+
+      // check that only admin can grant and revoke roles
+      await expect(
+        gotchiswap.grantRole(pauserRole, owner.address)
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+      await expect(
+        gotchiswap.revokeRole(pauserRole, testAdmin.address)
+      ).to.be.revertedWith(
+        "Gotchiswap: Only the admin can perform this action"
+      );
+
+      await expect(
+        gotchiswap.connect(testAdmin).grantRole(pauserRole, owner.address)
+      )
+        .to.emit(gotchiswap, "GrantRole")
+        .withArgs(pauserRole, owner.address);
+      await gotchiswap.pause();
+      expect(await gotchiswap.paused()).to.be.true;
+
+      await expect(
+        gotchiswap.connect(testAdmin).revokeRole(pauserRole, owner.address)
+      )
+        .to.emit(gotchiswap, "RevokeRole")
+        .withArgs(pauserRole, owner.address);
+      await expect(gotchiswap.unpause()).to.be.revertedWith(
+        "Gotchiswap: Caller is missing the role"
+      );
+
+      // the admin holds no role once renounced
+      await gotchiswap.connect(testAdmin).renounceRole(pauserRole);
+      await expect(gotchiswap.connect(testAdmin).unpause()).to.be.revertedWith(
+        "Gotchiswap: Caller is missing the role"
+      );
+    });
+    it("Should timelock the rescue of escrowed tokens", async function () {
+      const {
+        gotchiswap,
+        aavegotchi,
+        AavegotchiAddress,
+        GhstAddress,
+        owner,
+        testAdmin,
+        testUser,
+      } = await loadFixture(deployGotchiswapFixture);
+      await gotchiswap
+        .connect(testAdmin)
+        .createSale(
+          [2],
+          [AavegotchiAddress],
+          [4895],
+          [1],
+          [0],
+          [GhstAddress],
+          [0],
+          [10000000000000000000n],
+          owner.address
+        );
+      await gotchiswap
+        .connect(testAdmin)
+        .grantRole(await gotchiswap.RESCUER_ROLE(), owner.address);
+
+      // escrowed tokens cannot be rescued right away
+      await expect(
+        gotchiswap.rescueERC721(AavegotchiAddress, 4895)
+      ).to.be.revertedWith("Gotchiswap: Amount exceeds the rescuable surplus");
+
+      const operation = await gotchiswap.getRescueOperation(
+        AssetClass.ERC721,
+        AavegotchiAddress,
+        4895,
+        1
+      );
+      await expect(
+        gotchiswap
+          .connect(testUser)
+          .queueRescue(AssetClass.ERC721, AavegotchiAddress, 4895, 1)
+      ).to.be.revertedWith("Gotchiswap: Caller is missing the role");
+      await expect(
+        gotchiswap.queueRescue(AssetClass.ERC721, AavegotchiAddress, 4895, 1)
+      )
+        .to.emit(gotchiswap, "QueueRescue")
+        .withArgs(operation, anyValue, anyValue);
+      const readyTimestamp = await gotchiswap.rescueOperations(operation);
+      expect(readyTimestamp).to.equal(
+        BigInt(await time.latest()) + (await gotchiswap.RESCUE_DELAY())
+      );
+      await expect(
+        gotchiswap.queueRescue(AssetClass.ERC721, AavegotchiAddress, 4895, 1)
+      ).to.be.revertedWith("Gotchiswap: Rescue already queued");
+
+      // the rescue waits for the delay
+      await expect(
+        gotchiswap.executeRescue(AssetClass.ERC721, AavegotchiAddress, 4895, 1)
+      ).to.be.revertedWith("Gotchiswap: Rescue is still timelocked");
+      await time.increaseTo(readyTimestamp);
+      await expect(
+        gotchiswap.executeRescue(AssetClass.ERC721, AavegotchiAddress, 4895, 1)
+      )
+        .to.emit(gotchiswap, "ExecuteRescue")
+        .withArgs(operation, owner.address);
+      expect(await aavegotchi.ownerOf(4895)).to.equal(owner.address);
+      expect(await gotchiswap.rescueOperations(operation)).to.equal(0);
+
+      // cancelled rescues cannot be executed
+      await gotchiswap.queueRescue(AssetClass.ERC20, GhstAddress, 0, 1n);
+      const cancelled = await gotchiswap.getRescueOperation(
+        AssetClass.ERC20,
+        GhstAddress,
+        0,
+        1n
+      );
+      await expect(gotchiswap.cancelRescue(cancelled))
+        .to.emit(gotchiswap, "CancelRescue")
+        .withArgs(cancelled);
+      await expect(
+        gotchiswap.executeRescue(AssetClass.ERC20, GhstAddress, 0, 1n)
+      ).to.be.revertedWith("Gotchiswap: Rescue not queued");
+    });
   });
 });
@@ -0,0 +1,279 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadConfig,
+  loadManifest,
+  deployGotchiswap,
+  upgradeGotchiswap,
+  diffStorageLayouts,
+  compareStates,
+} = require("../scripts/deployments");
+
+const hre = require("hardhat");
+
+const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
+
+describe("Deployments", function () {
+  // Runs a deployment step without its logs
+  async function quietly(step) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await step();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  function createConfig(overrides = {}) {
+    return {
+      ...loadConfig("hardhat"),
+      smokeChecks: { sellers: [], buyers: [] },
+      ...overrides,
+    };
+  }
+
+  async function deployFixture() {
+    const [deployer, admin, seller] = await hre.ethers.getSigners();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gotchiswap-"));
+    const erc20 = await (
+      await hre.ethers.getContractFactory("MockERC20")
+    ).deploy();
+    const config = createConfig({
+      admin: admin.address,
+      allowlist: [erc20.target],
+      allowlistDisabled: false,
+      smokeChecks: { sellers: [seller.address], buyers: [] },
+    });
+    const { gotchiswap, manifest } = await quietly(() =>
+      deployGotchiswap(hre, { config, directory })
+    );
+    return { gotchiswap, manifest, config, directory, erc20, deployer, admin };
+  }
+
+  it("Should apply the config and record the deployment", async function () {
+    const { gotchiswap, manifest, directory, erc20, deployer, admin } =
+      await loadFixture(deployFixture);
+
+    expect(await gotchiswap.isContractAllowed(erc20.target)).to.equal(true);
+    expect(await gotchiswap.allowlistDisabled()).to.equal(false);
+    expect(await gotchiswap.adminAddress()).to.equal(admin.address);
+    const role = await gotchiswap.RESCUER_ROLE();
+    expect(await gotchiswap.hasRole(role, admin.address)).to.equal(true);
+    expect(await gotchiswap.hasRole(role, deployer.address)).to.equal(false);
+    expect(await gotchiswap.feeBps()).to.equal(100);
+    expect(await gotchiswap.feeRecipient()).to.equal(deployer.address);
+
+    expect(loadManifest("hardhat", directory)).to.deep.equal(manifest);
+    expect(manifest.proxy).to.equal(gotchiswap.target);
+    expect(manifest.versions.length).to.equal(1);
+    expect(manifest.versions[0].implementation).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(gotchiswap.target)
+    );
+    expect(
+      manifest.versions[0].storageLayout.map((variable) => variable.label)
+    ).to.include("transferFeesAccepted");
+  });
+  it("Should not deploy twice on a network", async function () {
+    const { config, directory } = await loadFixture(deployFixture);
+    await expect(
+      quietly(() => deployGotchiswap(hre, { config, directory }))
+    ).to.be.rejectedWith("Already deployed on hardhat");
+  });
+  it("Should upgrade the proxy and record the new version", async function () {
+    const { gotchiswap, manifest, config, directory } = await loadFixture(
+      deployFixture
+    );
+
+    const upgraded = await quietly(() =>
+      upgradeGotchiswap(hre, { config, directory })
+    );
+
+    expect(upgraded.manifest.versions.length).to.equal(2);
+    const [previous, current] = upgraded.manifest.versions;
+    expect(current.version).to.equal(2);
+    expect(current.extension).to.not.equal(previous.extension);
+    expect(current.storageLayout).to.deep.equal(previous.storageLayout);
+    expect(loadManifest("hardhat", directory)).to.deep.equal(upgraded.manifest);
+    expect(manifest.versions.length).to.equal(1);
+    expect(await gotchiswap.feeBps()).to.equal(100);
+  });
+  // Deploys a proxy of the single admin version with sales of two sellers
+  async function deployV1Fixture() {
+    const [admin, seller, buyer] = await hre.ethers.getSigners();
+    const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+    const proxy = await hre.upgrades.deployProxy(GotchiswapV1, [admin.address]);
+    await proxy.waitForDeployment();
+    const deploymentBlock = await hre.ethers.provider.getBlockNumber();
+    await proxy.disableAllowlist();
+    const erc20 = await (
+      await hre.ethers.getContractFactory("MockERC20")
+    ).deploy();
+    const erc721 = await (
+      await hre.ethers.getContractFactory("MockERC721")
+    ).deploy();
+    for (const [owner, tokenId, to] of [
+      [seller, 1, buyer],
+      [admin, 2, seller],
+    ]) {
+      await erc721.mint(owner.address, tokenId);
+      await erc721.connect(owner).setApprovalForAll(proxy.target, true);
+      await proxy
+        .connect(owner)
+        .createSale(
+          [2],
+          [erc721.target],
+          [tokenId],
+          [1],
+          [0],
+          [erc20.target],
+          [0],
+          [100],
+          to.address
+        );
+    }
+    const config = createConfig({
+      deploymentBlock,
+      smokeChecks: {
+        sellers: [admin.address, seller.address],
+        buyers: [seller.address, buyer.address],
+      },
+    });
+    return { proxy, config, erc721, admin, seller };
+  }
+
+  // Deployed before the manifests, like the Polygon proxy
+  function writeV1Manifest(proxy) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gotchiswap-"));
+    fs.mkdirSync(path.join(directory, "hardhat"));
+    fs.writeFileSync(
+      path.join(directory, "hardhat", "manifest.json"),
+      JSON.stringify({
+        network: "hardhat",
+        chainId: 31337,
+        proxy: proxy.target,
+        versions: [],
+      })
+    );
+    return directory;
+  }
+
+  it("Should upgrade a proxy of the single admin version with live sales", async function () {
+    const { proxy, config, erc721, admin, seller } = await loadFixture(
+      deployV1Fixture
+    );
+    const directory = writeV1Manifest(proxy);
+    // sent by mistake, rescuable once the legacy sales are migrated
+    await erc721.mint(admin.address, 3);
+    await erc721.transferFrom(admin.address, proxy.target, 3);
+
+    const { gotchiswap, manifest } = await quietly(() =>
+      upgradeGotchiswap(hre, { config, directory })
+    );
+
+    // the roles were granted by the upgrade, then the sales were migrated
+    const role = await gotchiswap.UPGRADER_ROLE();
+    expect(await gotchiswap.hasRole(role, admin.address)).to.equal(true);
+    expect((await gotchiswap.getSaleLocation(0)).seller).to.equal(
+      seller.address
+    );
+    expect((await gotchiswap.getSaleLocation(1)).seller).to.equal(
+      admin.address
+    );
+    expect(await gotchiswap.getRescuableAmount(2, erc721.target, 1)).to.equal(
+      0
+    );
+    expect(await gotchiswap.getRescuableAmount(2, erc721.target, 3)).to.equal(
+      1
+    );
+    expect(manifest.versions.length).to.equal(1);
+    fs.rmSync(directory, { recursive: true });
+  });
+  it("Should not upgrade a proxy of the single admin version without its deployment block", async function () {
+    const { proxy, config } = await loadFixture(deployV1Fixture);
+    const directory = writeV1Manifest(proxy);
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(
+      proxy.target
+    );
+
+    await expect(
+      quietly(() =>
+        upgradeGotchiswap(hre, {
+          config: { ...config, deploymentBlock: undefined },
+          directory,
+        })
+      )
+    ).to.be.rejectedWith("Set the deploymentBlock of hardhat");
+    expect(
+      await hre.upgrades.erc1967.getImplementationAddress(proxy.target)
+    ).to.equal(implementation);
+    fs.rmSync(directory, { recursive: true });
+  });
+  it("Should not upgrade a proxy of the single admin version whose admin was removed", async function () {
+    const { proxy, config } = await loadFixture(deployV1Fixture);
+    await proxy.removeAdmin();
+    const directory = writeV1Manifest(proxy);
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(
+      proxy.target
+    );
+
+    await expect(
+      quietly(() => upgradeGotchiswap(hre, { config, directory }))
+    ).to.be.rejectedWith("Only the admin can migrate the legacy sales");
+    expect(
+      await hre.upgrades.erc1967.getImplementationAddress(proxy.target)
+    ).to.equal(implementation);
+    fs.rmSync(directory, { recursive: true });
+  });
+  it("Should diff the storage layouts", function () {
+    const variable = (label, slot, type = "t_uint256") => ({
+      contract: "GotchiswapBase",
+      label,
+      slot,
+      offset: 0,
+      type,
+    });
+    const original = [variable("saleId", "1"), variable("feeBps", "2")];
+
+    expect(diffStorageLayouts(original, original)).to.deep.equal([]);
+    expect(
+      diffStorageLayouts(original, [...original, variable("paused", "3")])
+    ).to.deep.equal([
+      {
+        kind: "added",
+        label: "GotchiswapBase.paused",
+        to: variable("paused", "3"),
+      },
+    ]);
+    expect(
+      diffStorageLayouts(original, [
+        variable("paused", "1"),
+        variable("saleId", "2"),
+        variable("feeBps", "3", "t_address"),
+      ]).map((change) => `${change.kind} ${change.label}`)
+    ).to.deep.equal([
+      "changed GotchiswapBase.saleId",
+      "changed GotchiswapBase.feeBps",
+      "added GotchiswapBase.paused",
+    ]);
+    expect(
+      diffStorageLayouts(original, [variable("saleId", "1")])[0].kind
+    ).to.equal("removed");
+  });
+  it("Should report the values the upgrade changed", function () {
+    const before = {
+      adminAddress: ADDRESS_ZERO,
+      allowlistDisabled: false,
+      "open sales": "2",
+    };
+    expect(compareStates(before, { ...before })).to.deep.equal([]);
+    expect(
+      compareStates(before, { ...before, allowlistDisabled: true })
+    ).to.deep.equal(["  allowlistDisabled: false -> true"]);
+  });
+});
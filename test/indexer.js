@@ -0,0 +1,249 @@
+const {
+  loadFixture,
+  mine,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployExtensions, getGotchiswapAbi } = require("../scripts/extensions");
+const { SaleIndexer, JsonStore } = require("../indexer");
+
+const hre = require("hardhat");
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const CREATE_SALE =
+  "createSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],address)";
+const CREATE_OPEN_PARTIAL_SALE =
+  "createOpenSale(uint8[],address[],uint256[],uint256[],uint8[],address[],uint256[],uint256[],uint256,bool)";
+const CONCLUDE_SALE_BY_ID_PARTIALLY = "concludeSaleById(uint256,uint256)";
+
+describe("Sale indexer", function () {
+  // Deploys Gotchiswap with local tokens only, and approves them for the
+  // seller and the buyer
+  async function deployIndexerFixture() {
+    const [admin, seller, buyer] = await hre.ethers.getSigners();
+
+    const extension = await deployExtensions(hre);
+    const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+    const proxy = await hre.upgrades.deployProxy(Gotchiswap, [admin.address], {
+      constructorArgs: [extension],
+    });
+    await proxy.waitForDeployment();
+    const gotchiswap = await hre.ethers.getContractAt(
+      await getGotchiswapAbi(hre),
+      proxy.target
+    );
+    await gotchiswap.disableAllowlist();
+
+    const { erc20, erc721, erc1155 } = await deployTokens(
+      seller,
+      buyer,
+      gotchiswap
+    );
+    return { gotchiswap, erc20, erc721, erc1155, seller, buyer };
+  }
+
+  async function deployTokens(seller, buyer, gotchiswap) {
+    const erc20 = await (
+      await hre.ethers.getContractFactory("MockERC20")
+    ).deploy();
+    const erc721 = await (
+      await hre.ethers.getContractFactory("MockERC721")
+    ).deploy();
+    const erc1155 = await (
+      await hre.ethers.getContractFactory("MockRoyaltyERC1155")
+    ).deploy(seller.address, 0);
+    await erc20.mint(buyer.address, 1000n);
+    await erc20.connect(buyer).approve(gotchiswap.target, MAX_UINT256);
+    for (const id of [1, 2, 3]) {
+      await erc721.mint(seller.address, id);
+    }
+    await erc1155.mint(seller.address, 1, 10);
+    await erc721.connect(seller).setApprovalForAll(gotchiswap.target, true);
+    await erc1155.connect(seller).setApprovalForAll(gotchiswap.target, true);
+    return { erc20, erc721, erc1155 };
+  }
+
+  // Sells an ERC721 token for 100 ERC20 tokens
+  async function createSale(gotchiswap, erc721, tokenId, erc20, seller, buyer) {
+    await gotchiswap
+      .connect(seller)
+      [CREATE_SALE](
+        [2],
+        [erc721.target],
+        [tokenId],
+        [1],
+        [0],
+        [erc20.target],
+        [0],
+        [100],
+        buyer.address
+      );
+  }
+
+  function createIndexer(gotchiswap, options = {}) {
+    return new SaleIndexer({
+      provider: hre.ethers.provider,
+      address: gotchiswap.target,
+      confirmations: 0,
+      ...options,
+    });
+  }
+
+  it("Should rebuild the lifecycle of the sales from the logs", async function () {
+    const { gotchiswap, erc20, erc721, erc1155, seller, buyer } =
+      await loadFixture(deployIndexerFixture);
+    await createSale(gotchiswap, erc721, 1, erc20, seller, buyer);
+    await createSale(gotchiswap, erc721, 2, erc20, seller, buyer);
+    // open sale of 10 tokens for 100 tokens, sold in parts
+    await gotchiswap
+      .connect(seller)
+      [CREATE_OPEN_PARTIAL_SALE](
+        [1],
+        [erc1155.target],
+        [1],
+        [10],
+        [0],
+        [erc20.target],
+        [0],
+        [100],
+        0,
+        true
+      );
+    await gotchiswap.connect(buyer).concludeSaleById(0);
+    await gotchiswap.connect(seller).abortSaleById(1);
+    await gotchiswap.connect(buyer)[CONCLUDE_SALE_BY_ID_PARTIALLY](2, 4);
+
+    const indexer = createIndexer(gotchiswap);
+    expect(await indexer.sync()).to.equal(6);
+
+    const concluded = indexer.getSale(0);
+    expect(concluded.status).to.equal("concluded");
+    expect(concluded.concludedBy).to.equal(buyer.address);
+    expect(concluded.closedAt.blockNumber).to.be.greaterThan(
+      concluded.createdAt.blockNumber
+    );
+    expect(concluded.assets).to.deep.equal([
+      { class: 2, addr: erc721.target, id: "1", qty: "1" },
+    ]);
+    expect(indexer.getSale(1).status).to.equal("aborted");
+    expect(indexer.getSale(1).concludedBy).to.equal(null);
+
+    const partial = indexer.getSale(2);
+    expect(partial.status).to.equal("open");
+    expect(partial.buyers).to.deep.equal([]);
+    expect(partial.fills.length).to.equal(1);
+    expect(partial.fills[0].buyer).to.equal(buyer.address);
+    expect(partial.remaining.assets[0].qty).to.equal("6");
+    expect(partial.remaining.prices[0].qty).to.equal("60");
+
+    const ids = (sales) => sales.map((sale) => sale.id);
+    expect(ids(indexer.getSales())).to.deep.equal(["0", "1", "2"]);
+    expect(ids(indexer.getOpenSales())).to.deep.equal(["2"]);
+    expect(ids(indexer.getSalesBySeller(seller.address))).to.deep.equal([
+      "0",
+      "1",
+      "2",
+    ]);
+    expect(ids(indexer.getSalesByBuyer(buyer.address))).to.deep.equal([
+      "0",
+      "1",
+      "2",
+    ]);
+    expect(ids(indexer.getSalesByToken(erc721.target))).to.deep.equal([
+      "0",
+      "1",
+    ]);
+    expect(ids(indexer.getSalesByToken(erc721.target, 2))).to.deep.equal(["1"]);
+    // prices are matched too
+    expect(ids(indexer.getSalesByToken(erc20.target)).length).to.equal(3);
+  });
+  it("Should only index the blocks with enough confirmations", async function () {
+    const { gotchiswap, erc20, erc721, seller, buyer } = await loadFixture(
+      deployIndexerFixture
+    );
+    const indexer = createIndexer(gotchiswap, { confirmations: 2 });
+    await createSale(gotchiswap, erc721, 1, erc20, seller, buyer);
+
+    expect(await indexer.sync()).to.equal(0);
+    expect(indexer.getSale(0)).to.equal(undefined);
+
+    await mine(2);
+    expect(await indexer.sync()).to.equal(1);
+    expect(indexer.getSale(0).status).to.equal("open");
+  });
+  it("Should persist the sales and resume from the last block indexed", async function () {
+    const { gotchiswap, erc20, erc721, seller, buyer } = await loadFixture(
+      deployIndexerFixture
+    );
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gotchiswap-"));
+    const file = path.join(directory, "sales.json");
+    await createSale(gotchiswap, erc721, 1, erc20, seller, buyer);
+    const indexer = createIndexer(gotchiswap, { store: new JsonStore(file) });
+    await indexer.sync();
+
+    await createSale(gotchiswap, erc721, 2, erc20, seller, buyer);
+    const resumed = createIndexer(gotchiswap, { store: new JsonStore(file) });
+    expect(resumed.getSale(0).status).to.equal("open");
+    expect(await resumed.sync()).to.equal(1);
+    expect(
+      Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).sales)
+    ).to.deep.equal(["0", "1"]);
+
+    fs.rmSync(directory, { recursive: true });
+  });
+  it("Should detect reorganisations deeper than the confirmation depth", async function () {
+    const { gotchiswap, erc20, erc721, seller, buyer } = await loadFixture(
+      deployIndexerFixture
+    );
+    const indexer = createIndexer(gotchiswap);
+    const snapshot = await takeSnapshot();
+    await createSale(gotchiswap, erc721, 1, erc20, seller, buyer);
+    await indexer.sync();
+
+    // replace the indexed block with another one
+    await snapshot.restore();
+    await mine(2);
+    await expect(indexer.sync()).to.be.rejectedWith(
+      "reorganised deeper than 0 confirmations"
+    );
+  });
+  it("Should index the legacy events of upgraded proxies", async function () {
+    const [admin, seller, buyer] = await hre.ethers.getSigners();
+    const GotchiswapV1 = await hre.ethers.getContractFactory("GotchiswapV1");
+    const gotchiswapV1 = await hre.upgrades.deployProxy(GotchiswapV1, [
+      admin.address,
+    ]);
+    await gotchiswapV1.waitForDeployment();
+    await gotchiswapV1.disableAllowlist();
+    const { erc20, erc721 } = await deployTokens(seller, buyer, gotchiswapV1);
+    await createSale(gotchiswapV1, erc721, 1, erc20, seller, buyer);
+    await createSale(gotchiswapV1, erc721, 2, erc20, seller, buyer);
+    await gotchiswapV1.connect(seller).abortSale(1);
+
+    const extension = await deployExtensions(hre);
+    const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+    const proxy = await hre.upgrades.upgradeProxy(
+      gotchiswapV1.target,
+      Gotchiswap,
+      {
+        constructorArgs: [extension],
+        call: { fn: "initializeRoles" },
+      }
+    );
+    const gotchiswap = await hre.ethers.getContractAt(
+      await getGotchiswapAbi(hre),
+      proxy.target
+    );
+    await gotchiswap.migrateSales([seller.address], true);
+    await gotchiswap.connect(buyer).concludeSaleById(0);
+
+    const indexer = createIndexer(gotchiswap);
+    expect(await indexer.sync()).to.equal(4);
+    expect(indexer.getSale(0).status).to.equal("concluded");
+    expect(indexer.getSale(0).deadline).to.equal("0");
+    expect(indexer.getSale(1).status).to.equal("aborted");
+  });
+});
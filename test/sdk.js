@@ -0,0 +1,230 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployExtensions } = require("../scripts/extensions");
+const {
+  GotchiswapClient,
+  AssetClass,
+  Asset,
+  SaleBuilder,
+  toArrays,
+} = require("../sdk");
+
+const hre = require("hardhat");
+
+const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
+
+describe("Gotchiswap SDK", function () {
+  // Deploys Gotchiswap with local tokens only
+  async function deploySdkFixture() {
+    const [admin, seller, buyer] = await hre.ethers.getSigners();
+
+    const extension = await deployExtensions(hre);
+    const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+    const proxy = await hre.upgrades.deployProxy(Gotchiswap, [admin.address], {
+      constructorArgs: [extension],
+    });
+    await proxy.waitForDeployment();
+
+    const erc20 = await (
+      await hre.ethers.getContractFactory("MockERC20")
+    ).deploy();
+    const erc721 = await (
+      await hre.ethers.getContractFactory("MockERC721")
+    ).deploy();
+    const erc1155 = await (
+      await hre.ethers.getContractFactory("MockRoyaltyERC1155")
+    ).deploy(admin.address, 0);
+    await erc20.mint(buyer.address, 1000n);
+    for (const id of [1, 2, 3]) {
+      await erc721.mint(seller.address, id);
+    }
+    await erc1155.mint(seller.address, 1, 10);
+
+    const sellerClient = new GotchiswapClient(proxy.target, seller);
+    const buyerClient = new GotchiswapClient(proxy.target, buyer);
+    await new GotchiswapClient(proxy.target, admin).contract.disableAllowlist();
+
+    return {
+      gotchiswap: sellerClient.contract,
+      sellerClient,
+      buyerClient,
+      erc20,
+      erc721,
+      erc1155,
+      seller,
+      buyer,
+    };
+  }
+
+  it("Should build sales with named asset classes", async function () {
+    const { erc20, erc721, erc1155, buyer } = await loadFixture(
+      deploySdkFixture
+    );
+    const sale = new SaleBuilder()
+      .offer(
+        Asset.erc721(erc721.target, 1),
+        Asset.erc1155(erc1155.target, 1, 5)
+      )
+      .ask(Asset.erc20(erc20.target, 100), Asset.native(10))
+      .to(buyer.address)
+      .expiresAt(2000000000)
+      .build();
+    expect(toArrays(sale.assets)).to.deep.equal([
+      [AssetClass.ERC721, AssetClass.ERC1155],
+      [erc721.target, erc1155.target],
+      [1n, 1n],
+      [1n, 5n],
+    ]);
+    expect(toArrays(sale.prices)).to.deep.equal([
+      [AssetClass.ERC20, AssetClass.NATIVE],
+      [erc20.target, ADDRESS_ZERO],
+      [0n, 0n],
+      [100n, 10n],
+    ]);
+    expect(sale.buyer).to.equal(buyer.address);
+    expect(sale.deadline).to.equal(2000000000n);
+
+    expect(() =>
+      new SaleBuilder().offer(Asset.erc721(erc721.target, 1)).build()
+    ).to.throw("Gotchiswap: A sale needs assets and prices");
+  });
+  it("Should set the missing approvals before creating a sale", async function () {
+    const { gotchiswap, sellerClient, erc20, erc721, erc1155, seller, buyer } =
+      await loadFixture(deploySdkFixture);
+    const sale = new SaleBuilder()
+      .offer(
+        Asset.erc721(erc721.target, 1),
+        Asset.erc1155(erc1155.target, 1, 5)
+      )
+      .ask(Asset.erc20(erc20.target, 100))
+      .to(buyer.address)
+      .build();
+
+    const { id } = await sellerClient.createSale(sale);
+    expect(id).to.equal(0n);
+    expect(
+      await erc721.isApprovedForAll(seller.address, gotchiswap.target)
+    ).to.equal(true);
+    expect(
+      await erc1155.isApprovedForAll(seller.address, gotchiswap.target)
+    ).to.equal(true);
+    expect(await erc721.ownerOf(1)).to.equal(gotchiswap.target);
+
+    // nothing left to approve for the next sale
+    expect(
+      await sellerClient.approveAssets([Asset.erc721(erc721.target, 2)])
+    ).to.deep.equal([]);
+    expect(
+      (
+        await sellerClient.createSale({
+          ...sale,
+          assets: [Asset.erc721(erc721.target, 2)],
+        })
+      ).id
+    ).to.equal(1n);
+  });
+  it("Should decode the sales read from the contract", async function () {
+    const { sellerClient, erc20, erc721, seller, buyer } = await loadFixture(
+      deploySdkFixture
+    );
+    const sale = new SaleBuilder()
+      .offer(Asset.erc721(erc721.target, 1))
+      .ask(Asset.erc20(erc20.target, 100))
+      .to(buyer.address)
+      .build();
+    await sellerClient.createSale(sale);
+
+    const expected = { id: 0n, ...sale };
+    expect(await sellerClient.getSale(seller.address, 0)).to.deep.equal(
+      expected
+    );
+    expect(await sellerClient.getSaleById(0)).to.deep.equal(expected);
+    expect(await sellerClient.getSellerSales(seller.address)).to.deep.equal([
+      { ...expected, seller: seller.address },
+    ]);
+    expect(await sellerClient.getBuyerOffers(buyer.address)).to.deep.equal([
+      { ...expected, seller: seller.address },
+    ]);
+  });
+  it("Should abort sales by ID whatever their current index", async function () {
+    const { sellerClient, erc20, erc721, seller, buyer } = await loadFixture(
+      deploySdkFixture
+    );
+    for (const tokenId of [1, 2, 3]) {
+      await sellerClient.createSale(
+        new SaleBuilder()
+          .offer(Asset.erc721(erc721.target, tokenId))
+          .ask(Asset.erc20(erc20.target, 100))
+          .to(buyer.address)
+          .build()
+      );
+    }
+
+    // a call prepared before the first sale is aborted still aborts its sale
+    // once the later sales have shifted
+    const { method, args } = await sellerClient.prepareAbortSale(2);
+    await sellerClient.abortSale(0);
+    await method(...args);
+    expect(await erc721.ownerOf(1)).to.equal(seller.address);
+    expect(await erc721.ownerOf(3)).to.equal(seller.address);
+    const sales = await sellerClient.getSellerSales(seller.address);
+    expect(sales.map((sale) => sale.id)).to.deep.equal([1n]);
+
+    await expect(sellerClient.abortSale(0)).to.be.revertedWith(
+      "Gotchiswap: Sale not found"
+    );
+  });
+  it("Should conclude sales and open sales by ID", async function () {
+    const {
+      gotchiswap,
+      sellerClient,
+      buyerClient,
+      erc20,
+      erc721,
+      seller,
+      buyer,
+    } = await loadFixture(deploySdkFixture);
+    await sellerClient.createSale(
+      new SaleBuilder()
+        .offer(Asset.erc721(erc721.target, 1))
+        .ask(Asset.erc20(erc20.target, 100))
+        .to(buyer.address)
+        .build()
+    );
+    await sellerClient.createSale(
+      new SaleBuilder()
+        .offer(Asset.erc721(erc721.target, 2))
+        .ask(Asset.erc20(erc20.target, 200))
+        .to(buyer.address)
+        .build()
+    );
+    const { id: openId } = await sellerClient.createSale(
+      new SaleBuilder()
+        .offer(Asset.erc721(erc721.target, 3))
+        .ask(Asset.native(1000))
+        .build()
+    );
+
+    // the ERC20 allowance is set by the client
+    expect(await buyerClient.getOfferIndex(buyer.address, 1)).to.equal(1);
+    await expect(buyerClient.concludeSale(1)).to.changeTokenBalances(
+      erc20,
+      [buyer, seller],
+      [-200, 200]
+    );
+    expect(await erc721.ownerOf(2)).to.equal(buyer.address);
+    expect(await erc20.allowance(buyer.address, gotchiswap.target)).to.equal(0);
+
+    await expect(buyerClient.concludeSale(openId)).to.changeEtherBalances(
+      [buyer, seller],
+      [-1000, 1000]
+    );
+    expect(await erc721.ownerOf(3)).to.equal(buyer.address);
+
+    await expect(sellerClient.concludeSale(0)).to.be.revertedWith(
+      "Gotchiswap: Only the buyer can conclude the sale"
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployExtensions } = require("../scripts/extensions");
+const { GotchiswapClient, Asset, SaleBuilder } = require("../sdk");
+
+const hre = require("hardhat");
+
+describe("Gotchiswap tasks", function () {
+  // Deploys Gotchiswap with local tokens only, the tasks sign with the admin
+  async function deployTasksFixture() {
+    const [admin, seller] = await hre.ethers.getSigners();
+
+    const extension = await deployExtensions(hre);
+    const Gotchiswap = await hre.ethers.getContractFactory("Gotchiswap");
+    const proxy = await hre.upgrades.deployProxy(Gotchiswap, [admin.address], {
+      constructorArgs: [extension],
+    });
+    await proxy.waitForDeployment();
+
+    const erc20 = await (
+      await hre.ethers.getContractFactory("MockERC20")
+    ).deploy();
+    const erc721 = await (
+      await hre.ethers.getContractFactory("MockERC721")
+    ).deploy();
+    await erc20.mint(admin.address, 1000n);
+    await erc721.mint(admin.address, 1);
+    await erc721.mint(seller.address, 2);
+
+    const client = new GotchiswapClient(proxy.target, admin);
+    await client.contract.allowContracts([erc20.target, erc721.target]);
+    return {
+      gotchiswap: client.contract,
+      sellerClient: new GotchiswapClient(proxy.target, seller),
+      erc20,
+      erc721,
+      admin,
+      seller,
+    };
+  }
+
+  // Runs a task against the deployment, without its logs
+  async function run(gotchiswap, name, args = {}) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, { gotchiswap: gotchiswap.target, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  function writeBundle(bundle) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gotchiswap-"));
+    const file = path.join(directory, "sale.json");
+    fs.writeFileSync(file, JSON.stringify(bundle));
+    return file;
+  }
+
+  it("Should create a sale from a JSON bundle file", async function () {
+    const { gotchiswap, erc20, erc721, admin, seller } = await loadFixture(
+      deployTasksFixture
+    );
+    const file = writeBundle({
+      assets: [{ class: "erc721", contract: erc721.target, id: 1 }],
+      prices: [{ class: "ERC20", contract: erc20.target, amount: "100" }],
+      buyer: seller.address,
+    });
+
+    await run(gotchiswap, "sale:create", { file });
+
+    // the approval was set before the sale
+    expect(await erc721.ownerOf(1)).to.equal(gotchiswap.target);
+    const sale = await gotchiswap.getSaleById(0);
+    expect(sale.buyer).to.equal(seller.address);
+    expect(await gotchiswap.getSellerSalesCount(admin.address)).to.equal(1);
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+  it("Should only simulate the transactions in dry-run mode", async function () {
+    const { gotchiswap, erc20 } = await loadFixture(deployTasksFixture);
+
+    await run(gotchiswap, "allowlist:remove", {
+      contract: erc20.target,
+      dryRun: true,
+    });
+    expect(await gotchiswap.isContractAllowed(erc20.target)).to.equal(true);
+
+    await run(gotchiswap, "allowlist:remove", { contract: erc20.target });
+    expect(await gotchiswap.isContractAllowed(erc20.target)).to.equal(false);
+  });
+  it("Should print the decoded revert reason of a failed simulation", async function () {
+    const { gotchiswap, erc20, admin, seller } = await loadFixture(
+      deployTasksFixture
+    );
+    await expect(
+      run(gotchiswap, "allowlist:add", { contract: erc20.target })
+    ).to.be.rejectedWith(
+      "Allowing " +
+        erc20.target +
+        " would revert: Gotchiswap: Address already allowed"
+    );
+    await expect(
+      run(gotchiswap, "admin:transfer", { admin: admin.address })
+    ).to.be.rejectedWith("Gotchiswap: Address already set as admin");
+
+    await run(gotchiswap, "admin:transfer", { admin: seller.address });
+    expect(await gotchiswap.adminAddress()).to.equal(seller.address);
+  });
+  it("Should abort and conclude sales by ID", async function () {
+    const { gotchiswap, sellerClient, erc20, erc721, admin, seller } =
+      await loadFixture(deployTasksFixture);
+    const file = writeBundle({
+      assets: [{ class: "ERC721", contract: erc721.target, id: 1 }],
+      prices: [{ class: "ERC20", contract: erc20.target, amount: 100 }],
+    });
+    await run(gotchiswap, "sale:create", { file });
+    await run(gotchiswap, "sale:abort", { id: "0" });
+    expect(await erc721.ownerOf(1)).to.equal(admin.address);
+    fs.rmSync(path.dirname(file), { recursive: true });
+
+    // open sale of another seller, concluded by the admin
+    await sellerClient.createSale(
+      new SaleBuilder()
+        .offer(Asset.erc721(erc721.target, 2))
+        .ask(Asset.erc20(erc20.target, 100))
+        .build()
+    );
+    await run(gotchiswap, "sale:conclude", { id: "1" });
+    expect(await erc721.ownerOf(2)).to.equal(admin.address);
+    expect(await erc20.balanceOf(seller.address)).to.be.greaterThan(0);
+
+    await expect(run(gotchiswap, "sale:conclude", { id: "1" })).to.be.rejected;
+  });
+  it("Should rescue the tokens sent by mistake", async function () {
+    const { gotchiswap, erc20, admin } = await loadFixture(deployTasksFixture);
+    await erc20.transfer(gotchiswap.target, 50n);
+
+    await expect(
+      run(gotchiswap, "admin:rescue", {
+        class: "ERC20",
+        token: erc20.target,
+        amount: "51",
+      })
+    ).to.be.rejectedWith("Rescue would revert");
+
+    await run(gotchiswap, "admin:rescue", {
+      class: "erc20",
+      token: erc20.target,
+      amount: "50",
+    });
+    expect(await erc20.balanceOf(admin.address)).to.equal(1000n);
+  });
+});